@@ -0,0 +1,72 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Signal of the tool call currently running, so process launches deep inside the service can
+// be aborted without threading it through every method.
+const callSignal = new AsyncLocalStorage();
+
+export class ToolAbortedError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'ToolAbortedError';
+    this.reason = reason;
+  }
+}
+
+export function runWithSignal(signal, fn) {
+  return callSignal.run(signal, fn);
+}
+
+export function currentSignal() {
+  return callSignal.getStore() || null;
+}
+
+// Where an aborted loop over `total` items stopped, for partial results.
+export function abortSummary(signal, completed, total) {
+  const reason = signal.reason;
+  return {
+    reason: reason instanceof ToolAbortedError ? reason.reason : 'cancelled',
+    message: reason && reason.message ? reason.message : String(reason),
+    completed,
+    total,
+  };
+}
+
+// Parses "tool=ms,tool=ms" (TOOL_TIMEOUTS) into a map.
+export function parseToolTimeouts(text) {
+  const timeouts = new Map();
+  for (const part of text.split(',')) {
+    const m = /^\s*([\w-]+)\s*=\s*(\d+)\s*$/.exec(part);
+    if (m) timeouts.set(m[1], Number(m[2]));
+  }
+  return timeouts;
+}
+
+// Aborts when the client cancels the request (`notifications/cancelled`) or after timeoutMs.
+export function createToolSignal(tool, { signal = null, timeoutMs = 0 } = {}) {
+  const controller = new AbortController();
+  const onCancel = () => controller.abort(new ToolAbortedError(`${tool} was cancelled by the client`, 'cancelled'));
+  if (signal) {
+    if (signal.aborted) onCancel();
+    else signal.addEventListener('abort', onCancel, { once: true });
+  }
+  const timer = timeoutMs > 0
+    ? setTimeout(() => controller.abort(new ToolAbortedError(`${tool} timed out after ${timeoutMs} ms (see TOOL_TIMEOUT_MS / TOOL_TIMEOUTS)`, 'timeout')), timeoutMs)
+    : null;
+  return {
+    signal: controller.signal,
+    dispose() {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onCancel);
+    },
+  };
+}
+
+// Settles with fn()'s result, or rejects with the abort reason as soon as `signal` fires.
+export function raceSignal(signal, fn) {
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    runWithSignal(signal, fn).then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
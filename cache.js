@@ -1,13 +1,160 @@
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { buildKey, sha256 } from './utils.js';
+import { currentSignal } from './abort.js';
+
 export function createInMemoryCache(ttlMs) {
+  const entries = new Map();
   async function maybeCached(tool, args, compute) {
-    return compute();
+    if (!(ttlMs > 0)) return compute();
+    const key = buildKey(tool, args);
+    const signal = currentSignal();
+    const hit = entries.get(key);
+    // Work in flight runs under its caller's signal, so only that call waits on it; finished
+    // results are shared with everyone
+    if (hit && hit.expires > Date.now() && (hit.settled || hit.signal === signal)) return hit.promise;
+    // Store the promise so concurrent identical calls share one computation
+    const promise = compute();
+    const entry = { promise, signal, settled: false, expires: Date.now() + ttlMs };
+    entries.set(key, entry);
+    // Partial results of cancelled or timed-out runs must not be served to the next caller
+    const drop = () => entries.get(key) === entry && entries.delete(key);
+    promise.then(value => (value && value.cancelled ? drop() : (entry.settled = true)), drop);
+    for (const [k, v] of entries) if (v.expires <= Date.now()) entries.delete(k);
+    return promise;
   }
   return { maybeCached };
 }
 
+// Results a paged tool serves across calls, by cursor scope. A call without a cursor computes a
+// fresh result; calls with one reuse it, and each renews its TTL, so walking the pages never
+// recomputes. The `maxEntries` most recently used scopes are kept.
+export function createPagedResultCache({ ttlMs, maxEntries }) {
+  const entries = new Map();
+  async function pagedResult(scope, { fresh }, compute) {
+    const now = Date.now();
+    for (const [k, v] of entries) if (v.expires <= now) entries.delete(k);
+    let entry = fresh ? null : entries.get(scope);
+    if (!entry) {
+      const promise = compute();
+      entry = { promise };
+      // Partial results of cancelled or timed-out runs are not paged through
+      const drop = () => entries.get(scope) === entry && entries.delete(scope);
+      promise.then(value => value && value.cancelled && drop(), drop);
+    }
+    // Re-inserted so Map order is least recently used first
+    entries.delete(scope);
+    entry.expires = now + ttlMs;
+    entries.set(scope, entry);
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    return entry.promise;
+  }
+  return { pagedResult };
+}
+
 export function ensureDir(dir) {
-  // no-op: cache removed
-  return Promise.resolve();
+  return fs.mkdir(dir, { recursive: true });
 }
 
+// Persistent JSON cache under `root`. Entries are addressed by a hash of the key parts;
+// file mtime doubles as the LRU timestamp and is refreshed on every hit.
+export function createDiskCache({ root, maxBytes }) {
+  const enabled = maxBytes > 0;
+  const inflight = new Map();
+  // Size of the cache directory as of the last full scan plus what this cache wrote since, so a
+  // set only scans the directory when the limit is crossed. Other caches and processes share
+  // `root`, so the directory is also rescanned every RESCAN_EVERY sets.
+  const RESCAN_EVERY = 100;
+  let knownBytes = null;
+  let setsSinceScan = 0;
+
+  function entryPath(id) {
+    return path.join(root, `${id}.json`);
+  }
+
+  async function get(id) {
+    const file = entryPath(id);
+    try {
+      const text = await fs.readFile(file, 'utf8');
+      const value = JSON.parse(text);
+      const now = new Date();
+      try { await fs.utimes(file, now, now); } catch {}
+      return value;
+    } catch {
+      return null;
+    }
+  }
 
+  async function set(id, value) {
+    await ensureDir(root);
+    const file = entryPath(id);
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    const text = JSON.stringify(value);
+    await fs.writeFile(tmp, text, 'utf8');
+    let replaced = 0;
+    try {
+      replaced = (await fs.stat(file)).size;
+    } catch {}
+    await fs.rename(tmp, file);
+    if (knownBytes === null || ++setsSinceScan >= RESCAN_EVERY) return evict();
+    knownBytes += Buffer.byteLength(text, 'utf8') - replaced;
+    if (knownBytes > maxBytes) await evict();
+  }
+
+  async function evict() {
+    let entries;
+    try {
+      entries = await fs.readdir(root, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    const stats = [];
+    let total = 0;
+    for (const e of entries) {
+      if (!e.isFile() || !e.name.endsWith('.json')) continue;
+      const full = path.join(root, e.name);
+      try {
+        const s = await fs.stat(full);
+        stats.push({ full, size: s.size, mtimeMs: s.mtimeMs });
+        total += s.size;
+      } catch {}
+    }
+    setsSinceScan = 0;
+    knownBytes = total;
+    if (total <= maxBytes) return;
+    stats.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const s of stats) {
+      if (total <= maxBytes) break;
+      try {
+        await fs.rm(s.full, { force: true });
+        total -= s.size;
+      } catch {}
+    }
+    knownBytes = total;
+  }
+
+  async function getOrCompute(keyParts, compute) {
+    if (!enabled) return compute();
+    const id = sha256(JSON.stringify(keyParts));
+    // As in createInMemoryCache, a computation is only shared within the call whose signal it runs under
+    const signal = currentSignal();
+    const running = inflight.get(id);
+    if (running && running.signal === signal) return running.promise;
+    const promise = (async () => {
+      const cached = await get(id);
+      if (cached) return cached;
+      const value = await compute();
+      try { await set(id, value); } catch {}
+      return value;
+    })();
+    const entry = { promise, signal };
+    inflight.set(id, entry);
+    try {
+      return await promise;
+    } finally {
+      if (inflight.get(id) === entry) inflight.delete(id);
+    }
+  }
+
+  return { get, set, getOrCompute, evict };
+}
@@ -1,3 +1,4 @@
+import './env.js';
 import * as os from 'os';
 import * as path from 'path';
 
@@ -8,6 +9,20 @@ export const CACHE_TTL_MS = Number(process.env.CACHE_TTL_MS ?? '5000');
 export const MAX_CONCURRENCY = Number(process.env.MAX_CONCURRENCY ?? '2');
 export const MAX_FILES = Number(process.env.MAX_FILES ?? '5000');
 export const MAX_BYTES = Number(process.env.MAX_BYTES ?? String(50 * 1024 * 1024));
-export const CACHE_ROOT = path.join(os.tmpdir(), 'dotnetdc-cache');
+export const CACHE_ROOT = process.env.CACHE_ROOT || path.join(os.tmpdir(), 'dotnetdc-cache');
+export const CACHE_MAX_BYTES = Number(process.env.CACHE_MAX_BYTES ?? String(1024 * 1024 * 1024));
 
 
+export const RESOURCE_ROOTS = (process.env.RESOURCE_ROOTS || '').split(path.delimiter).filter(Boolean);
+// Filesystem sandbox for tool paths: unset allows everything, set but empty allows nothing
+const rootList = value => (value === undefined ? null : value.split(path.delimiter).filter(Boolean));
+export const ALLOWED_READ_ROOTS = rootList(process.env.ALLOWED_READ_ROOTS);
+export const ALLOWED_WRITE_ROOTS = rootList(process.env.ALLOWED_WRITE_ROOTS);
+// Use the MCP client's roots for whichever of the two lists is unset
+export const USE_CLIENT_ROOTS = /^(1|true|yes)$/i.test(process.env.USE_CLIENT_ROOTS || '');
+export const PAGE_BYTES = Number(process.env.PAGE_BYTES ?? String(100 * 1024));
+// How long a paged result stays in memory after its last page request, for the cursors that follow
+export const CURSOR_TTL_MS = Number(process.env.CURSOR_TTL_MS ?? String(10 * 60 * 1000));
+// Per tool call, in ms (0 = no limit); TOOL_TIMEOUTS overrides it per tool: "decompile-dotnet-directory=3600000,diff-assemblies=0"
+export const TOOL_TIMEOUT_MS = Number(process.env.TOOL_TIMEOUT_MS ?? String(30 * 60 * 1000));
+export const TOOL_TIMEOUTS = process.env.TOOL_TIMEOUTS || '';
@@ -0,0 +1,321 @@
+// Lexer for decompiled C#: enough of the language to tell code from strings, chars, comments and
+// preprocessor lines, so the splitters never see a brace or keyword that isn't really there.
+// Tokens are { kind, text, start, end } with kind one of: comment, preprocessor, string, char,
+// identifier, number, punctuation. Whitespace is not returned.
+
+function isIdentifierStart(ch) {
+  return /[A-Za-z_\u00C0-\uFFFE]/.test(ch);
+}
+
+function isIdentifierPart(ch) {
+  return /[A-Za-z0-9_\u00C0-\uFFFE]/.test(ch);
+}
+
+// End (exclusive) of a '...' char literal starting at i.
+function readChar(text, i) {
+  let j = i + 1;
+  while (j < text.length && text[j] !== "'" && text[j] !== '\n') j += text[j] === '\\' ? 2 : 1;
+  return Math.min(j + 1, text.length);
+}
+
+// End of the code inside an interpolation hole that starts at i: the first `}` (or run of
+// `braces` closing braces for raw strings) not belonging to nested code.
+function readHole(text, i, braces) {
+  let depth = 0;
+  let j = i;
+  while (j < text.length) {
+    const ch = text[j];
+    if (ch === '"' || ch === '@' || ch === '$' || ch === "'") {
+      const literal = readLiteral(text, j);
+      if (literal > j) {
+        j = literal;
+        continue;
+      }
+    }
+    if (ch === '/' && (text[j + 1] === '/' || text[j + 1] === '*')) {
+      j = readComment(text, j);
+      continue;
+    }
+    if (ch === '{' || ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || ch === ']') depth--;
+    else if (ch === '}') {
+      if (depth === 0) {
+        let run = 0;
+        while (text[j + run] === '}' && run < braces) run++;
+        if (run === braces) return j + braces;
+      } else {
+        depth--;
+      }
+    }
+    j++;
+  }
+  return j;
+}
+
+function readComment(text, i) {
+  if (text[i + 1] === '/') {
+    const nl = text.indexOf('\n', i);
+    return nl === -1 ? text.length : nl;
+  }
+  const end = text.indexOf('*/', i + 2);
+  return end === -1 ? text.length : end + 2;
+}
+
+// End of the string literal at i (regular, verbatim, raw, interpolated or any mix), or i when
+// there is none. Includes a u8 suffix.
+function readLiteral(text, i) {
+  if (text[i] === "'") return readChar(text, i);
+  let j = i;
+  let dollars = 0;
+  let verbatim = false;
+  while (text[j] === '$' || text[j] === '@') {
+    if (text[j] === '$') dollars++;
+    else verbatim = true;
+    j++;
+  }
+  if (text[j] !== '"') return i;
+  let quotes = 0;
+  while (text[j + quotes] === '"') quotes++;
+  let end;
+  if (quotes >= 3 && !verbatim) {
+    end = readRawString(text, j, quotes, dollars);
+  } else if (quotes === 2 && !verbatim) {
+    // Empty "" (or $""); a verbatim @"" is left to readQuoted, which also handles @"""x"" escapes
+    end = j + 2;
+  } else {
+    end = readQuoted(text, j + 1, verbatim, dollars > 0);
+  }
+  if (text.startsWith('u8', end) || text.startsWith('U8', end)) end += 2;
+  return end;
+}
+
+function readQuoted(text, i, verbatim, interpolated) {
+  let j = i;
+  while (j < text.length) {
+    const ch = text[j];
+    if (ch === '\\' && !verbatim) {
+      j += 2;
+      continue;
+    }
+    if (ch === '"') {
+      if (verbatim && text[j + 1] === '"') {
+        j += 2;
+        continue;
+      }
+      return j + 1;
+    }
+    if (ch === '\n' && !verbatim) return j;
+    if (interpolated && ch === '{') {
+      if (text[j + 1] === '{') {
+        j += 2;
+        continue;
+      }
+      j = readHole(text, j + 1, 1);
+      continue;
+    }
+    j++;
+  }
+  return j;
+}
+
+// """...""" with at least as many closing quotes; $$"""...""" holes open with `dollars` braces.
+function readRawString(text, i, quotes, dollars) {
+  const fence = '"'.repeat(quotes);
+  let j = i + quotes;
+  while (j < text.length) {
+    if (text.startsWith(fence, j)) {
+      let end = j;
+      while (text[end] === '"') end++;
+      return end;
+    }
+    if (dollars > 0 && text[j] === '{') {
+      let run = 0;
+      while (text[j + run] === '{') run++;
+      if (run >= dollars) {
+        // Extra leading braces are literal content
+        j = readHole(text, j + run, dollars);
+        continue;
+      }
+      j += run;
+      continue;
+    }
+    j++;
+  }
+  return j;
+}
+
+// Yields tokens lazily so multi-megabyte sources never need a full token array.
+export function* scanTokens(text) {
+  const token = (kind, start, end) => ({ kind, text: text.slice(start, end), start, end });
+  let lineStart = true;
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '\n') {
+      lineStart = true;
+      i++;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\f' || ch === '\v' || ch === '\uFEFF') {
+      i++;
+      continue;
+    }
+    const atLineStart = lineStart;
+    lineStart = false;
+    if (ch === '#' && atLineStart) {
+      const nl = text.indexOf('\n', i);
+      const end = nl === -1 ? text.length : nl;
+      yield token('preprocessor', i, end);
+      i = end;
+      continue;
+    }
+    if (ch === '/' && (text[i + 1] === '/' || text[i + 1] === '*')) {
+      const end = readComment(text, i);
+      yield token('comment', i, end);
+      i = end;
+      continue;
+    }
+    if (ch === '"' || ch === '$' || (ch === '@' && (text[i + 1] === '"' || text[i + 1] === '$'))) {
+      const end = readLiteral(text, i);
+      if (end > i) {
+        yield token('string', i, end);
+        i = end;
+        continue;
+      }
+    }
+    if (ch === "'") {
+      const end = readChar(text, i);
+      yield token('char', i, end);
+      i = end;
+      continue;
+    }
+    if (isIdentifierStart(ch) || (ch === '@' && isIdentifierStart(text[i + 1] || ''))) {
+      let j = i + 1;
+      while (j < text.length && isIdentifierPart(text[j])) j++;
+      yield token('identifier', i, j);
+      i = j;
+      continue;
+    }
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(text[i + 1] || ''))) {
+      let j = i + 1;
+      while (j < text.length && (/[0-9A-Za-z_.]/.test(text[j]) || ((text[j] === '+' || text[j] === '-') && /[eE]/.test(text[j - 1])))) {
+        if (text[j] === '.' && !/[0-9]/.test(text[j + 1] || '')) break;
+        j++;
+      }
+      yield token('number', i, j);
+      i = j;
+      continue;
+    }
+    yield token('punctuation', i, i + 1);
+    i++;
+  }
+}
+
+export function tokenize(text) {
+  return [...scanTokens(text)];
+}
+
+// Same text with the contents of strings, chars, comments and preprocessor lines replaced by
+// spaces (line breaks kept), so offsets and line numbers still match the original.
+export function maskCode(text, tokens = tokenize(text)) {
+  let out = '';
+  let cursor = 0;
+  for (const t of tokens) {
+    if (t.kind === 'identifier' || t.kind === 'number' || t.kind === 'punctuation') continue;
+    out += text.slice(cursor, t.start) + t.text.replace(/[^\n]/g, ' ');
+    cursor = t.end;
+  }
+  return out + text.slice(cursor);
+}
+
+// Tokens that are code (not comments or preprocessor lines).
+export function codeTokens(text) {
+  return tokenize(text).filter(t => t.kind !== 'comment' && t.kind !== 'preprocessor');
+}
+
+// Code tokens with every `namespace A.B {` / `namespace A.B;` folded into one token
+// { kind: 'namespace', name, fileScoped, start, end }; a block declaration also opens a brace.
+export function* namespaceTokens(text) {
+  let declaring = null;
+  for (const t of scanTokens(text)) {
+    if (t.kind === 'comment' || t.kind === 'preprocessor') continue;
+    if (declaring) {
+      if (t.kind === 'identifier' || t.text === '.') {
+        declaring.name += t.text;
+        continue;
+      }
+      const pending = declaring;
+      declaring = null;
+      if (pending.name && (t.text === '{' || t.text === ';')) {
+        yield { kind: 'namespace', name: pending.name, fileScoped: t.text === ';', text: text.slice(pending.start, t.end), start: pending.start, end: t.end };
+        continue;
+      }
+    }
+    if (t.kind === 'identifier' && t.text === 'namespace') {
+      declaring = { start: t.start, name: '' };
+      continue;
+    }
+    yield t;
+  }
+}
+
+const TYPE_KEYWORDS = new Set(['class', 'struct', 'interface', 'enum', 'record']);
+const TYPE_MODIFIERS = new Set(['public', 'private', 'protected', 'internal', 'file', 'static', 'sealed', 'abstract', 'partial', 'readonly', 'unsafe', 'new', 'ref']);
+
+// Recognizes `class Foo`, `record struct Foo`, ... as tokens arrive. Returns
+// { keyword ('class', 'record struct', ...), name, token } on the name token of a declaration, null otherwise. `where T : class`
+// and other keyword uses not followed by a name are ignored. `record` is contextual, so it only
+// counts where a declaration can start: first in a member, or after modifiers or attributes
+// (`foreach (var record in items)` declares nothing), so callers must feed the token right
+// before each keyword, punctuation included.
+export function createTypeDeclarationReader() {
+  let keyword = null;
+  let prev = null;
+  const atDeclarationStart = () => {
+    if (!prev || prev.kind === 'namespace') return true;
+    if (prev.kind === 'identifier') return TYPE_MODIFIERS.has(prev.text);
+    return prev.kind === 'punctuation' && [';', '{', '}', ']'].includes(prev.text);
+  };
+  return t => {
+    const declarationStart = atDeclarationStart();
+    prev = t;
+    if (keyword) {
+      if (keyword === 'record' && (t.text === 'class' || t.text === 'struct')) {
+        keyword = `record ${t.text}`;
+        return null;
+      }
+      const kw = keyword;
+      keyword = null;
+      if (t.kind === 'identifier' && !TYPE_KEYWORDS.has(t.text)) return { keyword: kw, name: t.text, token: t };
+    }
+    if (t.kind === 'identifier' && TYPE_KEYWORDS.has(t.text) && (t.text !== 'record' || declarationStart)) keyword = t.text;
+    return null;
+  };
+}
+
+// Index of the token closing the brace/paren/bracket opened at tokens[open], or -1.
+export function matchingToken(tokens, open) {
+  const pairs = { '{': '}', '(': ')', '[': ']' };
+  const opener = tokens[open].text;
+  const closer = pairs[opener];
+  let depth = 0;
+  for (let k = open; k < tokens.length; k++) {
+    const t = tokens[k];
+    if (t.kind !== 'punctuation') continue;
+    if (t.text === opener) depth++;
+    else if (t.text === closer && --depth === 0) return k;
+  }
+  return -1;
+}
+
+// Reads a dotted name (A.B.C) starting at tokens[k]; returns { name, next } or null.
+export function readQualifiedName(tokens, k) {
+  if (!tokens[k] || tokens[k].kind !== 'identifier') return null;
+  let name = tokens[k].text;
+  let next = k + 1;
+  while (tokens[next]?.text === '.' && tokens[next + 1]?.kind === 'identifier') {
+    name += `.${tokens[next + 1].text}`;
+    next += 2;
+  }
+  return { name, next };
+}
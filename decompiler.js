@@ -1,98 +1,606 @@
 import * as fs from 'fs/promises';
 import * as path from 'path';
 import * as os from 'os';
-import { execAsync } from './utils.js';
-import { resolveIlspycmd } from './ilspy.js';
-import { MAX_BYTES, MAX_FILES } from './constants.js';
+import { runProcess, hashFile } from './utils.js';
+import { currentSignal } from './abort.js';
+import { resolveIlspycmd, getIlspycmdVersion } from './ilspy.js';
+import { createDiskCache } from './cache.js';
+import { splitIlByNamespace } from './il.js';
+import { scanTokens, codeTokens, maskCode, matchingToken, namespaceTokens, createTypeDeclarationReader } from './csharp.js';
+import { MAX_BYTES, MAX_FILES, CACHE_ROOT, CACHE_MAX_BYTES } from './constants.js';
 
+const decompileCache = createDiskCache({ root: CACHE_ROOT, maxBytes: CACHE_MAX_BYTES });
+
+// Output exceeded MAX_FILES/MAX_BYTES. A run-level condition: directory tools stop instead of
+// skipping the assembly that crossed the limit.
+export class OutputLimitError extends Error {}
+
+const LANGUAGES = { csharp: 'CSharp', 'c#': 'CSharp', cs: 'CSharp', il: 'IL', cil: 'IL', msil: 'IL' };
+
+// Output language of ilspycmd: 'CSharp' (default) or 'IL'.
+export function normalizeLanguage(language) {
+  if (!language) return 'CSharp';
+  const normalized = LANGUAGES[String(language).toLowerCase()];
+  if (!normalized) throw new Error(`Unsupported language ${language}; use CSharp or IL`);
+  return normalized;
+}
+
+// Maps 10, '7.3', 'CSharp10_0', 'latest' ... to ilspycmd's --languageversion names.
+export function normalizeLanguageVersion(version) {
+  if (version === null || version === undefined || version === '') return null;
+  const text = String(version).trim();
+  if (/^latest$/i.test(text)) return 'Latest';
+  if (/^preview$/i.test(text)) return 'Preview';
+  const m = /^(?:c(?:sharp|#)\s*)?(\d+)(?:[._](\d+))?$/i.exec(text);
+  if (!m) throw new Error(`Unsupported C# language version ${version}; use e.g. 7.3, 10, latest or preview`);
+  const major = Number(m[1]);
+  const minor = Number(m[2] || 0);
+  if (major < 1) throw new Error(`Unsupported C# language version ${version}`);
+  if (major >= 8) return `CSharp${major}_0`;
+  return minor ? `CSharp${major}_${minor}` : `CSharp${major}`;
+}
+
+// Launches are tied to the signal of the running tool call, so cancellation and timeouts kill
+// them; a call aborted while queued never starts its process.
 export function createExecLimiter(withConcurrencyLimit) {
-  return (cmd, signal) => withConcurrencyLimit(() => execAsync(cmd, { signal }));
+  return (command, args, options = {}) =>
+    withConcurrencyLimit(() => runProcess(command, args, { signal: currentSignal(), ...options }));
 }
 
-export async function decompileAndSplit({ assemblyPath, typeName, runExec }) {
+// Runs ilspycmd once per (assembly content, pdb, ilspycmd version, options) and keeps the
+// produced files in the on-disk cache so later tools and server restarts can reuse them.
+export async function decompileRaw({ assemblyPath, typeName, runExec, language = null, languageVersion = null }) {
+  const lang = normalizeLanguage(language);
+  const lv = lang === 'CSharp' ? normalizeLanguageVersion(languageVersion) : null;
   await fs.stat(assemblyPath);
-  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dotnetdc-'));
-  try {
-    const pdb = assemblyPath.replace(/\.(dll|exe)$/i, '.pdb');
-    try { const st = await fs.stat(pdb); if (st.isFile()) await fs.copyFile(pdb, path.join(tempDir, path.basename(pdb))); } catch {}
-    const ilspy = await resolveIlspycmd();
-    const args = [];
-    args.push(`-o "${tempDir}"`);
-    if (typeName) args.push(`-t "${typeName}"`);
-    const cmd = `${ilspy} ${args.join(' ')} "${assemblyPath}"`;
-    await runExec(cmd);
-    const files = [];
-    await collectCs(tempDir, files);
-  if (files.length > MAX_FILES) throw new Error(`Output too large: ${files.length} files exceeds limit ${MAX_FILES}`);
+  const ilspy = await resolveIlspycmd();
+  const pdb = assemblyPath.replace(/\.(dll|exe)$/i, '.pdb');
+  let pdbHash = null;
+  try { const st = await fs.stat(pdb); if (st.isFile()) pdbHash = await hashFile(pdb); } catch {}
+  const [assemblyHash, ilspyVersion] = await Promise.all([hashFile(assemblyPath), getIlspycmdVersion(ilspy)]);
+  const keyParts = { kind: 'ilspycmd', assemblyHash, pdbHash, ilspyVersion, options: { typeName: typeName || null, language: lang, languageVersion: lv } };
+  return decompileCache.getOrCompute(keyParts, async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dotnetdc-'));
+    try {
+      if (pdbHash) await fs.copyFile(pdb, path.join(tempDir, path.basename(pdb)));
+      const args = ['-o', tempDir];
+      if (typeName) args.push('-t', typeName);
+      if (lang === 'IL') args.push('-il');
+      if (lv) args.push('-lv', lv);
+      // Absolute, so a relative path starting with '-' can't be read as an option
+      args.push(path.resolve(assemblyPath));
+      await runExec(ilspy, args);
+      const produced = [];
+      await collectFiles(tempDir, produced);
+      const files = [];
+      for (const f of produced) {
+        if (pdbHash && path.basename(f) === path.basename(pdb)) continue;
+        files.push({ path: path.relative(tempDir, f).replace(/\\/g, '/'), content: await fs.readFile(f, 'utf8') });
+      }
+      files.sort((a, b) => a.path.localeCompare(b.path));
+      return { files };
+    } finally {
+      try { await fs.rm(tempDir, { recursive: true, force: true }); } catch {}
+    }
+  });
+}
+
+// `limits` enforces MAX_FILES/MAX_BYTES; paged callers turn it off and bound their responses instead.
+// IL output is split by the namespaces of its .class declarations and has no using lines.
+export async function decompileAndSplit({ assemblyPath, typeName, runExec, limits = true, language = null, languageVersion = null }) {
+  const lang = normalizeLanguage(language);
+  const { files } = await decompileRaw({ assemblyPath, typeName, runExec, language: lang, languageVersion });
+  const sources = files.filter(f => f.path.toLowerCase().endsWith(lang === 'IL' ? '.il' : '.cs'));
+  if (limits && sources.length > MAX_FILES) throw new OutputLimitError(`Output too large: ${sources.length} files exceeds limit ${MAX_FILES}`);
   const contents = [];
   let total = 0;
-  for (const f of files) {
-    const text = await fs.readFile(f, 'utf8');
-    total += text.length;
-    if (total > MAX_BYTES) throw new Error(`Output too large: ${total} bytes exceeds limit ${MAX_BYTES}`);
-    contents.push(text);
+  for (const f of sources) {
+    total += f.content.length;
+    if (limits && total > MAX_BYTES) throw new OutputLimitError(`Output too large: ${total} bytes exceeds limit ${MAX_BYTES}`);
+    contents.push(f.content);
   }
   const combined = contents.join('\n');
-  const firstNsIdx = combined.search(/\bnamespace\b/);
+  if (lang === 'IL') return { usingLines: '', nsMap: splitIlByNamespace(combined), combined };
+  let firstNsIdx = -1;
+  for (const t of namespaceTokens(combined)) {
+    if (t.kind === 'namespace') {
+      firstNsIdx = t.start;
+      break;
+    }
+  }
   const headerBlock = firstNsIdx > 0 ? combined.slice(0, firstNsIdx) : '';
   const usingLines = (headerBlock.match(/^using\s+[^;]+;\s*$/gm) || []).join('\n');
   const nsMap = splitByNamespace(combined);
   return { usingLines, nsMap, combined };
-  } finally {
-    try { await fs.rm(tempDir, { recursive: true, force: true }); } catch {}
-  }
 }
 
 async function dirExists(p) {
   try { const s = await fs.stat(p); return s.isDirectory(); } catch { return false; }
 }
 
-async function collectCs(dir, out) {
+async function collectFiles(dir, out) {
   const entries = await fs.readdir(dir, { withFileTypes: true });
   for (const e of entries) {
     const full = path.join(dir, e.name);
-    if (e.isDirectory()) await collectCs(full, out);
-    else if (e.isFile() && e.name.toLowerCase().endsWith('.cs')) out.push(full);
+    if (e.isDirectory()) await collectFiles(full, out);
+    else if (e.isFile()) out.push(full);
   }
 }
 
+// Innermost enclosing block namespace on a brace stack (null entries are other braces), or null.
+function innermostNamespace(stack) {
+  for (let k = stack.length - 1; k >= 0; k--) if (stack[k]) return stack[k];
+  return null;
+}
+
+// Namespace -> code declared in it. Nested block namespaces get their qualified name and code
+// outside any namespace goes to '(global)'. Built on the lexer, so braces and keywords inside
+// strings, chars and comments don't count.
 export function splitByNamespace(text) {
   const result = new Map();
-  const tokens = [];
-  const nsRegex = /\bnamespace\s+([A-Za-z_][A-Za-z0-9_\.]*)\s*(;|\{)/g;
-  let match;
-  while ((match = nsRegex.exec(text)) !== null) {
-    tokens.push({ index: match.index, name: match[1], kind: match[2] === ';' ? 'file' : 'block' });
-  }
-  if (tokens.length === 0) { result.set('(global)', text); return result; }
-  const append = (ns, chunk) => { if (!chunk) return; const prev = result.get(ns) || ''; result.set(ns, prev + chunk.trim() + '\n'); };
+  const append = (ns, chunk) => {
+    if (!chunk.trim()) return;
+    result.set(ns, (result.get(ns) || '') + chunk.trim() + '\n');
+  };
+  const stack = [];
+  let fileNamespace = null;
   let cursor = 0;
-  for (let i = 0; i < tokens.length; i++) {
-    const t = tokens[i];
-    if (i === 0 && t.index > cursor) append('(global)', text.slice(cursor, t.index));
-    if (t.kind === 'file') {
-      const start = nsRegex.lastIndex;
-      const nextIdx = i + 1 < tokens.length ? tokens[i + 1].index : text.length;
-      append(t.name, text.slice(start, nextIdx));
-      cursor = nextIdx;
-    } else {
-      let braceStart = text.indexOf('{', t.index);
-      if (braceStart === -1) continue;
-      let depth = 0; let j = braceStart;
-      while (j < text.length) { const ch = text[j++]; if (ch === '{') depth++; else if (ch === '}') { depth--; if (depth === 0) break; } }
-      const nextIdx = j; append(t.name, text.slice(braceStart + 1, nextIdx - 1)); cursor = nextIdx;
-    }
-  }
-  if (cursor < text.length) append('(global)', text.slice(cursor));
+  const currentNamespace = () => innermostNamespace(stack) || fileNamespace || '(global)';
+  for (const t of namespaceTokens(text)) {
+    if (t.kind === 'namespace') {
+      const outer = innermostNamespace(stack);
+      append(currentNamespace(), text.slice(cursor, t.start));
+      if (t.fileScoped) fileNamespace = t.name;
+      else stack.push(outer ? `${outer}.${t.name}` : t.name);
+      cursor = t.end;
+    } else if (t.text === '{' && t.kind === 'punctuation') {
+      stack.push(null);
+    } else if (t.text === '}' && t.kind === 'punctuation') {
+      const closed = stack.pop();
+      if (closed) {
+        append(closed, text.slice(cursor, t.start));
+        cursor = t.end;
+      }
+    }
+  }
+  append(currentNamespace(), text.slice(cursor));
   return result;
 }
 
+// Declared namespaces in source order (qualified for nested blocks), duplicates included.
 export function extractNamespaces(text) {
   const namespaces = [];
-  const re = /\bnamespace\s+([A-Za-z_][A-Za-z0-9_\.]*)\s*(?:;|\{)/g;
-  let m;
-  while ((m = re.exec(text)) !== null) namespaces.push(m[1]);
+  const stack = [];
+  for (const t of namespaceTokens(text)) {
+    if (t.kind === 'namespace') {
+      const outer = innermostNamespace(stack);
+      const name = !t.fileScoped && outer ? `${outer}.${t.name}` : t.name;
+      namespaces.push(name);
+      if (!t.fileScoped) stack.push(name);
+    } else if (t.kind === 'punctuation' && t.text === '{') {
+      stack.push(null);
+    } else if (t.kind === 'punctuation' && t.text === '}') {
+      stack.pop();
+    }
+  }
   return namespaces;
 }
 
+// Maps every line (1-based) of a C# file to its enclosing namespace and type path.
+export function outlineSource(text) {
+  const lines = text.split('\n');
+  const scopes = [];
+  const stack = [];
+  let fileNamespace = null;
+  let pending = null;
+  const readDeclaration = createTypeDeclarationReader();
+  const current = () => {
+    let namespace = fileNamespace;
+    const types = [];
+    for (const s of stack) {
+      if (s.kind === 'namespace') namespace = namespace ? `${namespace}.${s.name}` : s.name;
+      else if (s.kind === 'type') types.push(s.name);
+    }
+    return { namespace: namespace || null, type: types.length ? types.join('.') : null };
+  };
+  const tokens = namespaceTokens(text);
+  let next = tokens.next();
+  let lineEnd = -1;
+  for (let i = 0; i < lines.length; i++) {
+    lineEnd += lines[i].length + 1;
+    for (; !next.done && next.value.start < lineEnd; next = tokens.next()) {
+      const t = next.value;
+      if (t.kind === 'namespace') {
+        if (t.fileScoped) {
+          fileNamespace = t.name;
+        } else {
+          stack.push({ kind: 'namespace', name: t.name });
+          pending = null;
+        }
+        continue;
+      }
+      const decl = readDeclaration(t);
+      if (decl) {
+        pending = { kind: 'type', name: decl.name };
+        if (!scopes[i + 1]) scopes[i + 1] = { namespace: current().namespace, type: [...stack.filter(s => s.kind === 'type').map(s => s.name), decl.name].join('.') };
+      } else if (t.kind === 'punctuation' && t.text === '{') {
+        stack.push(pending || { kind: 'block' });
+        pending = null;
+      } else if (t.kind === 'punctuation' && t.text === '}') {
+        stack.pop();
+      } else if (t.kind === 'punctuation' && t.text === ';' && pending) {
+        // positional record without a body
+        pending = null;
+      }
+    }
+    if (!scopes[i + 1]) scopes[i + 1] = current();
+  }
+  return scopes;
+}
+
+// Cuts a C# file into contiguous slices, one per top-level type (leading attributes and comments
+// stay with their type); joining the slices gives back the original text.
+export function splitSourceAtTypes(text) {
+  const lines = text.split('\n');
+  const scopes = outlineSource(text);
+  const starts = [0];
+  let prev = null;
+  for (let i = 0; i < lines.length; i++) {
+    const type = scopes[i + 1]?.type?.split('.')[0] || null;
+    if (!type) continue;
+    if (prev && type !== prev) {
+      let start = i;
+      while (start - 1 > starts[starts.length - 1] && /^\s*(?:\[|\/\/)/.test(lines[start - 1])) start--;
+      starts.push(start);
+    }
+    prev = type;
+  }
+  return starts.map((start, k) => {
+    const end = k + 1 < starts.length ? starts[k + 1] : lines.length;
+    const slice = lines.slice(start, end).join('\n');
+    return end < lines.length ? `${slice}\n` : slice;
+  });
+}
+
+const TYPE_KEYWORDS = ['class', 'struct', 'interface', 'enum', 'record'];
+const CLR_KEYWORDS = {
+  Boolean: 'bool', Byte: 'byte', SByte: 'sbyte', Char: 'char', Int16: 'short', UInt16: 'ushort', Int32: 'int', UInt32: 'uint',
+  Int64: 'long', UInt64: 'ulong', Single: 'float', Double: 'double', Decimal: 'decimal', String: 'string', Object: 'object',
+  Void: 'void', IntPtr: 'nint', UIntPtr: 'nuint',
+};
+
+// Finds the body (text between the outer braces) of the declaration of `typeName` in C# code.
+// Accepts Namespace.Type, Outer+Inner and generic arity suffixes (Foo`1).
+export function findTypeBody(code, typeName) {
+  const simple = typeName.split(/[.+]/).pop().replace(/`\d+$/, '');
+  const readDeclaration = createTypeDeclarationReader();
+  let decl = null;
+  let parens = 0;
+  let open = null;
+  let depth = 0;
+  for (const t of scanTokens(code)) {
+    if (t.kind === 'comment' || t.kind === 'preprocessor') continue;
+    if (open) {
+      if (t.kind !== 'punctuation') continue;
+      if (t.text === '{') depth++;
+      else if (t.text === '}' && --depth === 0) return typeBodyResult(code, decl, open, t.start);
+      continue;
+    }
+    if (decl) {
+      // The body is the first `{` outside the parameter list of a positional record; `;` means none
+      if (t.kind !== 'punctuation') continue;
+      if (t.text === '(' || t.text === '[') parens++;
+      else if (t.text === ')' || t.text === ']') parens--;
+      else if (parens === 0 && t.text === ';') decl = null;
+      else if (parens === 0 && t.text === '{') {
+        open = t;
+        depth = 1;
+      }
+      continue;
+    }
+    const found = readDeclaration(t);
+    if (found && found.name === simple) {
+      decl = found;
+      parens = 0;
+    }
+  }
+  return open ? typeBodyResult(code, decl, open, code.length) : null;
+}
+
+function typeBodyResult(code, decl, open, closeAt) {
+  const lineStart = code.lastIndexOf('\n', decl.token.start) + 1;
+  return {
+    header: code.slice(lineStart, open.start).trim(),
+    body: code.slice(open.start + 1, closeAt),
+    bodyStartLine: code.slice(0, open.start + 1).split('\n').length,
+  };
+}
+
+// Generic arity of the declaration whose name is tokens[k]: the number of parameters in a
+// `<...>` list right after the name.
+function genericArity(tokens, k) {
+  if (tokens[k + 1]?.text !== '<') return 0;
+  let depth = 0;
+  let arity = 1;
+  for (let n = k + 1; n < tokens.length; n++) {
+    const text = tokens[n].text;
+    if (text === '<') depth++;
+    else if (text === '>' && --depth === 0) return arity;
+    else if (text === ',' && depth === 1) arity++;
+  }
+  return arity;
+}
+
+// Metadata-style name: Foo, Foo`1 (generic), Outer+Inner for nested types.
+function metadataName(name, arity) {
+  return arity ? `${name}\`${arity}` : name;
+}
+
+// Index of the token ending a declaration whose name is tokens[k]: the `}` closing its body, or
+// the `;` of a body-less positional record.
+function declarationEnd(tokens, k) {
+  let parens = 0;
+  for (let n = k + 1; n < tokens.length; n++) {
+    const x = tokens[n];
+    if (x.kind !== 'punctuation') continue;
+    if (x.text === '(' || x.text === '[') parens++;
+    else if (x.text === ')' || x.text === ']') parens--;
+    else if (parens === 0 && x.text === ';') return { open: -1, end: n };
+    else if (parens === 0 && x.text === '{') {
+      const close = matchingToken(tokens, n);
+      return { open: n, end: close === -1 ? tokens.length - 1 : close };
+    }
+  }
+  return { open: -1, end: tokens.length - 1 };
+}
+
+// Types declared inside tokens[open..close], as Outer+Inner paths relative to `parent`.
+function nestedTypeNames(tokens, open, close, parent) {
+  const names = [];
+  const readDeclaration = createTypeDeclarationReader();
+  let depth = 0;
+  for (let k = open + 1; k < close; k++) {
+    const t = tokens[k];
+    if (t.kind === 'punctuation' && t.text === '{') depth++;
+    else if (t.kind === 'punctuation' && t.text === '}') depth--;
+    const decl = depth === 0 ? readDeclaration(t) : null;
+    if (!decl) continue;
+    const name = `${parent}+${metadataName(decl.name, genericArity(tokens, k))}`;
+    names.push(name);
+    const { open: innerOpen, end } = declarationEnd(tokens, k);
+    if (innerOpen !== -1) names.push(...nestedTypeNames(tokens, innerOpen, end, name));
+    // The skipped declaration's closing `}` or `;` is where the next one may start
+    readDeclaration(tokens[end]);
+    k = end;
+  }
+  return names;
+}
+
+// Trims a declaration cut out of a namespace block and removes the block's indentation, taken
+// from the line of its closing brace, from every line.
+function dedentDeclaration(text) {
+  const lines = text.trim().split('\n');
+  const indent = /^[ \t]*/.exec(text.trimEnd().slice(text.trimEnd().lastIndexOf('\n') + 1))[0];
+  if (!indent || lines.length < 2) return lines.join('\n');
+  return lines.map(line => (line.startsWith(indent) ? line.slice(indent.length) : line)).join('\n');
+}
+
+export function listTopLevelTypes(code) {
+  const declarations = [];
+  const tokens = codeTokens(code);
+  const readDeclaration = createTypeDeclarationReader();
+  let depth = 0;
+  let boundary = 0;
+  let boundaryToken = 0;
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    if (t.kind === 'punctuation') {
+      readDeclaration(t);
+      if (t.text === '{') depth++;
+      else if (t.text === '}' && --depth === 0) boundary = t.end;
+      else if (t.text === ';' && depth === 0) boundary = t.end;
+      if (depth === 0 && (t.text === '}' || t.text === ';')) boundaryToken = k + 1;
+      continue;
+    }
+    const decl = depth === 0 ? readDeclaration(t) : null;
+    if (!decl) continue;
+    const arity = genericArity(tokens, k);
+    const name = metadataName(decl.name, arity);
+    const { open, end } = declarationEnd(tokens, k);
+    const modifiers = tokens.slice(boundaryToken, k).map(m => m.text);
+    const text = code.slice(boundary, tokens[end] ? tokens[end].end : code.length);
+    declarations.push({
+      name,
+      simpleName: decl.name,
+      kind: decl.keyword,
+      genericArity: arity,
+      partial: modifiers.includes('partial'),
+      nestedTypes: open === -1 ? [] : nestedTypeNames(tokens, open, end, name),
+      code: dedentDeclaration(text),
+      startLine: code.slice(0, boundary + text.length - text.trimStart().length).split('\n').length,
+    });
+    boundary = tokens[end] ? tokens[end].end : code.length;
+    boundaryToken = end + 1;
+    readDeclaration(tokens[end]);
+    k = end;
+  }
+  return declarations;
+}
+
+// Metadata type name -> code; partial declarations of one type are joined.
+export function splitTopLevelTypes(code) {
+  const result = new Map();
+  for (const decl of listTopLevelTypes(code)) {
+    result.set(decl.name, result.has(decl.name) ? `${result.get(decl.name)}\n\n${decl.code}` : decl.code);
+  }
+  return result;
+}
+
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '(' || ch === '<' || ch === '[' || ch === '{') depth++;
+    else if (ch === ')' || ch === '>' || ch === ']' || ch === '}') depth--;
+    else if (ch === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+export function normalizeTypeName(name) {
+  return name
+    .replace(/\s+/g, '')
+    .replace(/global::/g, '')
+    .replace(/[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)+/g, q => q.split('.').pop())
+    .replace(/[A-Za-z_][A-Za-z0-9_]*/g, id => CLR_KEYWORDS[id] || id)
+    .replace(/`\d+/g, '');
+}
 
+function parseParameters(list) {
+  return splitTopLevel(list, ',').map(p => {
+    const cleaned = p
+      .replace(/^(\[[^\]]*\]\s*)+/, '')
+      .replace(/=.*$/s, '')
+      .replace(/^(?:(?:this|ref|out|in|params|scoped|readonly)\s+)+/, '')
+      .trim();
+    const m = /^(.*?)\s*\b([A-Za-z_@][A-Za-z0-9_]*)$/s.exec(cleaned);
+    return m ? m[1].trim() : cleaned;
+  });
+}
+
+// Index of the first top-level occurrence of any of `chars`, skipping (), [] and <> groups.
+function indexOfTopLevel(text, chars) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (depth === 0 && chars.includes(ch)) {
+      if (ch === '=' && (text[i + 1] === '>' || text[i + 1] === '=' || text[i - 1] === '=' || text[i - 1] === '!')) {
+        if (text[i + 1] === '>' && chars.includes('=>')) return i;
+        continue;
+      }
+      return i;
+    }
+    if (ch === '(' || ch === '[' || ch === '<') depth++;
+    else if (ch === ')' || ch === ']' || ch === '>') depth--;
+  }
+  return -1;
+}
+
+function describeMember(chunk, typeSimpleName) {
+  // Skip leading comments and attributes to get at the declaration header. The analysis runs on
+  // masked text (string and comment contents blanked), `signature` keeps the original.
+  const tokens = codeTokens(chunk);
+  let k = 0;
+  while (tokens[k] && tokens[k].text === '[') {
+    const close = matchingToken(tokens, k);
+    k = close === -1 ? tokens.length : close + 1;
+  }
+  const declStart = tokens[k] ? tokens[k].start : chunk.length;
+  const decl = maskCode(chunk).slice(declStart).trim();
+  const headerEnd = indexOfTopLevel(decl, ['{', ';', '=', '=>']);
+  const header = (headerEnd === -1 ? decl : decl.slice(0, headerEnd)).trim();
+  const signature = chunk.slice(declStart, declStart + header.length);
+  const paren = header.indexOf('(');
+  const typeDecl = new RegExp(`\\b(?:${TYPE_KEYWORDS.join('|')})\\s+([A-Za-z_][A-Za-z0-9_]*)`).exec(header);
+  // `where T : class` constraints come after the parameter list, positional records before it
+  if (typeDecl && (paren === -1 || typeDecl.index < paren)) return { kind: 'type', name: typeDecl[1], parameters: null, signature };
+  if (/\bdelegate\b/.test(header) && paren !== -1) {
+    const name = /([A-Za-z_][A-Za-z0-9_]*)\s*(?:<[^>]*>)?\s*$/.exec(header.slice(0, paren));
+    return { kind: 'type', name: name ? name[1] : '', parameters: null, signature };
+  }
+  if (/\bevent\b/.test(header)) {
+    const names = header.replace(/^.*?\bevent\b/, '').trim().split(',').map(n => n.trim().split(/\s+/).pop());
+    return { kind: 'event', name: names[0], names, parameters: null, signature };
+  }
+  const indexer = /\bthis\s*\[([\s\S]*)\]\s*$/.exec(header);
+  if (indexer) return { kind: 'indexer', name: 'this[]', parameters: parseParameters(indexer[1]), signature };
+  if (paren !== -1) {
+    const before = header.slice(0, paren).trim();
+    let close = paren;
+    for (let depth = 0; close < header.length; close++) {
+      if (header[close] === '(') depth++;
+      else if (header[close] === ')' && --depth === 0) break;
+    }
+    const params = parseParameters(header.slice(paren + 1, close));
+    const op = /\boperator\s*(\S+)$/.exec(before);
+    if (op) return { kind: 'operator', name: `operator ${op[1]}`, parameters: params, signature };
+    const unmodified = before.replace(/^(?:(?:public|private|protected|internal|static|extern|unsafe)\s+)*/, '').trim();
+    if (unmodified === typeSimpleName) return { kind: 'constructor', name: typeSimpleName, parameters: params, signature };
+    if (unmodified === `~${typeSimpleName}`) return { kind: 'destructor', name: unmodified, parameters: params, signature };
+    // Last identifier before optional generic arguments; also covers explicit IFoo.Bar implementations
+    const name = /([A-Za-z_][A-Za-z0-9_]*)\s*(?:<[^()]*>)?\s*$/.exec(before);
+    return { kind: 'method', name: name ? name[1] : before, parameters: params, signature };
+  }
+  if (decl.slice(headerEnd, headerEnd + 1) === '{' || decl.slice(headerEnd, headerEnd + 2) === '=>') {
+    const name = /([A-Za-z_][A-Za-z0-9_]*)\s*$/.exec(header);
+    return { kind: 'property', name: name ? name[1] : header, parameters: null, signature };
+  }
+  const names = splitTopLevel(decl.slice(0, indexOfTopLevel(decl, [';'])), ',').map(part => {
+    const m = /([A-Za-z_@][A-Za-z0-9_]*)\s*(?:=[\s\S]*)?$/.exec(part);
+    return m ? m[1] : part;
+  });
+  const first = /([A-Za-z_@][A-Za-z0-9_]*)\s*$/.exec(header);
+  return { kind: 'field', name: first ? first[1] : header, names, parameters: null, signature };
+}
+
+// Index of the `;` ending the statement that continues at tokens[k], skipping nested groups.
+function endOfStatement(tokens, k) {
+  let depth = 0;
+  for (; k < tokens.length; k++) {
+    const text = tokens[k].kind === 'punctuation' ? tokens[k].text : '';
+    if (text === '(' || text === '[' || text === '{') depth++;
+    else if (text === ')' || text === ']' || text === '}') depth--;
+    else if (text === ';' && depth === 0) return k;
+  }
+  return tokens.length;
+}
+
+// Splits a type body into its member declarations (leading comments/attributes included).
+export function splitMembers(body, typeName) {
+  const typeSimpleName = typeName.split(/[.+]/).pop().replace(/`\d+$/, '');
+  const members = [];
+  let depth = 0;
+  let start = 0;
+  let parens = 0;
+  const lineOf = idx => body.slice(0, idx).split('\n').length;
+  const push = end => {
+    const raw = body.slice(start, end);
+    const text = raw.replace(/^\s*\n/, '').replace(/\s+$/, '');
+    if (text.trim()) {
+      const info = describeMember(text, typeSimpleName);
+      members.push({ ...info, code: text, startLine: lineOf(start + raw.indexOf(text.trimStart())) });
+    }
+    start = end;
+  };
+  const tokens = codeTokens(body);
+  for (let k = 0; k < tokens.length; k++) {
+    const t = tokens[k];
+    if (t.kind !== 'punctuation') continue;
+    if (t.text === '(') parens++;
+    else if (t.text === ')') parens--;
+    else if (t.text === '{') depth++;
+    else if (t.text === '}') {
+      depth--;
+      if (depth === 0 && parens === 0) {
+        // Property initializers follow the accessor block: `{ get; set; } = value;`
+        const next = tokens[k + 1];
+        const arrow = next && tokens[k + 2] && tokens[k + 2].text === '>' && tokens[k + 2].start === next.end;
+        if (next && next.text === '=' && !arrow) {
+          k = endOfStatement(tokens, k + 1);
+        } else if (next && next.text === ';') {
+          k++;
+        }
+        push(k < tokens.length ? tokens[k].end : body.length);
+      }
+    } else if (t.text === ';' && depth === 0 && parens === 0) {
+      push(t.end);
+    }
+  }
+  return members;
+}
@@ -0,0 +1,253 @@
+import { findTypeBody, splitMembers } from './decompiler.js';
+
+// A bisection gives up after this many steps and reports its range as one delete + insert, so a
+// rewritten giant type can't block the event loop for long.
+const MAX_BISECT_STEPS = 5000;
+
+// Myers O(ND) line diff in linear space: each range is split at the middle snake of its shortest
+// edit script and the halves are diffed recursively. Returns [{ op: ' ' | '-' | '+', line }] in order.
+export function diffLines(a, b) {
+  const ops = [];
+  const compare = (aStart, aEnd, bStart, bEnd) => {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+      ops.push({ op: ' ', line: a[aStart++] });
+      bStart++;
+    }
+    let common = 0;
+    while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+      aEnd--;
+      bEnd--;
+      common++;
+    }
+    const split = aStart < aEnd && bStart < bEnd ? middleSnake(a, b, aStart, aEnd, bStart, bEnd) : null;
+    if (split) {
+      compare(aStart, split.x, bStart, split.y);
+      compare(split.x, aEnd, split.y, bEnd);
+    } else {
+      for (let i = aStart; i < aEnd; i++) ops.push({ op: '-', line: a[i] });
+      for (let i = bStart; i < bEnd; i++) ops.push({ op: '+', line: b[i] });
+    }
+    for (let i = 0; i < common; i++) ops.push({ op: ' ', line: a[aEnd + i] });
+  };
+  compare(0, a.length, 0, b.length);
+  return ops;
+}
+
+// Walks the edit graph of a[aStart..aEnd) x b[bStart..bEnd) from both corners until the paths
+// meet. Returns the point { x, y } where the forward path reaches the overlap, or null when the
+// step budget runs out. Both ranges are non-empty and differ in their first and last lines, so the
+// point is never a corner.
+function middleSnake(a, b, aStart, aEnd, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const maxD = Math.min(Math.ceil((n + m) / 2), MAX_BISECT_STEPS);
+  const offset = maxD + 1;
+  // Furthest x reached on each diagonal k = x - y, forwards and (from the end) backwards
+  const forward = new Int32Array(2 * offset + 1).fill(-1);
+  const backward = new Int32Array(2 * offset + 1).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+  const delta = n - m;
+  // With an odd delta the forward pass finds the overlap, with an even one the backward pass
+  const odd = delta % 2 !== 0;
+  // Diagonals that ran off the graph are skipped from then on
+  let fStart = 0;
+  let fEnd = 0;
+  let bkStart = 0;
+  let bkEnd = 0;
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + fStart; k <= d - fEnd; k += 2) {
+      const i = offset + k;
+      let x = k === -d || (k !== d && forward[i - 1] < forward[i + 1]) ? forward[i + 1] : forward[i - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[i] = x;
+      if (x > n) fEnd += 2;
+      else if (y > m) fStart += 2;
+      else if (odd) {
+        const j = offset + delta - k;
+        if (j >= 0 && j < backward.length && backward[j] !== -1 && x >= n - backward[j]) return { x: aStart + x, y: bStart + y };
+      }
+    }
+    for (let k = -d + bkStart; k <= d - bkEnd; k += 2) {
+      const i = offset + k;
+      let x = k === -d || (k !== d && backward[i - 1] < backward[i + 1]) ? backward[i + 1] : backward[i - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aEnd - x - 1] === b[bEnd - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[i] = x;
+      if (x > n) bkEnd += 2;
+      else if (y > m) bkStart += 2;
+      else if (!odd) {
+        const j = offset + delta - k;
+        if (j >= 0 && j < forward.length && forward[j] !== -1) {
+          const fx = forward[j];
+          if (fx >= n - x) return { x: aStart + fx, y: bStart + fx - (j - offset) };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Unified diff (---/+++/@@ hunks) of two texts; '' when they are equal.
+export function unifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) {
+  if (oldText === newText) return '';
+  const ops = diffLines(oldText.split('\n'), newText.split('\n'));
+  const changed = [];
+  ops.forEach((o, i) => { if (o.op !== ' ') changed.push(i); });
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows overlap into hunks
+  const hunks = [];
+  for (const i of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && i - last.end <= context * 2 + 1) last.end = i;
+    else hunks.push({ start: i, end: i });
+  }
+
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  let oldLine = 1;
+  let newLine = 1;
+  let pos = 0;
+  for (const h of hunks) {
+    const from = Math.max(0, h.start - context);
+    const to = Math.min(ops.length - 1, h.end + context);
+    for (; pos < from; pos++) {
+      if (ops[pos].op !== '+') oldLine++;
+      if (ops[pos].op !== '-') newLine++;
+    }
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    for (let i = from; i <= to; i++) {
+      const o = ops[i];
+      body.push(`${o.op}${o.line}`);
+      if (o.op !== '+') oldCount++;
+      if (o.op !== '-') newCount++;
+    }
+    out.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`, ...body);
+    oldLine += oldCount;
+    newLine += newCount;
+    pos = to + 1;
+  }
+  return out.join('\n');
+}
+
+function memberKey(member) {
+  return member.parameters ? `${member.name}(${member.parameters.join(', ')})` : member.name;
+}
+
+// Members keyed by name + parameter list; duplicates (e.g. conversion operators) get a #n suffix.
+function membersByKey(typeCode, typeName) {
+  const type = findTypeBody(typeCode, typeName);
+  const members = new Map();
+  if (!type) return members;
+  for (const m of splitMembers(type.body, typeName)) {
+    let key = memberKey(m);
+    for (let n = 2; members.has(key); n++) key = `${memberKey(m)}#${n}`;
+    members.set(key, m.code);
+  }
+  return members;
+}
+
+function compareKeys(before, after) {
+  const added = [...after.keys()].filter(k => !before.has(k)).sort();
+  const removed = [...before.keys()].filter(k => !after.has(k)).sort();
+  const common = [...before.keys()].filter(k => after.has(k)).sort();
+  return { added, removed, common };
+}
+
+// Compares two decompiled snapshots, each Map<namespace, Map<typeName, code>>.
+export function diffSnapshots(before, after, { contextLines = 3, includeDiffs = true } = {}) {
+  const ns = compareKeys(before, after);
+  const result = {
+    namespaces: { added: ns.added, removed: ns.removed, changed: [] },
+    types: { added: [], removed: [], changed: [] },
+  };
+  for (const name of ns.added) for (const type of after.get(name).keys()) result.types.added.push({ namespace: name, name: type });
+  for (const name of ns.removed) for (const type of before.get(name).keys()) result.types.removed.push({ namespace: name, name: type });
+  for (const name of ns.common) {
+    const oldTypes = before.get(name);
+    const newTypes = after.get(name);
+    const types = compareKeys(oldTypes, newTypes);
+    let nsChanged = types.added.length > 0 || types.removed.length > 0;
+    for (const type of types.added) result.types.added.push({ namespace: name, name: type });
+    for (const type of types.removed) result.types.removed.push({ namespace: name, name: type });
+    for (const type of types.common) {
+      const oldCode = oldTypes.get(type);
+      const newCode = newTypes.get(type);
+      if (oldCode === newCode) continue;
+      nsChanged = true;
+      const oldMembers = membersByKey(oldCode, type);
+      const newMembers = membersByKey(newCode, type);
+      const members = compareKeys(oldMembers, newMembers);
+      const entry = {
+        namespace: name,
+        name: type,
+        members: {
+          added: members.added,
+          removed: members.removed,
+          changed: members.common.filter(k => oldMembers.get(k) !== newMembers.get(k)),
+        },
+      };
+      if (includeDiffs) {
+        const label = name === '(global)' ? type : `${name}.${type}`;
+        entry.diff = unifiedDiff(oldCode, newCode, { oldLabel: `a/${label}`, newLabel: `b/${label}`, context: contextLines });
+      }
+      result.types.changed.push(entry);
+    }
+    if (nsChanged) result.namespaces.changed.push(name);
+  }
+  return result;
+}
+
+export function isEmptyDiff(diff) {
+  return (
+    diff.namespaces.added.length + diff.namespaces.removed.length + diff.namespaces.changed.length +
+    diff.types.added.length + diff.types.removed.length + diff.types.changed.length
+  ) === 0;
+}
+
+function qualified(t) {
+  return t.namespace === '(global)' ? t.name : `${t.namespace}.${t.name}`;
+}
+
+// Human-readable report as page chunks: the overview (one block per assembly), then one chunk per
+// unified diff. Joined, the chunks are the whole report.
+export function diffReportChunks(assemblies) {
+  const lines = [];
+  const diffs = [];
+  for (const a of assemblies) {
+    lines.push(`${a.assembly}: ${a.status}${a.reason ? ` (${a.reason})` : ''}`);
+    if (!a.diff) continue;
+    const { namespaces, types } = a.diff;
+    for (const n of namespaces.added) lines.push(`  + namespace ${n}`);
+    for (const n of namespaces.removed) lines.push(`  - namespace ${n}`);
+    for (const t of types.added) lines.push(`  + type ${qualified(t)}`);
+    for (const t of types.removed) lines.push(`  - type ${qualified(t)}`);
+    for (const t of types.changed) {
+      const { added, removed, changed } = t.members;
+      lines.push(`  ~ type ${qualified(t)} (+${added.length} -${removed.length} ~${changed.length} members)`);
+      for (const m of added) lines.push(`      + ${m}`);
+      for (const m of removed) lines.push(`      - ${m}`);
+      for (const m of changed) lines.push(`      ~ ${m}`);
+      if (t.diff) diffs.push({ text: `\n\n${t.diff}`, assembly: a.assembly, type: qualified(t) });
+    }
+  }
+  return [{ text: lines.join('\n') }, ...diffs];
+}
+
+// The assemblies without their unified diffs, which are served page by page in the text output.
+export function withoutUnifiedDiffs(assemblies) {
+  return assemblies.map(a => {
+    if (!a.diff) return a;
+    const changed = a.diff.types.changed.map(({ diff, ...rest }) => rest);
+    return { ...a, diff: { ...a.diff, types: { ...a.diff.types, changed } } };
+  });
+}
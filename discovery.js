@@ -0,0 +1,168 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+import { hashFile } from './utils.js';
+import { isPackagePath, extractPackageAssemblies } from './nupkg.js';
+
+// Finds the assemblies a directory tool should work on. Native DLLs, identical copies and files
+// filtered out by include/exclude/maxDepth never reach ilspycmd; each one is reported in
+// `skipped` with a category (native, duplicate, excluded or failed).
+
+export const SKIP_CATEGORIES = ['native', 'duplicate', 'excluded', 'failed'];
+
+const HEADER_BYTES = 4096;
+
+async function readAt(handle, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+// 'managed' when the PE image has a CLI header, 'native' for other PE images and 'not-pe' for
+// anything else. Only the headers are read, so this is cheap even for large files.
+export async function peImageKind(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const head = await readAt(handle, 0, HEADER_BYTES);
+    if (head.length < 0x40 || head.readUInt16LE(0) !== 0x5a4d) return 'not-pe';
+    const peOffset = head.readUInt32LE(0x3c);
+    // The optional header with its data directories fits in 264 bytes after the PE signature
+    const pe = peOffset + 264 <= head.length ? head.subarray(peOffset) : await readAt(handle, peOffset, 264);
+    if (pe.length < 24 || pe.readUInt32LE(0) !== 0x00004550) return 'not-pe';
+    const opt = 24;
+    const magic = pe.readUInt16LE(opt);
+    if (magic !== 0x10b && magic !== 0x20b) return 'not-pe';
+    const pe32Plus = magic === 0x20b;
+    const countAt = opt + (pe32Plus ? 108 : 92);
+    const cliAt = opt + (pe32Plus ? 112 : 96) + 14 * 8;
+    if (cliAt + 8 > pe.length || pe.readUInt32LE(countAt) < 15) return 'native';
+    return pe.readUInt32LE(cliAt) !== 0 && pe.readUInt32LE(cliAt + 4) !== 0 ? 'managed' : 'native';
+  } finally {
+    await handle.close();
+  }
+}
+
+// Glob on '/'-separated relative paths, case-insensitive: `**` spans directories, `*` and `?`
+// stay within one segment. Patterns without a '/' match the file name at any depth.
+export function globToRegExp(pattern) {
+  let glob = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  const anyDir = !glob.includes('/');
+  if (glob.startsWith('/')) glob = glob.slice(1);
+  let body = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        body += '(?:.*/)?';
+        i += 2;
+      } else {
+        body += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      body += '[^/]*';
+    } else if (c === '?') {
+      body += '[^/]';
+    } else {
+      body += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${anyDir ? '(?:.*/)?' : ''}${body}$`, 'i');
+}
+
+function toPatternList(value, name) {
+  if (value === null || value === undefined) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.every(p => typeof p === 'string' && p)) throw new Error(`${name} must be a list of glob patterns`);
+  return list.map(globToRegExp);
+}
+
+// Assemblies under rootDir (or inside a .nupkg given as rootDir), in a stable walk order.
+// `include`/`exclude` globs apply to paths relative to rootDir (a .nupkg is matched by its own
+// path), `maxDepth` limits how many directory levels below rootDir are scanned (0: rootDir only).
+// Packages are extracted for `framework` and reported through `packages`.
+export async function discoverAssemblies(rootDir, { framework = null, packages = [], skipped = [], include = null, exclude = null, maxDepth = null } = {}) {
+  const includes = toPatternList(include, 'include');
+  const excludes = toPatternList(exclude, 'exclude');
+  if (maxDepth !== null && maxDepth !== undefined && !(Number.isInteger(maxDepth) && maxDepth >= 0)) {
+    throw new Error('maxDepth must be a non-negative integer');
+  }
+  const candidates = [];
+
+  async function addPackage(pkgPath, depth) {
+    try {
+      const extracted = await extractPackageAssemblies(pkgPath, { framework });
+      packages.push(extracted.package);
+      for (const asm of extracted.assemblies) candidates.push({ path: asm, depth });
+    } catch (err) {
+      skipped.push({ assembly: pkgPath, category: 'failed', reason: err.message || String(err) });
+    }
+  }
+
+  function filterReason(rel) {
+    if (includes.length && !includes.some(re => re.test(rel))) return 'not matched by include';
+    const hit = excludes.find(re => re.test(rel));
+    return hit ? 'matched by exclude' : null;
+  }
+
+  async function walk(dir, depth) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (maxDepth !== null && maxDepth !== undefined && depth >= maxDepth) {
+          skipped.push({ directory: full, category: 'excluded', reason: `deeper than maxDepth ${maxDepth}` });
+          continue;
+        }
+        await walk(full, depth + 1);
+      } else if (entry.isFile()) {
+        const lower = entry.name.toLowerCase();
+        const isAssembly = lower.endsWith('.dll') || lower.endsWith('.exe');
+        if (!isAssembly && !isPackagePath(lower)) continue;
+        const reason = filterReason(path.relative(rootDir, full).split(path.sep).join('/'));
+        if (reason) skipped.push({ assembly: full, category: 'excluded', reason });
+        else if (isAssembly) candidates.push({ path: full, depth });
+        else await addPackage(full, depth);
+      }
+    }
+  }
+
+  if (isPackagePath(rootDir)) await addPackage(rootDir, 0);
+  else await walk(rootDir, 0);
+
+  // Drop native images, then keep one copy of identical files: the shallowest, first in walk order
+  const managed = [];
+  for (const candidate of candidates) {
+    let kind;
+    try {
+      kind = await peImageKind(candidate.path);
+    } catch (err) {
+      skipped.push({ assembly: candidate.path, category: 'failed', reason: err.message || String(err) });
+      continue;
+    }
+    if (kind === 'managed') managed.push(candidate);
+    else skipped.push({ assembly: candidate.path, category: 'native', reason: kind === 'native' ? 'native PE image without a CLI header' : 'not a PE image' });
+  }
+  const keepers = new Map();
+  for (const candidate of managed) {
+    candidate.hash = await hashFile(candidate.path);
+    const kept = keepers.get(candidate.hash);
+    if (!kept || candidate.depth < kept.depth) keepers.set(candidate.hash, candidate);
+  }
+  const assemblies = [];
+  for (const candidate of managed) {
+    const kept = keepers.get(candidate.hash);
+    if (kept === candidate) assemblies.push(candidate.path);
+    else skipped.push({ assembly: candidate.path, category: 'duplicate', reason: `identical to ${kept.path}`, duplicateOf: kept.path });
+  }
+  return assemblies;
+}
+
+// "Skipped 4 entries: 2 native, 1 duplicate, 1 failed", or '' when nothing was skipped.
+export function formatSkippedNote(skipped) {
+  if (!skipped || skipped.length === 0) return '';
+  const counts = new Map();
+  for (const s of skipped) counts.set(s.category || 'failed', (counts.get(s.category || 'failed') || 0) + 1);
+  const parts = SKIP_CATEGORIES.filter(c => counts.has(c)).map(c => `${counts.get(c)} ${c}`);
+  return `Skipped ${skipped.length} ${skipped.length === 1 ? 'entry' : 'entries'}: ${parts.join(', ')}`;
+}
@@ -0,0 +1,315 @@
+import { MetadataError, rvaToOffset } from './metadata.js';
+
+// Manifest resources embedded in assemblies, and the binary `.resources` format
+// (System.Resources.ResourceReader) that compiled .resx files are stored in.
+
+const RESOURCES_MAGIC = 0xbeefcace;
+
+const VISIBILITY = { 1: 'public', 2: 'private' };
+
+// ResourceTypeCode values of version 2 .resources files
+const TYPE_CODES = {
+  0x00: 'null', 0x01: 'System.String', 0x02: 'System.Boolean', 0x03: 'System.Char', 0x04: 'System.Byte', 0x05: 'System.SByte',
+  0x06: 'System.Int16', 0x07: 'System.UInt16', 0x08: 'System.Int32', 0x09: 'System.UInt32', 0x0a: 'System.Int64', 0x0b: 'System.UInt64',
+  0x0c: 'System.Single', 0x0d: 'System.Double', 0x0e: 'System.Decimal', 0x0f: 'System.DateTime', 0x10: 'System.TimeSpan',
+  0x20: 'System.Byte[]', 0x21: 'System.IO.Stream',
+};
+
+const KNOWN_TYPES = new Set(Object.values(TYPE_CODES));
+
+// ManifestResource rows: { name, visibility, location ('embedded', 'file' or 'assembly'),
+// size (embedded only), file / assembly (where the data lives otherwise), offset }.
+export function listManifestResources(md) {
+  const base = md.cli.resources.rva ? rvaToOffset(md.pe, md.cli.resources.rva) : -1;
+  return md.tables.ManifestResource.map(row => {
+    const resource = { name: row.Name, visibility: VISIBILITY[row.Flags & 0x7] || 'unknown', location: 'embedded', size: null, offset: row.Offset };
+    const impl = row.Implementation;
+    if (impl.index && impl.table === 'File') {
+      resource.location = 'file';
+      resource.file = md.tables.File[impl.index - 1]?.Name || null;
+    } else if (impl.index && impl.table === 'AssemblyRef') {
+      resource.location = 'assembly';
+      resource.assembly = md.tables.AssemblyRef[impl.index - 1]?.Name || null;
+    } else if (base >= 0 && base + row.Offset + 4 <= md.buffer.length) {
+      resource.size = md.buffer.readUInt32LE(base + row.Offset);
+    }
+    return resource;
+  });
+}
+
+// Bytes of an embedded resource from listManifestResources.
+export function readManifestResource(md, resource) {
+  if (resource.location !== 'embedded') {
+    throw new MetadataError(`${resource.name} is not embedded (it lives in ${resource.location} ${resource.file || resource.assembly})`);
+  }
+  const start = rvaToOffset(md.pe, md.cli.resources.rva) + resource.offset + 4;
+  if (!Number.isInteger(start) || start < 4 || start + resource.size > md.buffer.length) throw new MetadataError(`${resource.name} lies outside the image`);
+  return md.buffer.subarray(start, start + resource.size);
+}
+
+export function isResourcesFile(data) {
+  return data.length >= 4 && data.readUInt32LE(0) === RESOURCES_MAGIC;
+}
+
+class BinaryReader {
+  constructor(buf, pos = 0) {
+    this.buf = buf;
+    this.pos = pos;
+  }
+  int32() {
+    const v = this.buf.readInt32LE(this.pos);
+    this.pos += 4;
+    return v;
+  }
+  // 7-bit encoded integer (BinaryReader.Read7BitEncodedInt)
+  uint7() {
+    let value = 0;
+    for (let shift = 0; shift < 35; shift += 7) {
+      const b = this.buf[this.pos++];
+      if (b === undefined) throw new MetadataError('truncated .resources data');
+      value |= (b & 0x7f) << shift;
+      if (!(b & 0x80)) return value >>> 0;
+    }
+    throw new MetadataError('bad 7-bit encoded integer in .resources data');
+  }
+  string(encoding = 'utf8') {
+    const length = this.uint7();
+    const text = this.buf.toString(encoding, this.pos, this.pos + length);
+    this.pos += length;
+    return text;
+  }
+  bytes(length) {
+    const b = this.buf.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return b;
+  }
+}
+
+// .NET DateTime.ToBinary() value as an ISO string (ticks since 0001-01-01, kind in the top bits).
+function dateFromBinary(value) {
+  const ticks = value & 0x3fffffffffffffffn;
+  const ms = Number(ticks / 10000n) - 62135596800000;
+  return new Date(ms).toISOString();
+}
+
+// TimeSpan ticks in .NET's constant format: [-][d.]hh:mm:ss[.fffffff]
+function formatTimeSpan(ticks) {
+  const sign = ticks < 0n ? '-' : '';
+  let rest = ticks < 0n ? -ticks : ticks;
+  const fraction = rest % 10000000n;
+  rest /= 10000000n;
+  const pad = n => n.toString().padStart(2, '0');
+  const seconds = rest % 60n;
+  const minutes = (rest / 60n) % 60n;
+  const hours = (rest / 3600n) % 24n;
+  const days = rest / 86400n;
+  return `${sign}${days ? `${days}.` : ''}${pad(hours)}:${pad(minutes)}:${pad(seconds)}${fraction ? `.${fraction.toString().padStart(7, '0')}` : ''}`;
+}
+
+// System.Decimal bits: 96-bit integer (lo, mid, hi), then flags with the scale and sign.
+function decimalToString(bytes) {
+  const magnitude = (BigInt(bytes.readUInt32LE(8)) << 64n) | (BigInt(bytes.readUInt32LE(4)) << 32n) | BigInt(bytes.readUInt32LE(0));
+  const flags = bytes.readUInt32LE(12);
+  const scale = (flags >>> 16) & 0xff;
+  let digits = magnitude.toString().padStart(scale + 1, '0');
+  if (scale) digits = `${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+  return flags & 0x80000000 ? `-${digits}` : digits;
+}
+
+function readTypedValue(reader, type) {
+  const buf = reader.buf;
+  const at = reader.pos;
+  switch (type) {
+    case 'null': return null;
+    case 'System.String': return reader.string();
+    case 'System.Boolean': reader.pos += 1; return buf[at] !== 0;
+    case 'System.Char': reader.pos += 2; return String.fromCharCode(buf.readUInt16LE(at));
+    case 'System.Byte': reader.pos += 1; return buf[at];
+    case 'System.SByte': reader.pos += 1; return buf.readInt8(at);
+    case 'System.Int16': reader.pos += 2; return buf.readInt16LE(at);
+    case 'System.UInt16': reader.pos += 2; return buf.readUInt16LE(at);
+    case 'System.Int32': reader.pos += 4; return buf.readInt32LE(at);
+    case 'System.UInt32': reader.pos += 4; return buf.readUInt32LE(at);
+    case 'System.Int64': reader.pos += 8; return buf.readBigInt64LE(at).toString();
+    case 'System.UInt64': reader.pos += 8; return buf.readBigUInt64LE(at).toString();
+    case 'System.Single': reader.pos += 4; return buf.readFloatLE(at);
+    case 'System.Double': reader.pos += 8; return buf.readDoubleLE(at);
+    case 'System.Decimal': reader.pos += 16; return decimalToString(buf.subarray(at, at + 16));
+    case 'System.DateTime': reader.pos += 8; return dateFromBinary(buf.readBigInt64LE(at));
+    case 'System.TimeSpan': reader.pos += 8; return formatTimeSpan(buf.readBigInt64LE(at));
+    case 'System.Byte[]':
+    case 'System.IO.Stream': return { base64: reader.bytes(reader.int32()).toString('base64') };
+    default: return undefined;
+  }
+}
+
+// Entries of a .resources file, sorted by name: [{ name, type, value }]. Strings and primitives
+// are decoded; byte arrays and streams become { base64 }; objects serialized by a formatter keep
+// their raw bytes as { base64, serialized: true } since they can't be read without their type.
+export function decodeResourcesFile(data) {
+  if (!isResourcesFile(data)) throw new MetadataError('not a .resources file (bad magic number)');
+  const reader = new BinaryReader(data, 4);
+  const headerVersion = reader.int32();
+  const skip = reader.int32();
+  if (headerVersion > 1) reader.pos += skip;
+  else {
+    reader.string(); // reader type
+    reader.string(); // resource set type
+  }
+  const version = reader.int32();
+  if (version !== 1 && version !== 2) throw new MetadataError(`unsupported .resources version ${version}`);
+  const count = reader.int32();
+  const typeCount = reader.int32();
+  const types = [];
+  for (let i = 0; i < typeCount; i++) types.push(reader.string());
+  // Padding to an 8-byte boundary before the hash table
+  while (reader.pos & 7) reader.pos++;
+  reader.pos += count * 4; // name hashes
+  const namePositions = [];
+  for (let i = 0; i < count; i++) namePositions.push(reader.int32());
+  const dataStart = reader.int32();
+  const namesStart = reader.pos;
+
+  const located = namePositions.map(position => {
+    const nameReader = new BinaryReader(data, namesStart + position);
+    const name = nameReader.string('utf16le');
+    return { name, offset: dataStart + nameReader.int32() };
+  });
+  // Values are stored back to back, so a serialized value ends where the next one starts
+  const offsets = [...new Set(located.map(l => l.offset)), data.length].sort((x, y) => x - y);
+
+  const entries = [];
+  for (const { name, offset } of located) {
+    const valueReader = new BinaryReader(data, offset);
+    let type;
+    if (version === 1) {
+      const index = valueReader.uint7();
+      type = index === 0xffffffff ? 'null' : (types[index] || '').split(',')[0];
+    } else {
+      const code = valueReader.uint7();
+      type = code >= 0x40 ? types[code - 0x40] || `type #${code - 0x40}` : TYPE_CODES[code] || `type code 0x${code.toString(16)}`;
+    }
+    let value = KNOWN_TYPES.has(type) ? readTypedValue(valueReader, type) : undefined;
+    if (value === undefined) {
+      const end = offsets.find(o => o > offset);
+      value = { base64: data.subarray(valueReader.pos, end).toString('base64'), serialized: true };
+    }
+    entries.push({ name, type, value });
+  }
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  return entries;
+}
+
+// { key: value } for JSON output.
+export function resourcesToJson(entries) {
+  const result = {};
+  for (const e of entries) result[e.name] = e.type === 'System.String' || e.value === null ? e.value : { type: e.type, value: e.value };
+  return result;
+}
+
+function xmlText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const RESX_HEADER = `<?xml version="1.0" encoding="utf-8"?>
+<root>
+  <resheader name="resmimetype">
+    <value>text/microsoft-resx</value>
+  </resheader>
+  <resheader name="version">
+    <value>2.0</value>
+  </resheader>
+  <resheader name="reader">
+    <value>System.Resources.ResXResourceReader, System.Windows.Forms, Version=4.0.0.0, Culture=neutral, PublicKeyToken=b77a5c561934e089</value>
+  </resheader>
+  <resheader name="writer">
+    <value>System.Resources.ResXResourceWriter, System.Windows.Forms, Version=4.0.0.0, Culture=neutral, PublicKeyToken=b77a5c561934e089</value>
+  </resheader>
+`;
+
+// .resx equivalent of a decoded .resources file. Streams are written as byte arrays, and
+// formatter-serialized objects as the base64 payload ResXResourceWriter itself would write.
+export function resourcesToResx(entries) {
+  const lines = [RESX_HEADER.trimEnd()];
+  for (const e of entries) {
+    const name = xmlText(e.name);
+    if (e.type === 'System.String') {
+      lines.push(`  <data name="${name}" xml:space="preserve">`, `    <value>${xmlText(e.value)}</value>`, '  </data>');
+    } else if (e.value === null) {
+      lines.push(`  <data name="${name}" type="System.Resources.ResXNullRef, System.Windows.Forms">`, '    <value />', '  </data>');
+    } else if (e.value && e.value.serialized) {
+      lines.push(`  <data name="${name}" mimetype="application/x-microsoft.net.object.binary.base64">`, `    <value>${e.value.base64}</value>`, '  </data>');
+    } else if (e.value && e.value.base64 !== undefined) {
+      lines.push(`  <data name="${name}" type="System.Byte[], mscorlib">`, `    <value>${e.value.base64}</value>`, '  </data>');
+    } else {
+      lines.push(`  <data name="${name}" type="${xmlText(e.type)}, mscorlib">`, `    <value>${xmlText(e.value)}</value>`, '  </data>');
+    }
+  }
+  lines.push('</root>', '');
+  return lines.join('\n');
+}
+
+// Whether resource bytes are readable text (UTF-8 without control characters other than
+// whitespace), so they can be returned inline as-is.
+export function isTextResource(data) {
+  const text = data.toString('utf8');
+  if (text.includes('\uFFFD')) return false;
+  return !/[\u0000-\u0008\u000B\u000E-\u001F]/.test(text);
+}
+
+// File name for a resource written to disk; manifest names never contain real directories.
+// An empty name becomes `_`.
+export function resourceFileName(name) {
+  return name.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').replace(/^\.+/, '_') || '_';
+}
+
+// fileName, or the first free `name_2.ext`, `name_3.ext`, ... when sanitizing made two resource
+// names collide. `used` holds the lower-cased names taken so far (file systems may ignore case).
+export function uniqueFileName(fileName, used) {
+  const dot = fileName.lastIndexOf('.');
+  const [base, ext] = dot > 0 ? [fileName.slice(0, dot), fileName.slice(dot)] : [fileName, ''];
+  let candidate = fileName;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${base}_${n}${ext}`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// Files that recreate the embedded resources in a project: .resources blobs become .resx,
+// everything else is written as-is. Each file has the manifest name as `logicalName`;
+// `preserialized` marks .resx files with non-string values, which need
+// System.Resources.Extensions to build on .NET Core. Rows whose data can't be read are left out
+// and listed in `skipped` as { resource, reason }, as are .resources blobs written raw because they
+// couldn't be decoded.
+export function projectResourceFiles(md, dir = 'Resources') {
+  const files = [];
+  const skipped = [];
+  const used = new Set();
+  for (const resource of listManifestResources(md)) {
+    if (resource.location !== 'embedded') continue;
+    let data;
+    try {
+      data = readManifestResource(md, resource);
+    } catch (err) {
+      skipped.push({ resource: resource.name, reason: err.message || String(err) });
+      continue;
+    }
+    if (isResourcesFile(data)) {
+      try {
+        const entries = decodeResourcesFile(data);
+        files.push({
+          file: `${dir}/${uniqueFileName(`${resourceFileName(resource.name.replace(/\.resources$/i, ''))}.resx`, used)}`,
+          content: resourcesToResx(entries),
+          logicalName: resource.name,
+          resx: true,
+          preserialized: entries.some(e => e.type !== 'System.String' && e.value !== null),
+        });
+        continue;
+      } catch (err) {
+        // Undecodable .resources are kept verbatim below
+        skipped.push({ resource: resource.name, reason: `could not decode: ${err.message}; written raw` });
+      }
+    }
+    files.push({ file: `${dir}/${uniqueFileName(resourceFileName(resource.name), used)}`, content: Buffer.from(data), logicalName: resource.name, resx: false, preserialized: false });
+  }
+  return { files, skipped };
+}
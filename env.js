@@ -0,0 +1,18 @@
+import * as path from 'path';
+import * as fs from 'fs/promises';
+
+// Load .env files manually (avoid hard dependency on dotenv). constants.js imports this module first,
+// so values from these files are in process.env before any constant is read.
+async function loadEnvFile(file) {
+  try {
+    const content = await fs.readFile(file, 'utf8');
+    for (const line of content.split(/\r?\n/)) {
+      const m = /^(\w+)=(.*)$/.exec(line.trim());
+      if (m) process.env[m[1]] = m[2];
+    }
+  } catch {}
+}
+
+await loadEnvFile(path.join(process.cwd(), '.env'));
+// Additionally load ./.mcp-dotnetdc/.env if present
+await loadEnvFile(path.join(process.cwd(), '.mcp-dotnetdc', '.env'));
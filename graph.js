@@ -0,0 +1,128 @@
+import { isFrameworkAssembly } from './project.js';
+
+// Assembly dependency graph from AssemblyRef tables: which assembly references which, at what
+// version, and whether the directory can satisfy it.
+
+export const GRAPH_FORMATS = ['json', 'dot', 'mermaid'];
+
+function compareVersions(a, b) {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0);
+    if (d !== 0) return d;
+  }
+  return 0;
+}
+
+// `assemblies`: [{ path, identity, references }] from metadata. Returns
+// { nodes: [{ id, name, versions, paths, kind }], edges: [{ from, to, version, status, found? }] }
+// with edge status 'ok', 'mismatch' (a different version is present; `found` lists it and
+// `direction` says whether it is older or newer), 'missing' or 'framework'. Framework
+// references are left out unless includeFramework is set.
+export function buildDependencyGraph(assemblies, { includeFramework = false } = {}) {
+  const nodes = new Map();
+  const node = (name, kind) => {
+    const id = name.toLowerCase();
+    if (!nodes.has(id)) nodes.set(id, { id, name, kind, versions: [], paths: [] });
+    return nodes.get(id);
+  };
+  for (const asm of assemblies) {
+    const n = node(asm.identity.name, 'assembly');
+    n.kind = 'assembly';
+    if (!n.versions.includes(asm.identity.version)) n.versions.push(asm.identity.version);
+    n.paths.push(asm.path);
+  }
+
+  const edges = [];
+  const seen = new Set();
+  for (const asm of assemblies) {
+    const from = asm.identity.name.toLowerCase();
+    for (const ref of asm.references) {
+      const to = ref.name.toLowerCase();
+      const key = `${from}\u0000${to}\u0000${ref.version}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const target = nodes.get(to);
+      const edge = { from, to, version: ref.version };
+      if (target && target.kind === 'assembly') {
+        if (target.versions.includes(ref.version)) {
+          edge.status = 'ok';
+        } else {
+          edge.status = 'mismatch';
+          edge.found = target.versions.slice();
+          // Older than requested fails to load; newer only binds with a redirect or on .NET Core
+          edge.direction = target.versions.some(v => compareVersions(v, ref.version) > 0) ? 'newer' : 'older';
+        }
+      } else if (isFrameworkAssembly(ref.name)) {
+        if (!includeFramework) continue;
+        edge.status = 'framework';
+        node(ref.name, 'framework');
+      } else {
+        edge.status = 'missing';
+        node(ref.name, 'missing');
+      }
+      edges.push(edge);
+    }
+  }
+
+  const sortedNodes = [...nodes.values()].sort((a, b) => a.id.localeCompare(b.id));
+  for (const n of sortedNodes) n.versions.sort(compareVersions);
+  edges.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to) || compareVersions(a.version, b.version));
+  const stats = { assemblies: assemblies.length, edges: edges.length };
+  for (const e of edges) stats[e.status] = (stats[e.status] || 0) + 1;
+  return { nodes: sortedNodes, edges, stats };
+}
+
+function nodeLabel(n) {
+  return n.versions.length ? `${n.name} ${n.versions.join(', ')}` : n.name;
+}
+
+function edgeLabel(e) {
+  return e.status === 'mismatch' ? `${e.version} (found ${e.found.join(', ')})` : e.version;
+}
+
+function dotString(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+export function formatDot(graph) {
+  const lines = ['digraph dependencies {', '  rankdir=LR;', '  node [shape=box, fontname="Helvetica"];'];
+  for (const n of graph.nodes) {
+    const style = n.kind === 'missing' ? ', style=dashed, color=red' : n.kind === 'framework' ? ', color=gray, fontcolor=gray' : '';
+    lines.push(`  ${dotString(n.id)} [label=${dotString(nodeLabel(n))}${style}];`);
+  }
+  for (const e of graph.edges) {
+    const style = e.status === 'missing' ? ', style=dashed, color=red' : e.status === 'mismatch' ? ', color=orange, fontcolor=orange' : e.status === 'framework' ? ', color=gray' : '';
+    lines.push(`  ${dotString(e.from)} -> ${dotString(e.to)} [label=${dotString(edgeLabel(e))}${style}];`);
+  }
+  lines.push('}');
+  return lines.join('\n');
+}
+
+// Mermaid ids must be plain identifiers, so nodes are numbered and names go into labels.
+export function formatMermaid(graph) {
+  const ids = new Map(graph.nodes.map((n, i) => [n.id, `n${i}`]));
+  const label = text => `"${text.replace(/"/g, '#quot;')}"`;
+  const lines = ['graph LR'];
+  for (const n of graph.nodes) lines.push(`  ${ids.get(n.id)}[${label(nodeLabel(n))}]${n.kind === 'assembly' ? '' : `:::${n.kind}`}`);
+  const mismatched = [];
+  graph.edges.forEach((e, i) => {
+    const arrow = e.status === 'missing' || e.status === 'framework' ? '-.->' : '-->';
+    lines.push(`  ${ids.get(e.from)} ${arrow}|${label(edgeLabel(e))}| ${ids.get(e.to)}`);
+    if (e.status === 'mismatch') mismatched.push(i);
+  });
+  lines.push('  classDef missing stroke:#d00,stroke-dasharray:5 5,color:#d00;', '  classDef framework stroke:#999,color:#999;');
+  if (mismatched.length) lines.push(`  linkStyle ${mismatched.join(',')} stroke:#e80,color:#e80;`);
+  return lines.join('\n');
+}
+
+// One line per missing or mismatched reference, for the text summary.
+export function formatGraphProblems(graph) {
+  const names = new Map(graph.nodes.map(n => [n.id, n.name]));
+  return graph.edges
+    .filter(e => e.status === 'missing' || e.status === 'mismatch')
+    .map(e => e.status === 'missing'
+      ? `missing: ${names.get(e.from)} -> ${names.get(e.to)} ${e.version}`
+      : `mismatch: ${names.get(e.from)} -> ${names.get(e.to)} ${e.version}, found ${e.found.join(', ')} (${e.direction})`);
+}
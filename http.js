@@ -0,0 +1,209 @@
+import * as http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export const MCP_ENDPOINT = '/mcp';
+export const SSE_ENDPOINT = '/sse';
+export const SSE_MESSAGES_ENDPOINT = '/messages';
+
+function sendJson(res, status, body, headers = {}) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, message) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+function isAuthorized(req, authToken) {
+  if (!authToken) return true;
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!m) return false;
+  const given = Buffer.from(m[1].trim());
+  const expected = Buffer.from(authToken);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Thrown for requests the server rejects with a 4xx status
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Same cap the SDK applies to bodies it parses itself
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+      req.resume();
+      return reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+    }
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Keep draining so the response can still be written
+        tooLarge = true;
+        chunks.length = 0;
+        reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) return resolve(undefined);
+      try {
+        resolve(JSON.parse(text));
+      } catch (err) {
+        reject(new HttpError(400, `Invalid JSON body: ${err.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Host headers accepted when DNS rebinding protection is on: the configured list, or the loopback
+// names when bound to a loopback interface. null (no check) for other interfaces.
+function hostAllowList(host, port, allowedHosts) {
+  if (allowedHosts && allowedHosts.length) return allowedHosts;
+  if (!LOOPBACK_HOSTS.includes(host)) return null;
+  return ['127.0.0.1', 'localhost', '[::1]'].flatMap(name => [`${name}:${port}`, ...(port === 80 ? [name] : [])]);
+}
+
+// Serves MCP over Streamable HTTP (/mcp) and the older HTTP+SSE transport (/sse + /messages).
+// Every client session gets its own Server from `createSessionServer`. Streamable sessions with
+// no request in flight for `sessionIdleMs` are closed (0 keeps them until the client ends them).
+export function startHttpServer({ host, port, authToken = null, allowedHosts = null, sessionIdleMs = 0, createSessionServer, log = console.error }) {
+  const streamable = new Map();
+  const sse = new Map();
+  // Streamable session id -> { open: requests in flight, lastActive }
+  const activity = new Map();
+  let hostOptions = {};
+
+  function trackRequest(sessionId, res) {
+    const state = activity.get(sessionId);
+    if (!state) return;
+    state.open++;
+    res.on('close', () => {
+      state.open--;
+      state.lastActive = Date.now();
+    });
+  }
+
+  const sweep =
+    sessionIdleMs > 0
+      ? setInterval(() => {
+          const cutoff = Date.now() - sessionIdleMs;
+          for (const [id, state] of activity) {
+            if (state.open > 0 || state.lastActive > cutoff) continue;
+            log(`HTTP session ${id} idle for ${Math.round(sessionIdleMs / 1000)}s, closing`);
+            activity.delete(id);
+            streamable.get(id)?.close().catch(() => {});
+          }
+        }, Math.min(sessionIdleMs, 60 * 1000))
+      : null;
+  sweep?.unref();
+
+  async function handleStreamable(req, res) {
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'];
+    let transport = sessionId ? streamable.get(sessionId) : null;
+    if (!transport) {
+      if (sessionId) return sendRpcError(res, 404, `Unknown session ${sessionId}`);
+      if (req.method !== 'POST' || !isInitializeRequest(body)) {
+        return sendRpcError(res, 400, 'Bad Request: no valid session ID provided');
+      }
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: id => {
+          streamable.set(id, transport);
+          activity.set(id, { open: 0, lastActive: Date.now() });
+          log(`HTTP session ${id} opened`);
+        },
+        ...hostOptions,
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          streamable.delete(transport.sessionId);
+          activity.delete(transport.sessionId);
+          log(`HTTP session ${transport.sessionId} closed`);
+        }
+      };
+      await createSessionServer().connect(transport);
+      try {
+        await transport.handleRequest(req, res, body);
+      } finally {
+        // A rejected or failed initialize leaves a transport no later request can reach
+        if (!transport.sessionId || !streamable.has(transport.sessionId)) await transport.close().catch(() => {});
+      }
+      return;
+    }
+    trackRequest(sessionId, res);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSse(req, res, url) {
+    if (req.method === 'GET' && url.pathname === SSE_ENDPOINT) {
+      const transport = new SSEServerTransport(SSE_MESSAGES_ENDPOINT, res, hostOptions);
+      sse.set(transport.sessionId, transport);
+      transport.onclose = () => sse.delete(transport.sessionId);
+      res.on('close', () => sse.delete(transport.sessionId));
+      await createSessionServer().connect(transport);
+      return;
+    }
+    const transport = sse.get(url.searchParams.get('sessionId'));
+    if (!transport) return sendRpcError(res, 404, 'Unknown SSE session');
+    await transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      // Only the path and query are used; the Host header is checked by the transports
+      let url;
+      try {
+        url = new URL(req.url, 'http://localhost');
+      } catch {
+        throw new HttpError(400, `Invalid request URL: ${req.url}`);
+      }
+      if (!isAuthorized(req, authToken)) {
+        return sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+      }
+      if (url.pathname === MCP_ENDPOINT) return await handleStreamable(req, res);
+      if (url.pathname === SSE_ENDPOINT || url.pathname === SSE_MESSAGES_ENDPOINT) return await handleSse(req, res, url);
+      sendJson(res, 404, { error: `Not found: ${url.pathname}` });
+    } catch (error) {
+      if (!(error instanceof HttpError)) log(`HTTP request failed: ${error.message}`);
+      sendRpcError(res, error.status || 500, error.message);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      const hosts = hostAllowList(host, httpServer.address().port, allowedHosts);
+      if (hosts) hostOptions = { enableDnsRebindingProtection: true, allowedHosts: hosts };
+      resolve({
+        httpServer,
+        allowedHosts: hosts,
+        async close() {
+          if (sweep) clearInterval(sweep);
+          for (const t of [...streamable.values(), ...sse.values()]) await t.close().catch(() => {});
+          await new Promise(r => httpServer.close(() => r()));
+        },
+      });
+    });
+  });
+}
@@ -0,0 +1,230 @@
+// Structure of ilspycmd IL output (-il): top-level .class blocks carry full type names, nested
+// types appear as `.class nested` inside their parent, members as .method/.field/.property/.event.
+
+const IL_PRIMITIVES = {
+  void: 'void', bool: 'bool', char: 'char', string: 'string', object: 'object',
+  int8: 'sbyte', uint8: 'byte', int16: 'short', uint16: 'ushort', int32: 'int', uint32: 'uint', int64: 'long', uint64: 'ulong',
+  'unsigned int8': 'byte', 'unsigned int16': 'ushort', 'unsigned int32': 'uint', 'unsigned int64': 'ulong',
+  float32: 'float', float64: 'double', 'native int': 'nint', 'native unsigned int': 'nuint', 'native uint': 'nuint',
+  typedref: 'TypedReference',
+};
+
+// Walks `text` calling visit(index, depth) for every character outside strings and comments.
+function scan(text, visit) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '/' && text[i + 1] === '/') {
+      const nl = text.indexOf('\n', i);
+      i = nl === -1 ? text.length : nl - 1;
+      continue;
+    }
+    if (ch === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      while (j < text.length && text[j] !== ch) j += text[j] === '\\' ? 2 : 1;
+      i = j;
+      continue;
+    }
+    if (visit(i, depth) === false) return;
+    if (ch === '{') depth++;
+    else if (ch === '}') depth--;
+  }
+}
+
+function unquote(name) {
+  return name.replace(/^'(.*)'$/, '$1');
+}
+
+// Type name declared by a `.class ...` header (text up to the opening brace).
+function classNameOf(header) {
+  let decl = header.replace(/\s+/g, ' ').split(/\s(?:extends|implements)\s/)[0].trim();
+  if (decl.endsWith('>')) {
+    let depth = 0;
+    for (let i = decl.length - 1; i >= 0; i--) {
+      if (decl[i] === '>') depth++;
+      else if (decl[i] === '<' && --depth === 0) {
+        decl = decl.slice(0, i).trim();
+        break;
+      }
+    }
+  }
+  const m = /('(?:[^'\\]|\\.)*'|[^\s]+)$/.exec(decl);
+  return m ? unquote(m[1]) : decl;
+}
+
+// Extends a block end over the `// end of class X` comment ilspycmd puts after the brace.
+function withTrailingComment(text, end) {
+  const m = /^[ \t]*\/\/[^\n]*/.exec(text.slice(end));
+  return m ? end + m[0].length : end;
+}
+
+// Top-level (depth 0) or, within a class body, nested directive blocks starting with `directive`.
+function findBlocks(text, directive) {
+  const blocks = [];
+  let current = null;
+  scan(text, (i, depth) => {
+    if (!current && depth === 0 && text.startsWith(directive, i) && /\s/.test(text[i + directive.length] || '') && (i === 0 || /\s/.test(text[i - 1]))) {
+      current = { start: i, open: -1 };
+      return;
+    }
+    if (!current) return;
+    if (text[i] === '{' && depth === 0 && current.open === -1) current.open = i;
+    else if (text[i] === '}' && depth === 1 && current.open !== -1) {
+      blocks.push({ ...current, close: i, end: withTrailingComment(text, i + 1), header: text.slice(current.start, current.open) });
+      current = null;
+    }
+  });
+  return blocks;
+}
+
+export function ilClasses(text) {
+  return findBlocks(text, '.class').map(b => {
+    const fullName = classNameOf(b.header);
+    const dot = fullName.lastIndexOf('.');
+    return {
+      ...b,
+      fullName,
+      namespace: dot > 0 ? fullName.slice(0, dot) : null,
+      name: dot > 0 ? fullName.slice(dot + 1) : fullName,
+      code: text.slice(b.start, b.end),
+    };
+  });
+}
+
+// Same shape as splitByNamespace: namespace -> IL of its top-level classes. Module-level
+// directives (assembly manifest, .module, data) go to '(global)'.
+export function splitIlByNamespace(text) {
+  const result = new Map();
+  const append = (ns, chunk) => {
+    if (!chunk.trim()) return;
+    result.set(ns, (result.get(ns) || '') + chunk.trim() + '\n');
+  };
+  let cursor = 0;
+  for (const cls of ilClasses(text)) {
+    append('(global)', text.slice(cursor, cls.start));
+    append(cls.namespace || '(global)', cls.code);
+    cursor = cls.end;
+  }
+  append('(global)', text.slice(cursor));
+  return result;
+}
+
+export function extractIlNamespaces(text) {
+  return [...new Set(ilClasses(text).map(c => c.namespace).filter(Boolean))];
+}
+
+// Finds Namespace.Type or Namespace.Outer+Inner and returns its header and body (between braces).
+export function findIlTypeBody(code, typeName) {
+  const [outer, ...nested] = typeName.split('+');
+  const matchName = (cls, wanted) => cls.fullName === wanted || cls.name === wanted || cls.fullName.replace(/`\d+$/, '') === wanted;
+  let cls = ilClasses(code).find(c => matchName(c, outer));
+  for (const inner of nested) {
+    if (!cls) break;
+    const body = code.slice(cls.open + 1, cls.close);
+    const found = findBlocks(body, '.class').map(b => ({ ...b, fullName: classNameOf(b.header) })).find(b => matchName({ ...b, name: b.fullName }, inner));
+    if (!found) return null;
+    const offset = cls.open + 1;
+    cls = { ...found, start: found.start + offset, open: found.open + offset, close: found.close + offset };
+  }
+  if (!cls) return null;
+  return { header: code.slice(cls.start, cls.open).trim(), body: code.slice(cls.open + 1, cls.close) };
+}
+
+export function ilTypeToCSharp(type) {
+  let t = type.trim().replace(/\s+/g, ' ');
+  t = t.replace(/\b(?:class|valuetype)\s+/g, '').replace(/\[[A-Za-z_][^\]]*\](?=[A-Za-z_'])/g, '');
+  for (const [il, cs] of Object.entries(IL_PRIMITIVES).sort((a, b) => b[0].length - a[0].length)) {
+    t = t.replace(new RegExp(`(^|[^\\w.])${il.replace(' ', '\\s')}(?![\\w.])`, 'g'), `$1${cs}`);
+  }
+  return t.replace(/&$/, '').replace(/'/g, '');
+}
+
+function parseIlParameters(list) {
+  if (!list.trim()) return [];
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < list.length; i++) {
+    const ch = list[i];
+    if (ch === '(' || ch === '<' || ch === '[') depth++;
+    else if (ch === ')' || ch === '>' || ch === ']') depth--;
+    else if (ch === ',' && depth === 0) {
+      parts.push(list.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(list.slice(start));
+  return parts.map(p => {
+    const cleaned = p.replace(/\[(?:in|out|opt)\]\s*/g, '').replace(/\bmarshal\s*\([^)]*\)/g, '').trim();
+    const m = /^(.*\S)\s+('?[A-Za-z_$@<][^\s]*)$/.exec(cleaned);
+    return ilTypeToCSharp(m ? m[1] : cleaned);
+  });
+}
+
+function describeIlMethod(header) {
+  // The parameter list is the last balanced (...) group of the header
+  const close = header.lastIndexOf(')');
+  let depth = 0;
+  let open = -1;
+  for (let i = close; i >= 0; i--) {
+    if (header[i] === ')') depth++;
+    else if (header[i] === '(' && --depth === 0) {
+      open = i;
+      break;
+    }
+  }
+  let before = header.slice(0, open).trim();
+  if (before.endsWith('>')) before = before.replace(/<[^<>]*(?:<[^<>]*>[^<>]*)*>$/, '').trim();
+  const name = unquote(/('(?:[^'\\]|\\.)*'|[^\s]+)$/.exec(before)?.[1] || before);
+  return { name, parameters: parseIlParameters(header.slice(open + 1, close)) };
+}
+
+// Member declarations of an IL class body: methods, fields, properties, events and nested types.
+export function splitIlMembers(body) {
+  const members = [];
+  const directives = ['.method', '.property', '.event', '.class', '.field'];
+  let current = null;
+  const lineOf = idx => body.slice(0, idx).split('\n').length;
+  scan(body, (i, depth) => {
+    if (!current && depth === 0) {
+      const directive = directives.find(d => body.startsWith(d, i) && /\s/.test(body[i + d.length] || '') && (i === 0 || /\s/.test(body[i - 1])));
+      if (!directive) return;
+      if (directive === '.field') {
+        const nl = body.indexOf('\n', i);
+        const end = nl === -1 ? body.length : nl;
+        const decl = body.slice(i, end).trim();
+        const head = decl.split(/\s(?:=|at)\s/)[0];
+        members.push({ kind: 'field', name: unquote(/('(?:[^'\\]|\\.)*'|[^\s]+)$/.exec(head)[1]), parameters: null, signature: decl, code: decl, startLine: lineOf(i) });
+        return;
+      }
+      current = { directive, start: i, open: -1 };
+      return;
+    }
+    if (!current) return;
+    if (body[i] === '{' && depth === 0 && current.open === -1) current.open = i;
+    else if (body[i] === '}' && depth === 1 && current.open !== -1) {
+      const header = body.slice(current.start, current.open).replace(/\s+/g, ' ').trim();
+      const code = body.slice(current.start, withTrailingComment(body, i + 1));
+      const startLine = lineOf(current.start);
+      if (current.directive === '.class') {
+        members.push({ kind: 'type', name: classNameOf(header), parameters: null, signature: header, code, startLine });
+      } else if (current.directive === '.method') {
+        const { name, parameters } = describeIlMethod(header);
+        const kind = name === '.ctor' || name === '.cctor' ? 'constructor' : 'method';
+        members.push({ kind, name, parameters, signature: header, code, startLine });
+      } else if (current.directive === '.property') {
+        const { name, parameters } = describeIlMethod(header);
+        members.push({ kind: parameters.length ? 'indexer' : 'property', name, parameters: parameters.length ? parameters : null, signature: header, code, startLine });
+      } else {
+        members.push({ kind: 'event', name: unquote(/('(?:[^'\\]|\\.)*'|[^\s]+)$/.exec(header)[1]), parameters: null, signature: header, code, startLine });
+      }
+      current = null;
+    }
+  });
+  return members;
+}
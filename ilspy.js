@@ -1,6 +1,6 @@
 import * as fs from 'fs/promises';
 import * as path from 'path';
-import { execAsync } from './utils.js';
+import { runProcess } from './utils.js';
 
 function isWindows() {
   return process.platform === 'win32';
@@ -11,16 +11,16 @@ async function exists(p) {
 }
 
 async function resolveBinAbsoluteFromPath() {
-  try {
-    const cmd = isWindows() ? 'where ilspycmd' : 'command -v ilspycmd';
-    const { stdout } = await execAsync(cmd);
-    const first = stdout.split(/\r?\n/).map(s => s.trim()).filter(Boolean)[0];
-    if (!first) return null;
-    if (await exists(first)) return first;
-    return null;
-  } catch {
-    return null;
+  const names = isWindows()
+    ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';').filter(Boolean).map(ext => `ilspycmd${ext.toLowerCase()}`)
+    : ['ilspycmd'];
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const name of names) {
+      const candidate = path.join(dir, name);
+      if (await exists(candidate)) return candidate;
+    }
   }
+  return null;
 }
 
 async function persistIlspyEnv(resolvedPath) {
@@ -67,7 +67,7 @@ export async function resolveIlspycmd() {
 
   // 3) try global PATH first
   try {
-    await execAsync('ilspycmd --version');
+    await runProcess('ilspycmd', ['--version']);
     const abs = await resolveBinAbsoluteFromPath();
     if (abs) {
       await persistIlspyEnv(abs);
@@ -78,7 +78,7 @@ export async function resolveIlspycmd() {
 
   // 4) ensure dotnet exists
   try {
-    await execAsync('dotnet --version');
+    await runProcess('dotnet', ['--version']);
   } catch {
     throw new Error('dotnet SDK not found. Please install .NET SDK or set ILSPY_CMD to ilspycmd path.');
   }
@@ -86,10 +86,10 @@ export async function resolveIlspycmd() {
   // 5) install local tool to ./tools
   await fs.mkdir(toolsDir, { recursive: true });
   try {
-    await execAsync(`dotnet tool install ilspycmd --tool-path "${toolsDir}"`);
+    await runProcess('dotnet', ['tool', 'install', 'ilspycmd', '--tool-path', toolsDir]);
   } catch {
     // maybe already installed -> try update
-    try { await execAsync(`dotnet tool update ilspycmd --tool-path "${toolsDir}"`); } catch {}
+    try { await runProcess('dotnet', ['tool', 'update', 'ilspycmd', '--tool-path', toolsDir]); } catch {}
   }
 
   if (await exists(localBin)) {
@@ -99,4 +99,15 @@ export async function resolveIlspycmd() {
   throw new Error('Failed to resolve ilspycmd. Set ILSPY_CMD to its path or install dotnet tool.');
 }
 
+const ilspyVersions = new Map();
 
+export async function getIlspycmdVersion(ilspy) {
+  if (ilspyVersions.has(ilspy)) return ilspyVersions.get(ilspy);
+  let version = 'unknown';
+  try {
+    const { stdout } = await runProcess(ilspy, ['--version']);
+    version = stdout.trim().split(/\r?\n/).map(s => s.trim()).filter(Boolean).join('; ') || version;
+  } catch {}
+  ilspyVersions.set(ilspy, version);
+  return version;
+}
@@ -1,317 +1,372 @@
 #!/usr/bin/env node
 import * as path from 'path';
 import * as fs from 'fs/promises';
-import * as os from 'os';
-import { promisify } from 'util';
-import { exec } from 'child_process';
-import { SERVER_NAME, PACKAGE_VERSION, CACHE_TTL_MS, CACHE_ROOT, MAX_CONCURRENCY, MAX_FILES, MAX_BYTES } from './constants.js';
-import { execAsync, withConcurrencyLimitFactory, buildKey } from './utils.js';
-import { createInMemoryCache } from './cache.js';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  SERVER_NAME,
+  PACKAGE_VERSION,
+  CACHE_TTL_MS,
+  CURSOR_TTL_MS,
+  CACHE_ROOT,
+  MAX_CONCURRENCY,
+  MAX_FILES,
+  MAX_BYTES,
+  RESOURCE_ROOTS,
+  TOOL_TIMEOUT_MS,
+  TOOL_TIMEOUTS,
+  ALLOWED_READ_ROOTS,
+  ALLOWED_WRITE_ROOTS,
+  USE_CLIENT_ROOTS,
+} from './constants.js';
+import { withConcurrencyLimitFactory, suggestClosest, hashFile } from './utils.js';
+import { createInMemoryCache, createPagedResultCache } from './cache.js';
 import { createServer } from './server.js';
-import { createExecLimiter, decompileAndSplit, extractNamespaces } from './decompiler.js';
-import { resolveIlspycmd } from './ilspy.js';
-
-// Load .env files manually (avoid hard dependency on dotenv)
-try {
-  const rootEnv = path.join(process.cwd(), '.env');
-  const content = await fs.readFile(rootEnv, 'utf8');
-  for (const line of content.split(/\r?\n/)) {
-    const m = /^(\w+)=(.*)$/.exec(line.trim());
-    if (m) process.env[m[1]] = m[2];
-  }
-} catch {}
-
-// Additionally load ./.mcp-dotnetdc/.env if present (after imports so path/fs are available)
-try {
-  const extraEnv = path.join(process.cwd(), '.mcp-dotnetdc', '.env');
-  const content = await fs.readFile(extraEnv, 'utf8');
-  for (const line of content.split(/\r?\n/)) {
-    const m = /^(\w+)=(.*)$/.exec(line.trim());
-    if (m) process.env[m[1]] = m[2];
-  }
-} catch {}
+import { startHttpServer, MCP_ENDPOINT, SSE_ENDPOINT } from './http.js';
+import {
+  createExecLimiter,
+  decompileRaw,
+  decompileAndSplit,
+  extractNamespaces,
+  findTypeBody,
+  splitMembers,
+  normalizeTypeName,
+  splitSourceAtTypes,
+  splitTopLevelTypes,
+  listTopLevelTypes,
+  normalizeLanguage,
+  normalizeLanguageVersion,
+  OutputLimitError,
+} from './decompiler.js';
+import { resolveIlspycmd, getIlspycmdVersion } from './ilspy.js';
+import { findIlTypeBody, splitIlMembers } from './il.js';
+import { buildMatcher, searchSources, formatMatches } from './search.js';
+import { findReferences, sourceLocation } from './xref.js';
+import { diffSnapshots, isEmptyDiff, diffReportChunks, withoutUnifiedDiffs } from './diff.js';
+import { paginate, pagingScope, formatPageNote } from './paging.js';
+import { createToolSignal, raceSignal, runWithSignal, parseToolTimeouts, currentSignal, abortSummary, ToolAbortedError } from './abort.js';
+import { isPackagePath, openPackageAssembly, assemblyDisplayPath } from './nupkg.js';
+import { discoverAssemblies, formatSkippedNote } from './discovery.js';
+import { createSandbox, rootUrisToPaths, PathNotPermittedError } from './sandbox.js';
+import {
+  createAssemblyRegistry,
+  listTypeResources,
+  parseResourceUri,
+  RESOURCE_URI_TEMPLATE,
+  RESOURCE_PAGE_SIZE,
+  GLOBAL_NAMESPACE_SEGMENT,
+} from './resources.js';
+import { MetadataError, readAssemblyMetadata, listNamespacesFromMetadata, listTypesFromMetadata, assemblyIdentity, assemblyReferences, wildcardToRegExp } from './metadata.js';
+import { describeProject, renderCsproj } from './project.js';
+import { inspectAssembly, formatInspection } from './inspect.js';
+import { listManifestResources, readManifestResource, isResourcesFile, isTextResource, decodeResourcesFile, resourcesToJson, resourcesToResx, resourceFileName, uniqueFileName, projectResourceFiles } from './embedded.js';
+import { GRAPH_FORMATS, buildDependencyGraph, formatDot, formatMermaid, formatGraphProblems } from './graph.js';
 
 const withConcurrencyLimit = await withConcurrencyLimitFactory(MAX_CONCURRENCY);
+
 const { maybeCached } = createInMemoryCache(CACHE_TTL_MS);
+// Whole-directory results are only held for a few scopes at a time; each is bounded by MAX_BYTES
+const { pagedResult } = createPagedResultCache({ ttlMs: CURSOR_TTL_MS, maxEntries: 4 });
 const runExec = createExecLimiter(withConcurrencyLimit);
 
+// How many assemblies directory tools decompile ahead of the one they are writing out
+const DIRECTORY_LOOKAHEAD = MAX_CONCURRENCY * 2;
+const toolTimeouts = parseToolTimeouts(TOOL_TIMEOUTS);
+
+function sourceExtension(language) {
+  return normalizeLanguage(language) === 'IL' ? '.il' : '.cs';
+}
+
+// The manifest of a previous decompile-dotnet-directory-to-dir run, or null when there is none
+// (or it was written by another tool).
+async function readDirectoryManifest(manifestPath) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    if (!manifest || typeof manifest.assemblies !== 'object' || Array.isArray(manifest.assemblies)) return null;
+    for (const entry of Object.values(manifest.assemblies)) {
+      if (!entry || !Array.isArray(entry.files) || !entry.files.every(f => typeof f === 'string')) return null;
+    }
+    return manifest;
+  } catch {
+    return null;
+  }
+}
+
 class DecompilerService {
-  async decompileDotnetDirectory(rootDir, { includeIL = false } = {}) {
-    const execPromise = promisify(exec);
+  async decompileDotnetDirectory(rootDir, { includeIL = false, framework = null, languageVersion = null, include = null, exclude = null, maxDepth = null, onProgress = null } = {}) {
     const results = [];
     let totalBytes = 0;
     let totalFiles = 0;
     const skipped = [];
+    const packages = [];
     const assemblies = [];
     try {
       const stat = await fs.stat(rootDir);
-      if (!stat.isDirectory()) throw new Error('rootDir is not a directory');
+      if (!stat.isDirectory() && !isPackagePath(rootDir)) throw new Error('rootDir is not a directory or .nupkg');
 
-      // collect assemblies
-      async function collectAssemblies(dir) {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-        for (const entry of entries) {
-          const full = path.join(dir, entry.name);
-          if (entry.isDirectory()) {
-            await collectAssemblies(full);
-          } else if (entry.isFile()) {
-            const lower = entry.name.toLowerCase();
-            if (lower.endsWith('.dll') || lower.endsWith('.exe')) {
-              assemblies.push(full);
-            }
-          }
-        }
-      }
-      await collectAssemblies(rootDir);
+      assemblies.push(...(await this._collectAssemblies(rootDir, { framework, packages, skipped, include, exclude, maxDepth })));
 
       if (assemblies.length === 0) {
-        return { files: [], tree: this.buildFileTree(path.basename(rootDir) || '.', []), stats: { assemblies: 0, files: 0, bytes: 0 } };
+        return { files: [], tree: this.buildFileTree(path.basename(rootDir) || '.', []), stats: { assemblies: 0, files: 0, bytes: 0 }, skipped, packages };
       }
 
-      const ilspy = await resolveIlspycmd();
-
-      for (const asmPath of assemblies) {
-        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dotnetdc-dir-'));
-        try {
-          // copy pdb if present
-          try {
-            const pdb = asmPath.replace(/\.(dll|exe)$/i, '.pdb');
-            const pdbStat = await fs.stat(pdb);
-            if (pdbStat.isFile()) {
-              await fs.copyFile(pdb, path.join(tempDir, path.basename(pdb)));
-            }
-          } catch {}
-
-          const args = [];
-          args.push(`-o "${tempDir}"`);
-          const cmd = `${ilspy} ${args.join(' ')} "${asmPath}"`;
-          try {
-            await execPromise(cmd);
-          } catch (err) {
-            throw new Error(`ilspycmd failed on ${asmPath}: ${err.message}`);
-          }
-
-          // collect output files from tempDir
-          const produced = [];
-          async function collectOut(dir) {
-            const entries = await fs.readdir(dir, { withFileTypes: true });
-            for (const entry of entries) {
-              const full = path.join(dir, entry.name);
-              if (entry.isDirectory()) {
-                await collectOut(full);
-              } else if (entry.isFile()) {
-                const lower = entry.name.toLowerCase();
-                if (lower.endsWith('.cs') || (includeIL && lower.endsWith('.il'))) {
-                  produced.push(full);
-                }
-              }
-            }
-          }
-          await collectOut(tempDir);
-
-          const asmRel = path.relative(rootDir, asmPath);
-          const asmBase = path.join(path.dirname(asmRel), path.basename(asmRel, path.extname(asmRel)));
-
-          for (const f of produced) {
-            const relFromTemp = path.relative(tempDir, f);
-            const outRel = path.join(asmBase, relFromTemp);
-            const content = await fs.readFile(f, 'utf8');
-            totalFiles++;
-            totalBytes += content.length;
-            if (totalFiles > MAX_FILES) throw new Error(`Output too large: ${totalFiles} files exceeds limit ${MAX_FILES}`);
-            if (totalBytes > MAX_BYTES) throw new Error(`Output too large: ${totalBytes} bytes exceeds limit ${MAX_BYTES}`);
-            results.push({ path: outRel.replace(/\\/g, '/'), content });
-          }
-        } catch (err) {
-          skipped.push({ assembly: asmPath, reason: err.message || String(err) });
-          // continue with next assembly
-        } finally {
-          try { await fs.rm(tempDir, { recursive: true, force: true }); } catch {}
+      const progress = completed => {
+        if (onProgress) onProgress({ completed, total: assemblies.length, assembly: completed ? assemblyDisplayPath(rootDir, assemblies[completed - 1]) : null, files: totalFiles, bytes: totalBytes });
+      };
+      progress(0);
+      const cancelled = await this._decompileInOrder(assemblies, { includeIL, languageVersion }, (index, asmPath, produced) => {
+        const asmRel = assemblyDisplayPath(rootDir, asmPath);
+        const asmBase = path.join(path.dirname(asmRel), path.basename(asmRel, path.extname(asmRel)));
+        for (const f of produced) {
+          const outRel = path.join(asmBase, f.path);
+          const content = f.content;
+          totalFiles++;
+          totalBytes += content.length;
+          if (totalFiles > MAX_FILES) throw new OutputLimitError(`Output too large: ${totalFiles} files exceeds limit ${MAX_FILES}`);
+          if (totalBytes > MAX_BYTES) throw new OutputLimitError(`Output too large: ${totalBytes} bytes exceeds limit ${MAX_BYTES}`);
+          results.push({ path: outRel.replace(/\\/g, '/'), content });
         }
-      }
+      }, { skipped, progress });
 
       const tree = this.buildFileTree(path.basename(rootDir) || '.', results.map(r => r.path));
-      return { files: results, tree, stats: { assemblies: assemblies.length, files: totalFiles, bytes: totalBytes }, skipped };
+      return { files: results, tree, stats: { assemblies: assemblies.length, files: totalFiles, bytes: totalBytes }, skipped, packages, cancelled };
     } catch (error) {
       throw new Error(`Failed to decompile directory: ${error.message}`);
     }
   }
 
-  async decompileDotnetDirectoryToDir(rootDir, outputDir, { includeIL = false } = {}) {
-    const execPromise = promisify(exec);
+  // Incremental: Decompiled.manifest.json in outputDir records each assembly's hash, size, mtime
+  // and output files. Later runs with the same options and ilspycmd version skip assemblies that
+  // did not change, and delete outputs of removed types and assemblies.
+  async decompileDotnetDirectoryToDir(rootDir, outputDir, { includeIL = false, framework = null, languageVersion = null, include = null, exclude = null, maxDepth = null, onProgress = null } = {}) {
     const written = [];
+    const removedFiles = [];
     let totalBytes = 0;
     let totalFiles = 0;
     const skipped = [];
-    const assemblies = [];
+    const packages = [];
     try {
       const stat = await fs.stat(rootDir);
-      if (!stat.isDirectory()) throw new Error('rootDir is not a directory');
+      if (!stat.isDirectory() && !isPackagePath(rootDir)) throw new Error('rootDir is not a directory or .nupkg');
       await fs.mkdir(outputDir, { recursive: true });
 
-      async function collectAssemblies(dir) {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-        for (const entry of entries) {
-          const full = path.join(dir, entry.name);
-          if (entry.isDirectory()) {
-            await collectAssemblies(full);
-          } else if (entry.isFile()) {
-            const lower = entry.name.toLowerCase();
-            if (lower.endsWith('.dll') || lower.endsWith('.exe')) assemblies.push(full);
-          }
+      const assemblies = await this._collectAssemblies(rootDir, { framework, packages, skipped, include, exclude, maxDepth });
+
+      const manifestPath = path.join(outputDir, 'Decompiled.manifest.json');
+      const options = { includeIL, languageVersion: normalizeLanguageVersion(languageVersion), framework, ilspycmd: await getIlspycmdVersion(await resolveIlspycmd()) };
+      const previous = await readDirectoryManifest(manifestPath);
+      const sameOptions = Boolean(previous) && JSON.stringify(previous.options) === JSON.stringify(options);
+      const entries = new Map();
+      const changes = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+      const queued = [];
+      for (const asmPath of assemblies) {
+        const rel = assemblyDisplayPath(rootDir, asmPath);
+        const asmStat = await fs.stat(asmPath);
+        const prev = previous ? previous.assemblies[rel] || null : null;
+        // Size and mtime unchanged: trust the recorded hash instead of reading the file again. A null
+        // hash marks outputs of a run cut short, which must not match.
+        const hash = prev && prev.hash && prev.size === asmStat.size && prev.mtimeMs === asmStat.mtimeMs ? prev.hash : await hashFile(asmPath);
+        const entry = { hash, size: asmStat.size, mtimeMs: asmStat.mtimeMs, files: [] };
+        if (prev && sameOptions && prev.hash === hash && (await this._outputsPresent(outputDir, prev.files))) {
+          entries.set(rel, { ...entry, files: prev.files });
+          changes.unchanged++;
+        } else {
+          queued.push({ asmPath, rel, prev, entry });
         }
       }
-      await collectAssemblies(rootDir);
-
-      if (assemblies.length === 0) {
-        const tree = this.buildFileTree(outputDir, []);
-        return { files: [], tree, stats: { assemblies: 0, files: 0, bytes: 0 } };
+      if (previous) {
+        const found = new Set(assemblies.map(a => assemblyDisplayPath(rootDir, a)));
+        for (const [rel, prev] of Object.entries(previous.assemblies)) {
+          if (found.has(rel)) continue;
+          await this._removeOutputs(outputDir, prev.files, removedFiles);
+          changes.removed++;
+        }
       }
 
-      const ilspy = await resolveIlspycmd();
-      for (const asmPath of assemblies) {
-        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dotnetdc-dir-'));
-        try {
-          // copy pdb if exists
-          try {
-            const pdb = asmPath.replace(/\.(dll|exe)$/i, '.pdb');
-            const s = await fs.stat(pdb);
-            if (s.isFile()) await fs.copyFile(pdb, path.join(tempDir, path.basename(pdb)));
-          } catch {}
-
-          const args = [];
-          args.push(`-o "${tempDir}"`);
-          const cmd = `${ilspy} ${args.join(' ')} "${asmPath}"`;
-          try {
-            await execPromise(cmd);
-          } catch (err) {
-            throw new Error(`ilspycmd failed on ${asmPath}: ${err.message}`);
-          }
-
-          const produced = [];
-          async function collectOut(dir) {
-            const entries = await fs.readdir(dir, { withFileTypes: true });
-            for (const entry of entries) {
-              const full = path.join(dir, entry.name);
-              if (entry.isDirectory()) await collectOut(full);
-              else if (entry.isFile()) {
-                const lower = entry.name.toLowerCase();
-                if (lower.endsWith('.cs') || (includeIL && lower.endsWith('.il'))) produced.push(full);
-              }
-            }
-          }
-          await collectOut(tempDir);
-
-          const asmRel = path.relative(rootDir, asmPath);
-          const asmBase = path.join(path.dirname(asmRel), path.basename(asmRel, path.extname(asmRel)));
-
-          for (const f of produced) {
-            const relFromTemp = path.relative(tempDir, f);
-            const outRel = path.join(asmBase, relFromTemp).replace(/\\/g, '/');
-            const target = path.join(outputDir, outRel);
-            const content = await fs.readFile(f, 'utf8');
-            totalFiles++;
-            totalBytes += content.length;
-            if (totalFiles > MAX_FILES) throw new Error(`Output too large: ${totalFiles} files exceeds limit ${MAX_FILES}`);
-            if (totalBytes > MAX_BYTES) throw new Error(`Output too large: ${totalBytes} bytes exceeds limit ${MAX_BYTES}`);
-            await this._writeFileIfChanged(target, content, written, outputDir);
-          }
-        } catch (err) {
-          skipped.push({ assembly: asmPath, reason: err.message || String(err) });
-          // continue next assembly
-        } finally {
-          try { await fs.rm(tempDir, { recursive: true, force: true }); } catch {}
+      const progress = completed => {
+        if (onProgress) onProgress({ completed, total: queued.length, assembly: completed ? queued[completed - 1].rel : null, files: totalFiles, bytes: totalBytes });
+      };
+      progress(0);
+      // Failed or not reached: keep the previous outputs; the stale hash makes the next run retry
+      const writeManifest = async () => {
+        for (const { rel, prev } of queued) {
+          if (!entries.has(rel) && prev) entries.set(rel, prev);
         }
-      }
+        const manifest = {
+          tool: { name: SERVER_NAME, version: PACKAGE_VERSION },
+          generatedAt: new Date().toISOString(),
+          rootDir,
+          options,
+          assemblies: Object.fromEntries([...entries.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))),
+        };
+        await this._writeFileIfChanged(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+      };
+      // Each assembly's files are written as soon as it is its turn, then dropped
+      const cancelled = await this._decompileInOrder(queued.map(q => q.asmPath), { includeIL, languageVersion }, async (index, asmPath, produced) => {
+        const { rel, prev, entry } = queued[index];
+        const asmBase = path.join(path.dirname(rel), path.basename(rel, path.extname(rel)));
+        // Recorded before writing, without a hash, so a run cut short still owns what it wrote
+        const record = { ...entry, hash: null, files: prev ? prev.files.slice() : [] };
+        entries.set(rel, record);
+        const owned = new Set(record.files);
+        const files = [];
+        for (const f of produced) {
+          const outRel = path.join(asmBase, f.path).replace(/\\/g, '/');
+          const target = path.join(outputDir, outRel);
+          const content = f.content;
+          totalFiles++;
+          totalBytes += content.length;
+          if (totalFiles > MAX_FILES) throw new OutputLimitError(`Output too large: ${totalFiles} files exceeds limit ${MAX_FILES}`);
+          if (totalBytes > MAX_BYTES) throw new OutputLimitError(`Output too large: ${totalBytes} bytes exceeds limit ${MAX_BYTES}`);
+          files.push(outRel);
+          if (!owned.has(outRel)) record.files.push(outRel);
+          await this._writeFileIfChanged(target, content, written, outputDir);
+        }
+        const current = new Set(files);
+        await this._removeOutputs(outputDir, record.files.filter(f => !current.has(f)), removedFiles);
+        record.files = files;
+        record.hash = entry.hash;
+        changes[prev ? 'updated' : 'added']++;
+      }, { skipped, progress }).catch(async err => {
+        // A run stopped by an output limit still records what it wrote and removed
+        await writeManifest();
+        throw err;
+      });
+
+      await writeManifest();
 
       const tree = decompilerService.buildFileTree(outputDir, written);
-      return { files: written.slice().sort(), tree, stats: { assemblies: assemblies.length, files: totalFiles, bytes: totalBytes }, skipped };
+      return {
+        files: written.slice().sort(),
+        removedFiles: removedFiles.sort(),
+        tree,
+        stats: { assemblies: assemblies.length, decompiled: queued.length, files: totalFiles, bytes: totalBytes, ...changes },
+        skipped,
+        packages,
+        cancelled,
+      };
     } catch (error) {
       throw new Error(`Failed to decompile directory to dir: ${error.message}`);
     }
   }
-  async decompileDotnetAssembly(assemblyPath, { typeName = null, language = null } = {}) {
-    const execPromise = promisify(exec);
-    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dotnetdc-'));
-    try {
-      await fs.access(assemblyPath);
 
-      const args = [];
-      args.push(`-o "${tempDir}"`);
-      if (typeName) {
-        args.push(`-t "${typeName}"`);
+  // Decompiles the assemblies of a directory tool concurrently and hands each one's .cs (and .il)
+  // files to `commit` in input order, so output, limits and progress stay deterministic. At most
+  // DIRECTORY_LOOKAHEAD assemblies are started ahead of the next one to commit, which bounds memory;
+  // ilspycmd itself still runs under the shared MAX_CONCURRENCY limiter. Failures of one assembly,
+  // including errors thrown by `commit`, go to `skipped`; OutputLimitError and ToolAbortedError end
+  // the run and are rethrown. A cancelled or timed-out run stops at the next assembly to commit and
+  // returns its abort summary; everything committed before that is kept.
+  async _decompileInOrder(assemblies, { includeIL = false, languageVersion = null }, commit, { skipped, progress }) {
+    const signal = currentSignal();
+    const decompileOne = async asmPath => {
+      let produced;
+      try {
+        ({ files: produced } = await decompileRaw({ assemblyPath: asmPath, runExec, languageVersion }));
+        if (includeIL) produced = [...produced, ...(await decompileRaw({ assemblyPath: asmPath, runExec, language: 'IL' })).files];
+      } catch (err) {
+        throw new Error(`ilspycmd failed on ${asmPath}: ${err.message}`);
+      }
+      return produced.filter(f => {
+        const lower = f.path.toLowerCase();
+        return lower.endsWith('.cs') || (includeIL && lower.endsWith('.il'));
+      });
+    };
+    // Lookahead decompiles run under their own signal: it follows the call's, and is also aborted
+    // when the loop ends early (e.g. on an output limit), so they don't keep running unawaited
+    const lookahead = new AbortController();
+    const forwardAbort = () => lookahead.abort(signal.reason);
+    if (signal) signal.addEventListener('abort', forwardAbort, { once: true });
+    const pending = new Map();
+    let started = 0;
+    try {
+      for (const [index, asmPath] of assemblies.entries()) {
+        while (started < assemblies.length && started <= index + DIRECTORY_LOOKAHEAD && !(signal && signal.aborted)) {
+          pending.set(started, runWithSignal(lookahead.signal, () => decompileOne(assemblies[started])).then(files => ({ files }), error => ({ error })));
+          started++;
+        }
+        if (signal && signal.aborted) return abortSummary(signal, index, assemblies.length);
+        const result = await pending.get(index);
+        pending.delete(index);
+        try {
+          if (result.error) throw result.error;
+          await commit(index, asmPath, result.files);
+        } catch (err) {
+          if (signal && signal.aborted) return abortSummary(signal, index, assemblies.length);
+          if (err instanceof OutputLimitError || err instanceof ToolAbortedError) throw err;
+          skipped.push({ assembly: asmPath, category: 'failed', reason: err.message || String(err) });
+          // continue with next assembly
+        }
+        progress(index + 1);
       }
+      return null;
+    } finally {
+      if (signal) signal.removeEventListener('abort', forwardAbort);
+      lookahead.abort();
+    }
+  }
 
-      const ilspy = await resolveIlspycmd();
-      const cmd = `${ilspy} ${args.join(' ')} "${assemblyPath}"`;
+  async decompileDotnetAssembly(assemblyPath, { typeName = null, language = null, languageVersion = null } = {}) {
+    try {
+      await fs.access(assemblyPath);
+      language = normalizeLanguage(language);
+      normalizeLanguageVersion(languageVersion);
 
+      let files;
       try {
-        await execPromise(cmd);
+        ({ files } = await decompileRaw({ assemblyPath, typeName, runExec, language, languageVersion }));
       } catch (err) {
+        // ilspycmd ran and exited non-zero: its own message is more useful than install hints
+        if (Number.isInteger(err.exitCode)) throw err;
         throw new Error(
           `ilspycmd not available or failed to run. Please install .NET SDK and ilspycmd (dotnet tool install -g ilspycmd), then re-run this MCP tool. Do not call ilspycmd directly. Detail: ${err.message}`
         );
       }
 
-      const collectedFiles = [];
-      async function collect(dir) {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-        for (const entry of entries) {
-          const full = path.join(dir, entry.name);
-          if (entry.isDirectory()) {
-            await collect(full);
-          } else if (entry.isFile()) {
-            const lower = entry.name.toLowerCase();
-            if (lower.endsWith('.cs') || lower.endsWith('.il')) {
-              collectedFiles.push(full);
-            }
-          }
-        }
-      }
-      await collect(tempDir);
+      const collectedFiles = files.filter(f => {
+        const lower = f.path.toLowerCase();
+        return lower.endsWith('.cs') || lower.endsWith('.il');
+      });
 
       if (collectedFiles.length === 0) {
         throw new Error('ilspycmd produced no source files');
       }
 
-      const parts = [];
-      for (const filePath of collectedFiles) {
-        const code = await fs.readFile(filePath, 'utf8');
-        parts.push(`// File: ${path.relative(tempDir, filePath)}\n${code}`);
-      }
-
-      return parts.join('\n\n');
+      // One chunk per top-level type so the tool can page through large assemblies
+      const chunks = [];
+      collectedFiles.forEach((file, i) => {
+        const pieces = file.path.toLowerCase().endsWith('.cs') ? splitSourceAtTypes(file.content) : [file.content];
+        pieces[0] = `// File: ${file.path}\n${pieces[0]}`;
+        if (i < collectedFiles.length - 1) pieces[pieces.length - 1] += '\n\n';
+        for (const text of pieces) chunks.push({ file: file.path, text });
+      });
+      return chunks;
     } catch (error) {
       throw new Error(`Failed to decompile .NET assembly: ${error.message}`);
-    } finally {
-      try {
-        await fs.rm(tempDir, { recursive: true, force: true });
-      } catch (cleanupError) {
-        console.error(`Error cleaning up temporary directory: ${cleanupError.message}`);
-      }
     }
   }
 
-  async decompileDotnetAssemblyToDir(assemblyPath, outputDir, { typeName = null } = {}) {
-    const execPromise = promisify(exec);
+  async decompileDotnetAssemblyToDir(assemblyPath, outputDir, { typeName = null, language = null, languageVersion = null } = {}) {
     try {
       await fs.access(assemblyPath);
+      language = normalizeLanguage(language);
+      normalizeLanguageVersion(languageVersion);
       await fs.mkdir(outputDir, { recursive: true });
 
-      const args = [];
-      args.push(`-o "${outputDir}"`);
-      if (typeName) {
-        args.push(`-t "${typeName}"`);
-      }
-      const ilspy = await resolveIlspycmd();
-      const cmd = `${ilspy} ${args.join(' ')} "${assemblyPath}"`;
+      let produced;
       try {
-        await execPromise(cmd);
+        ({ files: produced } = await decompileRaw({ assemblyPath, typeName, runExec, language, languageVersion }));
       } catch (err) {
+        // ilspycmd ran and exited non-zero: its own message is more useful than install hints
+        if (Number.isInteger(err.exitCode)) throw err;
         throw new Error(
           `ilspycmd not available or failed to run. Please install .NET SDK8.0 and ilspycmd (dotnet tool install -g ilspycmd), then re-run this MCP tool. Do not call ilspycmd directly. Detail: ${err.message}`
         );
       }
+      for (const f of produced) {
+        await this._writeFileIfChanged(path.join(outputDir, f.path), f.content);
+      }
 
       // Walk outputDir and list files
       const files = [];
@@ -334,21 +389,35 @@ class DecompilerService {
   }
 
   async listNamespaces(assemblyPath, { typeName = null } = {}) {
+    // Read namespaces straight from the TypeDef table; only decompile when the metadata can't be parsed
+    try {
+      const md = await readAssemblyMetadata(assemblyPath);
+      return listNamespacesFromMetadata(md, { typeName });
+    } catch (err) {
+      if (!(err instanceof MetadataError)) throw err;
+    }
     const { combined } = await decompileAndSplit({ assemblyPath, typeName, runExec });
     return Array.from(new Set(extractNamespaces(combined))).sort();
   }
 
-  async decompilePerNamespaceToDir(assemblyPath, outputDir, { typeName = null } = {}) {
-    const { usingLines, nsMap } = await decompileAndSplit({ assemblyPath, typeName, runExec });
+  async listTypes(assemblyPath, { namespace = null, namePattern = null, publicOnly = false, includeNested = true } = {}) {
+    try {
+      const md = await readAssemblyMetadata(assemblyPath);
+      return listTypesFromMetadata(md, { namespace, namePattern, publicOnly, includeNested });
+    } catch (error) {
+      throw new Error(`Failed to read types from metadata: ${error.message}`);
+    }
+  }
+
+  async decompilePerNamespaceToDir(assemblyPath, outputDir, { typeName = null, language = null, languageVersion = null } = {}) {
+    const { usingLines, nsMap } = await decompileAndSplit({ assemblyPath, typeName, runExec, language, languageVersion });
     try {
       await fs.mkdir(outputDir, { recursive: true });
       const written = [];
       for (const [ns, code] of nsMap.entries()) {
         const safeName = ns === '(global)' ? 'global' : ns.replace(/\./g, '_');
-        const filePath = path.join(outputDir, `${safeName}.cs`);
-        const fileScoped = /;\s*$/.test(ns) ? ns : `namespace ${ns};`;
-        const finalCode = `${usingLines}\n\n${fileScoped}\n\n${code}\n`;
-        await fs.writeFile(filePath, finalCode, 'utf8');
+        const filePath = path.join(outputDir, `${safeName}${sourceExtension(language)}`);
+        await fs.writeFile(filePath, this._namespaceSource(ns, code, usingLines, language), 'utf8');
         written.push(path.basename(filePath));
       }
       return written.sort();
@@ -357,11 +426,11 @@ class DecompilerService {
     }
   }
 
-  async decompileSelectedNamespaces(assemblyPath, namespaces, { typeName = null } = {}) {
+  async decompileSelectedNamespaces(assemblyPath, namespaces, { typeName = null, language = null, languageVersion = null } = {}) {
     if (!Array.isArray(namespaces) || namespaces.length === 0) {
       throw new Error('namespaces must be a non-empty array');
     }
-    const { usingLines, nsMap } = await decompileAndSplit({ assemblyPath, typeName, runExec });
+    const { usingLines, nsMap } = await decompileAndSplit({ assemblyPath, typeName, runExec, limits: false, language, languageVersion });
     const selected = new Map();
     const want = new Set(namespaces);
     for (const [ns, code] of nsMap.entries()) {
@@ -369,54 +438,81 @@ class DecompilerService {
         selected.set(ns, code);
       }
     }
-    if (selected.size === 0) {
-      return '';
-    }
-    const parts = [];
+    const chunks = [];
     for (const [ns, code] of selected.entries()) {
+      if (normalizeLanguage(language) === 'IL') {
+        chunks.push({ namespace: ns, text: code });
+        continue;
+      }
       const fileScoped = /;\s*$/.test(ns) ? ns : `namespace ${ns};`;
-      parts.push(`${usingLines}\n\n${fileScoped}\n\n${code}\n`);
+      const pieces = splitSourceAtTypes(`${code}\n`);
+      pieces[0] = `${chunks.length ? '\n' : ''}${usingLines}\n\n${fileScoped}\n\n${pieces[0]}`;
+      for (const text of pieces) chunks.push({ namespace: ns, text });
     }
-    return parts.join('\n');
+    return chunks;
   }
 
-  async decompileSelectedNamespacesToDir(assemblyPath, outputDir, namespaces, { typeName = null } = {}) {
+  async decompileSelectedNamespacesToDir(assemblyPath, outputDir, namespaces, { typeName = null, language = null, languageVersion = null } = {}) {
     if (!Array.isArray(namespaces) || namespaces.length === 0) {
       throw new Error('namespaces must be a non-empty array');
     }
-    const { usingLines, nsMap } = await decompileAndSplit({ assemblyPath, typeName, runExec });
+    const { usingLines, nsMap } = await decompileAndSplit({ assemblyPath, typeName, runExec, language, languageVersion });
     await fs.mkdir(outputDir, { recursive: true });
     const written = [];
     for (const [ns, code] of nsMap.entries()) {
       if (namespaces.some(w => ns === w || ns.startsWith(w + '.'))) {
         const safeName = ns.replace(/\./g, '_');
-        const filePath = path.join(outputDir, `${safeName}.cs`);
-        const fileScoped = /;\s*$/.test(ns) ? ns : `namespace ${ns};`;
-        const finalCode = `${usingLines}\n\n${fileScoped}\n\n${code}\n`;
-        await fs.writeFile(filePath, finalCode, 'utf8');
+        const filePath = path.join(outputDir, `${safeName}${sourceExtension(language)}`);
+        await fs.writeFile(filePath, this._namespaceSource(ns, code, usingLines, language), 'utf8');
         written.push(path.basename(filePath));
       }
     }
     return written.sort();
   }
 
-  // moved to src/decompiler.js
+  // Text of one namespace as a standalone file; IL already carries full type names
+  _namespaceSource(ns, code, usingLines, language) {
+    if (normalizeLanguage(language) === 'IL') return code;
+    const fileScoped = /;\s*$/.test(ns) ? ns : `namespace ${ns};`;
+    return `${usingLines}\n\n${fileScoped}\n\n${code}\n`;
+  }
 
-  async decompileToProjectStructure(assemblyPath, outputDir, { typeName = null, includeDocs = true } = {}) {
-    const { usingLines, nsMap } = await decompileAndSplit({ assemblyPath, typeName, runExec });
+  async decompileToProjectStructure(assemblyPath, outputDir, { typeName = null, includeDocs = true, includeResources = true, languageVersion = null } = {}) {
+    const { usingLines, nsMap } = await decompileAndSplit({ assemblyPath, typeName, runExec, languageVersion });
     const written = [];
     const typeMappings = [];
     await fs.mkdir(outputDir, { recursive: true });
 
-    // Write a minimal csproj (incremental)
-    const csproj = `<?xml version="1.0" encoding="utf-8"?>\n<Project Sdk="Microsoft.NET.Sdk">\n  <PropertyGroup>\n    <TargetFramework>net8.0</TargetFramework>\n    <ImplicitUsings>enable</ImplicitUsings>\n    <Nullable>enable</Nullable>\n  </PropertyGroup>\n  <ItemGroup>\n    <Compile Include="**/*.cs" />\n  </ItemGroup>\n</Project>\n`;
+    // csproj with the assembly's real framework, identity and references (incremental)
+    const project = await describeProject(assemblyPath);
+    const sources = [...nsMap.values()];
+    project.allowUnsafeBlocks = project.allowUnsafeBlocks || sources.some(code => /\bunsafe\b/.test(code));
+    // Embedded resources go under Resources/, .resources blobs decoded to .resx
+    let resources = [];
+    let skippedResources = [];
+    if (includeResources) {
+      try {
+        ({ files: resources, skipped: skippedResources } = projectResourceFiles(await readAssemblyMetadata(assemblyPath)));
+      } catch (err) {
+        if (!(err instanceof MetadataError)) throw err;
+      }
+      for (const resource of resources) {
+        await this._writeFileIfChanged(path.join(outputDir, ...resource.file.split('/')), resource.content, written, outputDir);
+      }
+    }
+    const csproj = renderCsproj(project, {
+      outputDir,
+      languageVersion: normalizeLanguageVersion(languageVersion),
+      hasAssemblyAttributes: sources.some(code => /\[\s*assembly\s*:/.test(code)),
+      resources,
+    });
     await this._writeFileIfChanged(path.join(outputDir, 'Decompiled.csproj'), csproj, written, outputDir);
 
     for (const [ns, code] of nsMap.entries()) {
       const nsPath = ns === '(global)' ? path.join(outputDir, 'global') : path.join(outputDir, ...ns.split('.'));
       await fs.mkdir(nsPath, { recursive: true });
-      const types = this._splitTypes(code);
-      if (types.size === 0) {
+      const declarations = listTopLevelTypes(code);
+      if (declarations.length === 0) {
         // Fallback: write entire namespace as a single file
         const name = ns === '(global)' ? 'Global.cs' : 'Namespace.cs';
         const fp = path.join(nsPath, name);
@@ -425,12 +521,29 @@ class DecompilerService {
         await this._writeFileIfChanged(fp, finalCode, written, outputDir);
         continue;
       }
-      for (const [typeName, typeCode] of types.entries()) {
+      // One file per type, named by metadata name (Foo.cs, Foo`1.cs); partial declarations share
+      // their type's file and nested types stay inside their parent
+      const byName = new Map();
+      for (const decl of declarations) {
+        if (!byName.has(decl.name)) byName.set(decl.name, []);
+        byName.get(decl.name).push(decl);
+      }
+      for (const [typeName, parts] of byName) {
         const fp = path.join(nsPath, `${typeName}.cs`);
         const nsHeader = ns === '(global)' ? '' : `namespace ${ns};\n\n`;
-        const finalCode = `${usingLines}\n\n${nsHeader}${typeCode}\n`;
+        const finalCode = `${usingLines}\n\n${nsHeader}${parts.map(p => p.code).join('\n\n')}\n`;
         await this._writeFileIfChanged(fp, finalCode, written, outputDir);
-        typeMappings.push({ namespace: ns, typeName, file: path.relative(outputDir, fp) });
+        typeMappings.push({
+          namespace: ns,
+          typeName,
+          fullName: ns === '(global)' ? typeName : `${ns}.${typeName}`,
+          kind: parts[0].kind,
+          genericArity: parts[0].genericArity,
+          partial: parts.some(p => p.partial),
+          declarations: parts.length,
+          nestedTypes: [...new Set(parts.flatMap(p => p.nestedTypes))],
+          file: path.relative(outputDir, fp).replace(/\\/g, '/'),
+        });
       }
     }
     // Copy XML docs if present (same basename as assembly)
@@ -454,51 +567,352 @@ class DecompilerService {
         tool: { name: SERVER_NAME, version: PACKAGE_VERSION },
         generatedAt: new Date().toISOString(),
         assembly: { path: assemblyPath, mtimeMs: stat.mtimeMs, size: stat.size },
-        options: { typeName, includeDocs },
+        options: { typeName, includeDocs, includeResources },
+        resources: resources.map(r => ({ file: r.file, logicalName: r.logicalName })),
+        skippedResources,
+        project,
         files: written.slice().sort(),
         typeMappings,
         namespaces: Array.from(nsMap.keys()),
       };
       await this._writeFileIfChanged(path.join(outputDir, 'Decompiled.manifest.json'), JSON.stringify(manifest, null, 2) + '\n', written, outputDir);
     } catch {}
-    return written.sort();
+    return { files: written.sort(), skippedResources };
+  }
+
+  async searchCode({ assemblyPath = null, rootDir = null, typeName = null, query, regex = false, caseSensitive = false, maxResults = 200, contextLines = 2, framework = null, include = null, exclude = null, maxDepth = null }) {
+    const matcher = buildMatcher(query, { regex, caseSensitive });
+    const state = { matches: [], truncated: false };
+    const skipped = [];
+    const packages = [];
+    let assemblies;
+    if (assemblyPath) {
+      assemblies = [assemblyPath];
+    } else {
+      const stat = await fs.stat(rootDir);
+      if (!stat.isDirectory() && !isPackagePath(rootDir)) throw new Error('rootDir is not a directory or .nupkg');
+      assemblies = await this._collectAssemblies(rootDir, { framework, packages, skipped, include, exclude, maxDepth });
+    }
+    let searchedFiles = 0;
+    for (const asmPath of assemblies) {
+      if (state.truncated) break;
+      let files;
+      try {
+        ({ files } = await decompileRaw({ assemblyPath: asmPath, typeName: assemblyPath ? typeName : null, runExec }));
+      } catch (err) {
+        if (assemblyPath) throw new Error(`ilspycmd failed on ${asmPath}: ${err.message}`);
+        skipped.push({ assembly: asmPath, category: 'failed', reason: err.message || String(err) });
+        continue;
+      }
+      const assembly = assemblyDisplayPath(rootDir, asmPath);
+      const sources = files.filter(f => f.path.toLowerCase().endsWith('.cs')).map(f => ({ assembly, path: f.path, content: f.content }));
+      searchedFiles += sources.length;
+      searchSources(sources, matcher, { maxResults, contextLines }, state);
+    }
+    return { matches: state.matches, truncated: state.truncated, stats: { assemblies: assemblies.length, files: searchedFiles }, skipped, packages };
+  }
+
+  async decompileMember(assemblyPath, typeName, memberName, { parameterTypes = null, language = null, languageVersion = null } = {}) {
+    language = normalizeLanguage(language);
+    normalizeLanguageVersion(languageVersion);
+    const il = language === 'IL';
+    let files;
+    try {
+      ({ files } = await decompileRaw({ assemblyPath, typeName, runExec, language, languageVersion }));
+    } catch (err) {
+      throw new Error(`ilspycmd failed on ${assemblyPath}: ${err.message}`);
+    }
+    const code = files.filter(f => f.path.toLowerCase().endsWith(sourceExtension(language))).map(f => f.content).join('\n');
+    const type = il ? findIlTypeBody(code, typeName) : findTypeBody(code, typeName);
+    if (!type) {
+      let hint = '';
+      try {
+        const md = await readAssemblyMetadata(assemblyPath);
+        const close = suggestClosest(typeName, listTypesFromMetadata(md).map(t => t.fullName));
+        if (close.length) hint = ` Did you mean: ${close.join(', ')}?`;
+      } catch {}
+      throw new Error(`Type ${typeName} not found in ${path.basename(assemblyPath)}.${hint}`);
+    }
+    const members = il ? splitIlMembers(type.body) : splitMembers(type.body, typeName);
+    const simpleType = typeName.split(/[.+]/).pop().replace(/`\d+$/, '');
+    // IL keeps metadata names (.ctor, Finalize, Item); C# uses the declared ones
+    const aliases = il
+      ? { ctor: '.ctor', [simpleType]: '.ctor', [`~${simpleType}`]: 'Finalize', this: 'Item' }
+      : { '.ctor': simpleType, ctor: simpleType, '.cctor': simpleType, Finalize: `~${simpleType}`, Item: 'this[]', this: 'this[]' };
+    const wanted = aliases[memberName] || memberName;
+    const named = members.filter(m => m.name === wanted || (m.names && m.names.includes(wanted)));
+    if (named.length === 0) {
+      const close = suggestClosest(memberName, members.flatMap(m => m.names || [m.name]).filter(Boolean));
+      const hint = close.length ? ` Did you mean: ${close.join(', ')}?` : '';
+      throw new Error(`Member ${memberName} not found in ${typeName}.${hint}`);
+    }
+    let selected = named;
+    if (Array.isArray(parameterTypes)) {
+      const want = parameterTypes.map(normalizeTypeName);
+      selected = named.filter(m => m.parameters && m.parameters.length === want.length && m.parameters.every((p, i) => normalizeTypeName(p) === want[i]));
+      if (selected.length === 0) {
+        const overloads = named.map(m => `${m.name}(${(m.parameters || []).join(', ')})`);
+        throw new Error(`No overload of ${memberName}(${parameterTypes.join(', ')}) in ${typeName}. Available: ${overloads.join('; ')}`);
+      }
+    }
+    return selected.map(m => ({ kind: m.kind, name: m.name, parameters: m.parameters, signature: m.signature, code: m.code }));
+  }
+
+  async findReferences({ assemblyPath = null, rootDir = null, symbol, maxResults = 100, resolveLines = true, framework = null, include = null, exclude = null, maxDepth = null }) {
+    const packages = [];
+    const skipped = [];
+    let assemblies;
+    if (assemblyPath) {
+      assemblies = [assemblyPath];
+    } else {
+      const stat = await fs.stat(rootDir);
+      if (!stat.isDirectory() && !isPackagePath(rootDir)) throw new Error('rootDir is not a directory or .nupkg');
+      assemblies = await this._collectAssemblies(rootDir, { framework, packages, skipped, include, exclude, maxDepth });
+    }
+    const result = await findReferences(assemblies, symbol, { rootDir, maxResults });
+    if (resolveLines) await this._resolveReferenceLines(result.references);
+    return { ...result, skipped: [...skipped, ...result.skipped], packages, stats: { assemblies: assemblies.length, references: result.references.length } };
+  }
+
+  async listResources(assemblyPath) {
+    const md = await readAssemblyMetadata(assemblyPath);
+    return listManifestResources(md).map(row => {
+      const { offset, ...resource } = row;
+      if (resource.location !== 'embedded') return { ...resource, kind: null };
+      let data;
+      try {
+        data = readManifestResource(md, row);
+      } catch (err) {
+        // One bad row is reported, the rest are still listed
+        return { ...resource, kind: null, error: err.message || String(err) };
+      }
+      if (!isResourcesFile(data)) return { ...resource, kind: isTextResource(data) ? 'text' : 'binary' };
+      try {
+        return { ...resource, kind: 'resources', entries: decodeResourcesFile(data).length };
+      } catch {
+        return { ...resource, kind: 'resources', entries: null };
+      }
+    });
+  }
+
+  // Selected resources (exact names or * / ? patterns) written to outputDir or returned inline.
+  // .resources blobs are decoded to JSON or .resx unless format is 'raw'; inline binary data is
+  // base64 and left out above maxInlineBytes.
+  async extractResources(assemblyPath, { names = null, outputDir = null, format = 'json', maxInlineBytes = 262144 } = {}) {
+    const md = await readAssemblyMetadata(assemblyPath);
+    const patterns = names && names.length ? names.map(wildcardToRegExp) : null;
+    const selected = listManifestResources(md).filter(r => !patterns || patterns.some(re => re.test(r.name)));
+    if (patterns && selected.length === 0) {
+      const close = suggestClosest(names[0], listManifestResources(md).map(r => r.name));
+      throw new Error(`No resource matches ${names.join(', ')} in ${path.basename(assemblyPath)}.${close.length ? ` Did you mean: ${close.join(', ')}?` : ''}`);
+    }
+    if (outputDir) await fs.mkdir(outputDir, { recursive: true });
+    const resources = [];
+    const skipped = [];
+    const usedFileNames = new Set();
+    for (const resource of selected) {
+      if (resource.location !== 'embedded') {
+        skipped.push({ resource: resource.name, reason: `stored in ${resource.location} ${resource.file || resource.assembly}` });
+        continue;
+      }
+      let data;
+      try {
+        data = readManifestResource(md, resource);
+      } catch (err) {
+        skipped.push({ resource: resource.name, reason: err.message || String(err) });
+        continue;
+      }
+      let fileName = resourceFileName(resource.name);
+      let content = data;
+      let kind = isTextResource(data) ? 'text' : 'binary';
+      if (isResourcesFile(data) && format !== 'raw') {
+        try {
+          const entries = decodeResourcesFile(data);
+          const base = fileName.replace(/\.resources$/i, '');
+          content = format === 'resx' ? resourcesToResx(entries) : `${JSON.stringify(resourcesToJson(entries), null, 2)}\n`;
+          fileName = `${base}.${format === 'resx' ? 'resx' : 'json'}`;
+          kind = format === 'resx' ? 'resx' : 'json';
+        } catch (err) {
+          skipped.push({ resource: resource.name, reason: `could not decode: ${err.message}; extracted raw` });
+          kind = 'binary';
+        }
+      }
+      const entry = { name: resource.name, visibility: resource.visibility, size: resource.size, kind };
+      if (outputDir) {
+        // Sanitized names can collide (a/b.txt and a:b.txt); later ones get a numeric suffix
+        fileName = uniqueFileName(fileName, usedFileNames);
+        const target = path.join(outputDir, fileName);
+        await fs.writeFile(target, content);
+        entry.file = fileName;
+      } else if (typeof content === 'string' || kind === 'text') {
+        entry.text = content.toString('utf8');
+      } else if (data.length <= maxInlineBytes) {
+        entry.base64 = data.toString('base64');
+      } else {
+        entry.omitted = `larger than maxInlineBytes (${maxInlineBytes}); use outputDir`;
+      }
+      resources.push(entry);
+    }
+    return { resources, skipped };
+  }
+
+  async inspectAssemblies({ assemblyPath = null, rootDir = null, framework = null, include = null, exclude = null, maxDepth = null }) {
+    if (assemblyPath) {
+      const md = await readAssemblyMetadata(assemblyPath);
+      return { assemblies: [{ path: assemblyPath, ...inspectAssembly(md) }], skipped: [], packages: [] };
+    }
+    const stat = await fs.stat(rootDir);
+    if (!stat.isDirectory() && !isPackagePath(rootDir)) throw new Error('rootDir is not a directory or .nupkg');
+    const packages = [];
+    const skipped = [];
+    const assemblies = [];
+    for (const asmPath of await this._collectAssemblies(rootDir, { framework, packages, skipped, include, exclude, maxDepth })) {
+      try {
+        assemblies.push({ path: assemblyDisplayPath(rootDir, asmPath), ...inspectAssembly(await readAssemblyMetadata(asmPath)) });
+      } catch (err) {
+        skipped.push({ assembly: asmPath, category: 'failed', reason: err.message || String(err) });
+      }
+    }
+    return { assemblies, skipped, packages };
+  }
+
+  async dependencyGraph(rootDir, { framework = null, includeFramework = false, include = null, exclude = null, maxDepth = null } = {}) {
+    const stat = await fs.stat(rootDir);
+    if (!stat.isDirectory() && !isPackagePath(rootDir)) throw new Error('rootDir is not a directory or .nupkg');
+    const packages = [];
+    const skipped = [];
+    const assemblies = [];
+    for (const asmPath of await this._collectAssemblies(rootDir, { framework, packages, skipped, include, exclude, maxDepth })) {
+      try {
+        const md = await readAssemblyMetadata(asmPath);
+        const identity = assemblyIdentity(md);
+        if (!identity) throw new Error('module without an assembly manifest');
+        assemblies.push({ path: assemblyDisplayPath(rootDir, asmPath), identity, references: assemblyReferences(md) });
+      } catch (err) {
+        skipped.push({ assembly: asmPath, category: 'failed', reason: err.message || String(err) });
+      }
+    }
+    return { ...buildDependencyGraph(assemblies, { includeFramework }), skipped, packages };
   }
 
-  _splitTypes(code) {
-    // Very lightweight splitter for top-level types
-    const result = new Map();
-    const typeRegex = /(^|\n)\s*(?:public|internal|protected|private|sealed|abstract|static|partial|readonly|ref|unsafe|new|\s)*\s*(class|struct|interface|enum|record)\s+([A-Za-z_][A-Za-z0-9_]*)(?:\s*<[^>]+>)?/g;
-    let match;
-    while ((match = typeRegex.exec(code)) !== null) {
-      const start = match.index + (match[1] ? match[1].length : 0);
-      const typeName = match[3];
-      // Find matching braces from the first '{' after start; some records may be semicolon-ended
-      let braceStart = code.indexOf('{', start);
-      if (braceStart === -1) {
-        // likely a record declaration without body; take until next semicolon
-        const semi = code.indexOf(';', start);
-        const nextIdx = semi === -1 ? code.length : semi + 1;
-        const chunk = code.slice(start, nextIdx).trim();
-        result.set(typeName, chunk);
-        typeRegex.lastIndex = nextIdx;
+  // Locates each IL use site in the decompiled source of its calling type. The n-th IL use of a
+  // target inside a member is matched to the n-th source line mentioning it.
+  async _resolveReferenceLines(references) {
+    const sources = new Map();
+    const ordinals = new Map();
+    for (const ref of references) {
+      const { typeName, member } = sourceLocation(ref.callerType, ref.callerMember);
+      ref.sourceType = typeName;
+      ref.sourceMember = member;
+      ref.line = null;
+      ref.code = null;
+      const key = `${ref.assemblyPath}\u0000${typeName}`;
+      if (!sources.has(key)) {
+        sources.set(key, (async () => {
+          try {
+            const { files } = await decompileRaw({ assemblyPath: ref.assemblyPath, typeName: typeName.split('+')[0], runExec });
+            const code = files.filter(f => f.path.toLowerCase().endsWith('.cs')).map(f => f.content).join('\n');
+            const type = findTypeBody(code, typeName);
+            return type ? { type, members: splitMembers(type.body, typeName) } : null;
+          } catch {
+            return null;
+          }
+        })());
+      }
+      const source = await sources.get(key);
+      if (!source) continue;
+      const owner = source.members.find(m => m.name === member || (m.names && m.names.includes(member)));
+      if (!owner) continue;
+      const memberLine = source.type.bodyStartLine + owner.startLine - 1;
+      const targetName = ref.target.split('::')[1] || ref.target;
+      const memberPart = targetName.replace(/\(.*$/, '');
+      const simple = memberPart === '.ctor' || !ref.target.includes('::')
+        ? ref.target.split('::')[0].split(/[.+]/).pop().replace(/`\d+$/, '')
+        : memberPart.replace(/^(?:get_|set_|add_|remove_|init_)/, '');
+      const ordinalKey = `${key}\u0000${ref.callerSignature}\u0000${ref.target}`;
+      const ordinal = ordinals.get(ordinalKey) || 0;
+      ordinals.set(ordinalKey, ordinal + 1);
+      const lines = owner.code.split('\n');
+      const pattern = new RegExp(`\\b${simple.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`);
+      const hits = [];
+      lines.forEach((l, i) => { if (pattern.test(l)) hits.push(i); });
+      const at = hits.length ? hits[Math.min(ordinal, hits.length - 1)] : 0;
+      ref.line = memberLine + at;
+      ref.code = lines[at].trim();
+    }
+  }
+
+  async diffAssemblies(oldPath, newPath, { contextLines = 3, includeDiffs = true, framework = null, include = null, exclude = null, maxDepth = null } = {}) {
+    const [oldStat, newStat] = await Promise.all([fs.stat(oldPath), fs.stat(newPath)]);
+    const isSet = (p, stat) => stat.isDirectory() || isPackagePath(p);
+    if (isSet(oldPath, oldStat) !== isSet(newPath, newStat)) {
+      throw new Error('oldPath and newPath must both be assemblies or both be directories/packages');
+    }
+
+    // Pair assemblies by path relative to each root (case-insensitive, as on Windows); inside
+    // packages by file name, so a package that moved to a newer framework still lines up
+    const pairs = new Map();
+    const skipped = [];
+    const packages = [];
+    if (isSet(oldPath, oldStat)) {
+      for (const [side, root] of [['old', oldPath], ['new', newPath]]) {
+        for (const asm of await this._collectAssemblies(root, { framework, packages, skipped, include, exclude, maxDepth })) {
+          const rel = isPackagePath(root) ? path.basename(asm) : assemblyDisplayPath(root, asm);
+          const entry = pairs.get(rel.toLowerCase()) || { assembly: rel };
+          entry[side] = asm;
+          pairs.set(rel.toLowerCase(), entry);
+        }
+      }
+    } else {
+      pairs.set('', { assembly: path.basename(newPath), old: oldPath, new: newPath });
+    }
+
+    const assemblies = [];
+    for (const key of [...pairs.keys()].sort()) {
+      const pair = pairs.get(key);
+      if (!pair.old) {
+        assemblies.push({ assembly: pair.assembly, status: 'added' });
+        continue;
+      }
+      if (!pair.new) {
+        assemblies.push({ assembly: pair.assembly, status: 'removed' });
         continue;
       }
-      let depth = 0;
-      let j = braceStart;
-      while (j < code.length) {
-        const ch = code[j++];
-        if (ch === '{') depth++;
-        else if (ch === '}') {
-          depth--;
-          if (depth === 0) break;
+      try {
+        if ((await hashFile(pair.old)) === (await hashFile(pair.new))) {
+          assemblies.push({ assembly: pair.assembly, status: 'unchanged' });
+          continue;
         }
+        const diff = diffSnapshots(await this._typeSnapshot(pair.old), await this._typeSnapshot(pair.new), { contextLines, includeDiffs });
+        assemblies.push({ assembly: pair.assembly, status: isEmptyDiff(diff) ? 'unchanged' : 'changed', diff });
+      } catch (err) {
+        assemblies.push({ assembly: pair.assembly, status: 'failed', reason: err.message || String(err) });
       }
-      const nextIdx = j;
-      const chunk = code.slice(start, nextIdx).trim();
-      result.set(typeName, chunk);
-      typeRegex.lastIndex = nextIdx;
     }
-    return result;
+    const stats = {};
+    for (const a of assemblies) stats[a.status] = (stats[a.status] || 0) + 1;
+    return { assemblies, stats, skipped, packages };
+  }
+
+  // Map<namespace, Map<typeName, code>> of the decompiled assembly
+  async _typeSnapshot(assemblyPath) {
+    const { nsMap } = await decompileAndSplit({ assemblyPath, runExec });
+    const snapshot = new Map();
+    for (const [ns, code] of nsMap.entries()) snapshot.set(ns, splitTopLevelTypes(code));
+    return snapshot;
+  }
+
+  async decompileTypeSource(assemblyPath, typeName) {
+    const { files } = await decompileRaw({ assemblyPath, typeName, runExec });
+    const sources = files.filter(f => f.path.toLowerCase().endsWith('.cs'));
+    if (sources.length === 0) throw new Error(`ilspycmd produced no source for ${typeName}`);
+    return sources.map(f => f.content).join('\n');
+  }
+
+  // Assemblies under rootDir (or inside a .nupkg given as rootDir); see discoverAssemblies for the
+  // filters. Packages and skipped files are reported through the optional collectors.
+  async _collectAssemblies(rootDir, options = {}) {
+    return discoverAssemblies(rootDir, options);
   }
 
   buildFileTree(rootDir, relativeFiles) {
@@ -527,10 +941,47 @@ class DecompilerService {
     return root;
   }
 
+  async _outputsPresent(outputDir, files) {
+    for (const rel of files) {
+      try {
+        await fs.access(path.join(outputDir, rel));
+      } catch {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Deletes previously written outputs (relative to outputDir) and then any directories left
+  // empty. Paths that would leave outputDir are ignored, so a tampered manifest can't delete
+  // anything else.
+  async _removeOutputs(outputDir, files, removedCollector) {
+    const root = path.resolve(outputDir);
+    const dirs = new Set();
+    for (const rel of files) {
+      const target = path.resolve(root, rel);
+      if (!target.startsWith(root + path.sep)) continue;
+      try {
+        await fs.rm(target, { force: true });
+        removedCollector.push(rel);
+      } catch {}
+      dirs.add(path.dirname(target));
+    }
+    for (const dir of [...dirs].sort((a, b) => b.length - a.length)) {
+      for (let cur = dir; cur.startsWith(root + path.sep); cur = path.dirname(cur)) {
+        try {
+          await fs.rmdir(cur);
+        } catch {
+          break;
+        }
+      }
+    }
+  }
+
   async _writeFileIfChanged(filePath, content, writtenCollector, rootDir) {
     try {
-      const prev = await fs.readFile(filePath, 'utf8');
-      if (prev === content) return false;
+      const prev = await fs.readFile(filePath);
+      if (Buffer.isBuffer(content) ? prev.equals(content) : prev.toString('utf8') === content) return false;
     } catch {}
     await fs.mkdir(path.dirname(filePath), { recursive: true });
     await fs.writeFile(filePath, content, 'utf8');
@@ -539,146 +990,371 @@ class DecompilerService {
     }
     return true;
   }
+}
 
-  _splitByNamespace(text) {
-    const result = new Map();
-    const tokens = [];
-    const nsRegex = /\bnamespace\s+([A-Za-z_][A-Za-z0-9_\.]*)\s*(;|\{)/g;
-    let match;
-    while ((match = nsRegex.exec(text)) !== null) {
-      tokens.push({ index: match.index, name: match[1], kind: match[2] === ';' ? 'file' : 'block' });
-    }
+const decompilerService = new DecompilerService();
 
-    if (tokens.length === 0) {
-      result.set('(global)', text);
-      return result;
-    }
+const assemblyRegistry = createAssemblyRegistry();
+const liveServers = new Set();
+assemblyRegistry.onChange(() => {
+  for (const server of liveServers) server.sendResourceListChanged().catch(() => {});
+});
 
-    // Helper to push content into map
-    const append = (ns, chunk) => {
-      if (!chunk) return;
-      const prev = result.get(ns) || '';
-      result.set(ns, prev + chunk.trim() + '\n');
-    };
+// Packages are extracted under CACHE_ROOT, so it stays readable however the roots are set
+const configuredSandbox = createSandbox({ read: ALLOWED_READ_ROOTS, write: ALLOWED_WRITE_ROOTS, trusted: [CACHE_ROOT] });
+
+// The sandbox for one client session. With USE_CLIENT_ROOTS the client's roots fill in whichever
+// list is not configured; they are fetched on first use and again after roots/list_changed.
+function sessionSandbox(session) {
+  if (!USE_CLIENT_ROOTS || (ALLOWED_READ_ROOTS && ALLOWED_WRITE_ROOTS)) return configuredSandbox;
+  if (!session.sandbox) {
+    session.sandbox = (async () => {
+      if (!session.server.getClientCapabilities()?.roots) return configuredSandbox;
+      const { roots } = await session.server.listRoots();
+      const dirs = rootUrisToPaths(roots);
+      return createSandbox({ read: ALLOWED_READ_ROOTS ?? dirs, write: ALLOWED_WRITE_ROOTS ?? dirs, trusted: [CACHE_ROOT] });
+    })();
+    // Ask again on the next call instead of keeping a failed lookup
+    session.sandbox.catch(() => { session.sandbox = null; });
+  }
+  return session.sandbox;
+}
 
-    let cursor = 0;
-    for (let i = 0; i < tokens.length; i++) {
-      const t = tokens[i];
-      // content before first namespace goes to global
-      if (i === 0 && t.index > cursor) {
-        append('(global)', text.slice(cursor, t.index));
-      }
+// One Server per connected client: stdio has a single one, HTTP creates one per session.
+function buildServer() {
+  const {
+    server,
+    CallToolRequestSchema,
+    ListToolsRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ReadResourceRequestSchema,
+    RootsListChangedNotificationSchema,
+  } = createServer();
+  const session = { server, sandbox: null };
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) => callTool(request, extra, session));
+  server.setRequestHandler(ListResourcesRequestSchema, request => listResources(request, session));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, listResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, request => readResource(request, session));
+  server.setNotificationHandler(RootsListChangedNotificationSchema, async () => {
+    session.sandbox = null;
+  });
+  liveServers.add(server);
+  server.onclose = () => liveServers.delete(server);
+  return server;
+}
 
-      if (t.kind === 'file') {
-        // file-scoped: capture from after this declaration until next namespace or EOF
-        const start = nsRegex.lastIndex; // after ';'
-        const nextIdx = i + 1 < tokens.length ? tokens[i + 1].index : text.length;
-        append(t.name, text.slice(start, nextIdx));
-        cursor = nextIdx;
-      } else {
-        // block-scoped: find matching brace for this block
-        let braceStart = text.indexOf('{', t.index);
-        if (braceStart === -1) continue;
-        let depth = 0;
-        let j = braceStart;
-        while (j < text.length) {
-          const ch = text[j++];
-          if (ch === '{') depth++;
-          else if (ch === '}') {
-            depth--;
-            if (depth === 0) break;
-          }
-        }
-        const nextIdx = j;
-        append(t.name, text.slice(braceStart + 1, nextIdx - 1));
-        cursor = nextIdx;
+async function listResources(request, session) {
+  const sandbox = await sessionSandbox(session);
+  // The registry is shared, so only assemblies this session may read are listed
+  const permitted = assemblyPath =>
+    sandbox.checkArgs({ assemblyPath }).then(
+      () => true,
+      err => {
+        if (err instanceof PathNotPermittedError) return false;
+        throw err;
       }
-    }
+    );
+  const all = await listTypeResources(assemblyRegistry, { permitted });
+  const start = Math.max(0, Number(request.params?.cursor ?? '0') || 0);
+  const end = start + RESOURCE_PAGE_SIZE;
+  return { resources: all.slice(start, end), ...(end < all.length ? { nextCursor: String(end) } : {}) };
+}
 
-    // tail after last namespace
-    if (cursor < text.length) {
-      append('(global)', text.slice(cursor));
-    }
+async function listResourceTemplates() {
+  return {
+    resourceTemplates: [
+      {
+        uriTemplate: RESOURCE_URI_TEMPLATE,
+        name: 'Decompiled type',
+        description: `C# source of a top-level type. {assembly} is the file name without extension of an assembly passed to any tool or listed in RESOURCE_ROOTS; use "${GLOBAL_NAMESPACE_SEGMENT}" for the global namespace and the metadata name for generic types (e.g. List%601).`,
+        mimeType: 'text/x-csharp',
+      },
+    ],
+  };
+}
 
-    return result;
+async function readResource(request, session) {
+  const { uri } = request.params;
+  const { assembly, namespace, type } = parseResourceUri(uri);
+  const assemblyPath = assemblyRegistry.resolve(assembly);
+  if (!assemblyPath) {
+    throw new Error(`Unknown assembly ${assembly}. Pass its assemblyPath to a tool first or add it to RESOURCE_ROOTS.`);
   }
+  // The registry is shared, so the assembly may come from a session with other roots
+  await (await sessionSandbox(session)).check(assemblyPath, 'read');
+  const typeName = namespace ? `${namespace}.${type}` : type;
+  const text = await maybeCached('resource', { assemblyPath, typeName }, () => decompilerService.decompileTypeSource(assemblyPath, typeName));
+  return { contents: [{ uri, mimeType: 'text/x-csharp', text }] };
 }
 
-const decompilerService = new DecompilerService();
-
-const { server, StdioServerTransport, CallToolRequestSchema, ListToolsRequestSchema } = createServer();
-
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+// Shared by the paged text tools
+const CURSOR_PARAM = { type: 'string', description: 'Opaque cursor from the previous page (nextCursor); omit for the first page' };
+const PAGE_SIZE_PARAM = { type: 'number', description: 'Approximate page size in characters (default: PAGE_BYTES); pages split at file/type boundaries' };
+
+// Shared by every tool that accepts a .nupkg (directly or inside rootDir)
+const FRAMEWORK_PARAM = {
+  type: 'string',
+  description: 'For .nupkg inputs: target framework folder to use, as a TFM (net6.0, searched in lib/ then ref/) or folder (ref/net6.0); defaults to the newest lib/ framework',
+};
+
+// Shared by every tool that scans a directory for assemblies
+const INCLUDE_PARAM = { type: 'array', items: { type: 'string' }, description: 'Only consider files matching one of these globs, relative to the root (e.g. "MyApp.*.dll", "plugins/**"); patterns without / match file names at any depth' };
+const EXCLUDE_PARAM = { type: 'array', items: { type: 'string' }, description: 'Skip files matching any of these globs (e.g. "runtimes/**", "**/ref/**")' };
+const MAX_DEPTH_PARAM = { type: 'number', description: 'How many directory levels below the root to scan (0: the root only; default: unlimited)' };
+
+// Output language options
+const LANGUAGE_PARAM = { type: 'string', enum: ['CSharp', 'IL'], description: 'Output language: CSharp (default) or IL disassembly' };
+const LANGUAGE_VERSION_PARAM = {
+  type: 'string',
+  description: 'C# language version for decompiled output, e.g. 7.3, 10, CSharp10_0, Latest or Preview (default: ilspycmd default)',
+};
+
+async function listTools() {
   return {
     tools: [
       {
         name: 'decompile-dotnet-directory',
-        description: 'Recursively decompile all .NET assemblies under a directory and return files with relative paths.',
+        description: 'Recursively decompile all .NET assemblies under a directory and return files with relative paths. Large results are paged: pass back nextCursor as cursor to get the next page. On a timeout, returns the assemblies finished so far.',
         inputSchema: {
           type: 'object',
           properties: {
+            framework: FRAMEWORK_PARAM,
             rootDir: { type: 'string', description: 'Absolute path to the root directory to scan' },
-            includeIL: { type: 'boolean', description: 'Include .il files in addition to .cs (default: false)' }
+            include: INCLUDE_PARAM,
+            exclude: EXCLUDE_PARAM,
+            maxDepth: MAX_DEPTH_PARAM,
+            includeIL: { type: 'boolean', description: 'Include .il files in addition to .cs (default: false)' },
+            languageVersion: LANGUAGE_VERSION_PARAM,
+            cursor: CURSOR_PARAM,
+            pageSize: PAGE_SIZE_PARAM
           },
           required: ['rootDir']
         }
       },
       {
         name: 'decompile-dotnet-directory-to-dir',
-        description: 'Recursively decompile all .NET assemblies under a directory and write outputs to outputDir preserving structure.',
+        description: 'Recursively decompile all .NET assemblies under a directory and write outputs to outputDir preserving structure. On a timeout, returns the assemblies written so far; a rerun skips them.',
         inputSchema: {
           type: 'object',
           properties: {
+            framework: FRAMEWORK_PARAM,
             rootDir: { type: 'string', description: 'Absolute path to the root directory to scan' },
+            include: INCLUDE_PARAM,
+            exclude: EXCLUDE_PARAM,
+            maxDepth: MAX_DEPTH_PARAM,
             outputDir: { type: 'string', description: 'Directory to write files (will be created)' },
-            includeIL: { type: 'boolean', description: 'Include .il files in addition to .cs (default: false)' }
+            includeIL: { type: 'boolean', description: 'Include .il files in addition to .cs (default: false)' },
+            languageVersion: LANGUAGE_VERSION_PARAM
           },
           required: ['rootDir', 'outputDir']
         }
       },
       {
         name: 'decompile-dotnet-assembly',
-        description: 'Decompiles a .NET assembly (.dll/.exe). Optionally target a specific type.',
+        description: 'Decompiles a .NET assembly (.dll/.exe). Optionally target a specific type. Large results are paged: pass back nextCursor as cursor to get the next page.',
         inputSchema: {
           type: 'object',
           properties: {
+            framework: FRAMEWORK_PARAM,
             assemblyPath: {
               type: 'string',
-              description: 'Absolute path to the .NET assembly (.dll or .exe)',
+              description: 'Absolute path to the .NET assembly (.dll, .exe or .nupkg)',
             },
             typeName: {
               type: 'string',
               description: 'Optional fully qualified type name to decompile (e.g., Namespace.TypeName)',
             },
-            language: {
-              type: 'string',
-              description: 'Optional language for output (e.g., CSharp or IL) if supported by ilspycmd',
-            },
+            language: LANGUAGE_PARAM,
+            languageVersion: LANGUAGE_VERSION_PARAM,
+            cursor: CURSOR_PARAM,
+            pageSize: PAGE_SIZE_PARAM,
           },
           required: ['assemblyPath'],
         },
       },
+      {
+        name: 'search-decompiled-code',
+        description: 'Searches the decompiled C# of an assembly or of every assembly under a directory and returns only the matching lines with assembly, namespace, type, file, line and context.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            framework: FRAMEWORK_PARAM,
+            assemblyPath: { type: 'string', description: 'Absolute path to a .NET assembly or .nupkg (either assemblyPath or rootDir is required)' },
+            rootDir: { type: 'string', description: 'Absolute path to a directory to scan recursively for assemblies' },
+            include: INCLUDE_PARAM,
+            exclude: EXCLUDE_PARAM,
+            maxDepth: MAX_DEPTH_PARAM,
+            query: { type: 'string', description: 'Text or regular expression to search for' },
+            regex: { type: 'boolean', description: 'Treat query as a JavaScript regular expression (default: false, literal text)' },
+            caseSensitive: { type: 'boolean', description: 'Case-sensitive matching (default: false)' },
+            maxResults: { type: 'number', description: 'Maximum number of matches to return (default: 200)' },
+            contextLines: { type: 'number', description: 'Lines of context before and after each match (default: 2)' },
+            typeName: { type: 'string', description: 'Optional fully qualified type name to restrict an assemblyPath search to' }
+          },
+          required: ['query']
+        }
+      },
+      {
+        name: 'decompile-member',
+        description: 'Decompiles a single member (method, constructor, property, field, event, indexer, operator or nested type) of a type. Use parameterTypes to pick one overload.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            framework: FRAMEWORK_PARAM,
+            assemblyPath: { type: 'string', description: 'Absolute path to the .NET assembly (.dll, .exe or .nupkg)' },
+            typeName: { type: 'string', description: 'Fully qualified type name (e.g., Namespace.TypeName or Namespace.Outer+Inner)' },
+            memberName: { type: 'string', description: 'Member name (use .ctor for constructors, Item or this for indexers)' },
+            parameterTypes: { type: 'array', items: { type: 'string' }, description: 'Optional parameter types to select an overload (e.g., ["string", "int"]); namespaces and CLR/C# aliases are ignored when comparing' },
+            language: LANGUAGE_PARAM,
+            languageVersion: LANGUAGE_VERSION_PARAM
+          },
+          required: ['assemblyPath', 'typeName', 'memberName']
+        }
+      },
+      {
+        name: 'diff-assemblies',
+        description: 'Compares two versions of an assembly (or two directories of assemblies) by decompiling both. Reports added, removed and changed namespaces, types and members, with unified diffs of changed types. Large reports are paged: pass back nextCursor as cursor to get the next page.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            framework: FRAMEWORK_PARAM,
+            oldPath: { type: 'string', description: 'Absolute path to the old assembly, .nupkg or directory' },
+            newPath: { type: 'string', description: 'Absolute path to the new assembly, .nupkg or directory (same kind as oldPath); directory entries are paired by relative path' },
+            include: INCLUDE_PARAM,
+            exclude: EXCLUDE_PARAM,
+            maxDepth: MAX_DEPTH_PARAM,
+            contextLines: { type: 'number', description: 'Context lines in unified diffs (default: 3)' },
+            includeDiffs: { type: 'boolean', description: 'Include unified diffs of changed types (default: true)' },
+            cursor: CURSOR_PARAM,
+            pageSize: PAGE_SIZE_PARAM
+          },
+          required: ['oldPath', 'newPath']
+        }
+      },
+      {
+        name: 'find-references',
+        description: 'Finds callers and usages of a type or member across one assembly or every assembly under a directory, from IL member references. Returns calling assembly, type, member and decompiled line for each use site.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            framework: FRAMEWORK_PARAM,
+            symbol: { type: 'string', description: 'Type or member to look up, e.g. PaymentClient.Authorize, Acme.Payments.PaymentClient or PaymentClient.Authorize(string). Namespace may be omitted.' },
+            rootDir: { type: 'string', description: 'Absolute path to a directory to index recursively (either rootDir or assemblyPath is required)' },
+            include: INCLUDE_PARAM,
+            exclude: EXCLUDE_PARAM,
+            maxDepth: MAX_DEPTH_PARAM,
+            assemblyPath: { type: 'string', description: 'Absolute path to a single .NET assembly or .nupkg' },
+            maxResults: { type: 'number', description: 'Maximum number of use sites to return (default: 100)' },
+            resolveLines: { type: 'boolean', description: 'Decompile calling types to report source lines (default: true; requires ilspycmd)' }
+          },
+          required: ['symbol']
+        }
+      },
+      {
+        name: 'list-resources',
+        description: 'Lists the manifest resources of a .NET assembly with size, visibility, location (embedded, linked file or other assembly) and kind (.resources with entry count, text or binary). Reads metadata directly, no decompilation.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            framework: FRAMEWORK_PARAM,
+            assemblyPath: { type: 'string', description: 'Absolute path to the .NET assembly (.dll, .exe or .nupkg)' }
+          },
+          required: ['assemblyPath']
+        }
+      },
+      {
+        name: 'extract-resources',
+        description: 'Extracts embedded manifest resources of a .NET assembly to outputDir, or returns them inline (text as-is, binary as base64). Compiled .resources blobs are decoded into key/value JSON or .resx.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            framework: FRAMEWORK_PARAM,
+            assemblyPath: { type: 'string', description: 'Absolute path to the .NET assembly (.dll, .exe or .nupkg)' },
+            names: { type: 'array', items: { type: 'string' }, description: 'Resource names or wildcard patterns (* and ?) to extract (default: all)' },
+            outputDir: { type: 'string', description: 'Absolute directory to write the resources to; omit to return them inline' },
+            format: { type: 'string', enum: ['json', 'resx', 'raw'], description: 'How to output .resources blobs: decoded json (default), resx, or the raw bytes' },
+            maxInlineBytes: { type: 'number', description: 'Largest binary resource returned inline as base64 (default: 262144)' }
+          },
+          required: ['assemblyPath']
+        }
+      },
+      {
+        name: 'inspect-assembly',
+        description: 'Reports assembly metadata as structured JSON without decompiling: name, version, culture, public key token and signing, target framework, platform/bitness, ReadyToRun and mixed-mode flags, entry point, references and assembly-level attributes (InternalsVisibleTo, AssemblyInformationalVersion, ...). Works on one assembly or every assembly under a directory.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            framework: FRAMEWORK_PARAM,
+            assemblyPath: { type: 'string', description: 'Absolute path to a single .NET assembly (.dll, .exe or .nupkg)' },
+            rootDir: { type: 'string', description: 'Absolute path to a directory to scan recursively, or a .nupkg (either rootDir or assemblyPath is required)' },
+            include: INCLUDE_PARAM,
+            exclude: EXCLUDE_PARAM,
+            maxDepth: MAX_DEPTH_PARAM
+          }
+        }
+      },
+      {
+        name: 'dependency-graph',
+        description: 'Builds the assembly dependency graph of a directory (or .nupkg) from each assembly\'s AssemblyRef table: who references whom at which version, with references that are missing from the directory or present in another version marked. Renders as JSON, Graphviz DOT or Mermaid. Reads metadata directly, no decompilation.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            framework: FRAMEWORK_PARAM,
+            rootDir: { type: 'string', description: 'Absolute path to a directory to scan recursively, or a .nupkg' },
+            include: INCLUDE_PARAM,
+            exclude: EXCLUDE_PARAM,
+            maxDepth: MAX_DEPTH_PARAM,
+            format: { type: 'string', enum: GRAPH_FORMATS, description: 'Output format of the text content: json (summary only), dot or mermaid (default: json). The JSON content always carries the full graph.' },
+            includeFramework: { type: 'boolean', description: 'Include references to framework assemblies (System.*, mscorlib, netstandard, ...) as nodes (default: false)' }
+          },
+          required: ['rootDir']
+        }
+      },
       {
         name: 'list-dotnet-namespaces',
         description: 'Lists namespaces found in a .NET assembly (optionally restrict to a type).',
         inputSchema: {
           type: 'object',
           properties: {
-            assemblyPath: { type: 'string', description: 'Absolute path to the .NET assembly' },
+            framework: FRAMEWORK_PARAM,
+            assemblyPath: { type: 'string', description: 'Absolute path to the .NET assembly (.dll, .exe or .nupkg)' },
             typeName: { type: 'string', description: 'Optional fully qualified type name' }
           },
           required: ['assemblyPath']
         }
       },
+      {
+        name: 'list-dotnet-types',
+        description: 'Lists types in a .NET assembly as structured JSON (kind, accessibility, generic arity, base type, interfaces, declaring type, member counts). Reads metadata directly, no decompilation.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            framework: FRAMEWORK_PARAM,
+            assemblyPath: { type: 'string', description: 'Absolute path to the .NET assembly (.dll, .exe or .nupkg)' },
+            namespace: { type: 'string', description: 'Optional namespace prefix filter (e.g., System.Collections matches System.Collections.Generic)' },
+            namePattern: { type: 'string', description: 'Optional wildcard pattern (* and ?) matched against the simple or full type name' },
+            publicOnly: { type: 'boolean', description: 'Only include types visible outside the assembly (default: false)' },
+            includeNested: { type: 'boolean', description: 'Include nested types (default: true)' }
+          },
+          required: ['assemblyPath']
+        }
+      },
       {
         name: 'decompile-selected-namespaces',
-        description: 'Decompiles only selected namespaces and returns merged text output.',
+        description: 'Decompiles only selected namespaces and returns merged text output, paged like decompile-dotnet-assembly.',
         inputSchema: {
           type: 'object',
           properties: {
+            framework: FRAMEWORK_PARAM,
             assemblyPath: { type: 'string' },
             namespaces: { type: 'array', items: { type: 'string' } },
-            typeName: { type: 'string' }
+            typeName: { type: 'string' },
+            language: LANGUAGE_PARAM,
+            languageVersion: LANGUAGE_VERSION_PARAM,
+            cursor: CURSOR_PARAM,
+            pageSize: PAGE_SIZE_PARAM
           },
           required: ['assemblyPath', 'namespaces']
         }
@@ -689,10 +1365,13 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: 'object',
           properties: {
+            framework: FRAMEWORK_PARAM,
             assemblyPath: { type: 'string' },
             outputDir: { type: 'string' },
             namespaces: { type: 'array', items: { type: 'string' } },
-            typeName: { type: 'string' }
+            typeName: { type: 'string' },
+            language: LANGUAGE_PARAM,
+            languageVersion: LANGUAGE_VERSION_PARAM
           },
           required: ['assemblyPath', 'outputDir', 'namespaces']
         }
@@ -703,10 +1382,13 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: 'object',
           properties: {
+            framework: FRAMEWORK_PARAM,
             assemblyPath: { type: 'string' },
             outputDir: { type: 'string' },
             typeName: { type: 'string' },
-            includeDocs: { type: 'boolean', description: 'Copy XML doc file if found (default: true)' }
+            languageVersion: LANGUAGE_VERSION_PARAM,
+            includeDocs: { type: 'boolean', description: 'Copy XML doc file if found (default: true)' },
+            includeResources: { type: 'boolean', description: 'Write embedded resources under Resources/ (.resources decoded to .resx) and embed them in the csproj (default: true)' }
           },
           required: ['assemblyPath', 'outputDir']
         }
@@ -717,9 +1399,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: 'object',
           properties: {
+            framework: FRAMEWORK_PARAM,
             assemblyPath: { type: 'string' },
             outputDir: { type: 'string' },
-            typeName: { type: 'string' }
+            typeName: { type: 'string' },
+            language: LANGUAGE_PARAM,
+            languageVersion: LANGUAGE_VERSION_PARAM
           },
           required: ['assemblyPath', 'outputDir']
         }
@@ -730,9 +1415,10 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: 'object',
           properties: {
+            framework: FRAMEWORK_PARAM,
             assemblyPath: {
               type: 'string',
-              description: 'Absolute path to the .NET assembly (.dll or .exe)',
+              description: 'Absolute path to the .NET assembly (.dll, .exe or .nupkg)',
             },
             outputDir: {
               type: 'string',
@@ -741,33 +1427,118 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             typeName: {
               type: 'string',
               description: 'Optional fully qualified type name to decompile (e.g., Namespace.TypeName)'
-            }
+            },
+            language: LANGUAGE_PARAM,
+            languageVersion: LANGUAGE_VERSION_PARAM
           },
           required: ['assemblyPath', 'outputDir']
         }
       },
     ],
   };
-});
+}
 
-server.setRequestHandler(CallToolRequestSchema, async request => {
-  const { name: tool, arguments: args } = request.params;
+function formatCancelledNote(cancelled) {
+  if (!cancelled) return '';
+  return `\n[Partial result: ${cancelled.message}; stopped after ${cancelled.completed} of ${cancelled.total} assemblies.]`;
+}
 
+// Text of one page; multi-page results also get a note with the next cursor and page metadata.
+function pagedTextContent(paged) {
+  const content = [{ type: 'text', text: paged.items.map(i => i.text).join('') }];
+  if (paged.nextCursor || paged.page.offset > 0) {
+    content.push({ type: 'text', text: formatPageNote(paged) });
+    content.push({ type: 'json', data: { page: paged.page, nextCursor: paged.nextCursor } });
+  }
+  return content;
+}
+
+// Directory tools stop between assemblies when aborted and return their partial results. Only a
+// timeout's result reaches the client: the SDK drops responses to cancelled requests.
+const PARTIAL_RESULT_TOOLS = new Set(['decompile-dotnet-directory', 'decompile-dotnet-directory-to-dir']);
+
+// notifications/progress for requests that carry a progress token; null otherwise.
+function progressReporter(request, extra) {
+  const progressToken = request.params._meta?.progressToken;
+  if (progressToken === undefined || !extra?.sendNotification) return null;
+  return ({ completed, total, assembly, files, bytes }) => {
+    const last = assembly ? `, last: ${assembly}` : '';
+    const message = `${completed}/${total} assemblies${last}; ${files} files, ${bytes} bytes`;
+    extra.sendNotification({ method: 'notifications/progress', params: { progressToken, progress: completed, total, message } }).catch(() => {});
+  };
+}
+
+// `extra.signal` fires on notifications/cancelled. The tool also gets its configured time limit;
+// either way running ilspycmd processes are killed and the call returns right away (though the SDK
+// only sends the response of a timed-out call).
+async function callTool(request, extra, session) {
+  const { name: tool } = request.params;
+  const timeoutMs = toolTimeouts.has(tool) ? toolTimeouts.get(tool) : TOOL_TIMEOUT_MS;
+  const { signal, dispose } = createToolSignal(tool, { signal: extra?.signal, timeoutMs });
+  const run = () => callToolWithArgs(request, { session, onProgress: progressReporter(request, extra) });
+  try {
+    return await (PARTIAL_RESULT_TOOLS.has(tool) ? runWithSignal(signal, run) : raceSignal(signal, run));
+  } catch (error) {
+    if (error instanceof ToolAbortedError) return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+    throw error;
+  } finally {
+    dispose();
+  }
+}
+
+async function callToolWithArgs(request, { session, onProgress = null } = {}) {
+  const { name: tool } = request.params;
+  let args = request.params.arguments || {};
+  // The one place tool paths are checked against the sandbox, before anything reads or writes them
+  try {
+    await (await sessionSandbox(session)).checkArgs(args);
+  } catch (error) {
+    return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+  }
+  // Assembly-level tools given a .nupkg work on the package's main assembly
+  let pkg = null;
+  if (isPackagePath(args.assemblyPath)) {
+    try {
+      const opened = await openPackageAssembly(args.assemblyPath, { framework: args.framework });
+      pkg = opened.package;
+      args = { ...args, assemblyPath: opened.assemblyPath };
+    } catch (error) {
+      return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+    }
+  }
+  // Every assembly a tool touches becomes browsable as dotnetdc:// resources
+  if (typeof args.assemblyPath === 'string' && /\.(dll|exe)$/i.test(args.assemblyPath)) {
+    assemblyRegistry.register(args.assemblyPath);
+  }
+
+  const result = await runTool(tool, args, { onProgress });
+  if (pkg && !result.content[0]?.text?.startsWith('Error:')) {
+    const version = pkg.version ? ` ${pkg.version}` : '';
+    result.content.unshift({ type: 'text', text: `Package ${pkg.id}${version} (${pkg.assembly})` });
+    result.content.push({ type: 'json', data: { package: pkg } });
+  }
+  return result;
+}
+
+async function runTool(tool, args, { onProgress = null } = {}) {
   switch (tool) {
     case 'decompile-dotnet-directory-to-dir': {
-      const { rootDir, outputDir, includeIL = false } = args;
+      const { rootDir, outputDir, includeIL = false, framework = null, languageVersion = null, include = null, exclude = null, maxDepth = null } = args;
       if (!rootDir || !outputDir) {
         return { content: [{ type: 'text', text: 'Error: Missing rootDir or outputDir parameter' }] };
       }
       try {
-        const { files, tree, stats } = await maybeCached('decompileDirToDir', { rootDir, outputDir, includeIL }, () =>
-          decompilerService.decompileDotnetDirectoryToDir(rootDir, outputDir, { includeIL })
-        );
-        const summary = `Wrote ${stats.files} files from ${stats.assemblies} assemblies to ${outputDir}`;
+        // Not cached in memory: the manifest in outputDir makes reruns cheap and keeps them in sync with the disk
+        const { files, removedFiles, tree, stats, skipped, packages, cancelled } = await decompilerService.decompileDotnetDirectoryToDir(rootDir, outputDir, { includeIL, framework, languageVersion, include, exclude, maxDepth, onProgress });
+        const changes = `${stats.added} added, ${stats.updated} updated, ${stats.removed} removed, ${stats.unchanged} unchanged`;
+        const summary = [
+          `${stats.assemblies} assemblies -> ${outputDir}: ${changes}; wrote ${files.length} files, deleted ${removedFiles.length}`,
+          formatSkippedNote(skipped),
+        ].filter(Boolean).join('\n') + formatCancelledNote(cancelled);
         return {
           content: [
             { type: 'text', text: summary },
-            { type: 'json', data: { outputDir, files, tree, stats: { ...stats, cacheRoot: CACHE_ROOT, maxFiles: MAX_FILES, maxBytes: MAX_BYTES } } }
+            { type: 'json', data: { outputDir, files, removedFiles, tree, skipped, packages, stats: { ...stats, cacheRoot: CACHE_ROOT, maxFiles: MAX_FILES, maxBytes: MAX_BYTES }, cancelled } }
           ]
         };
       } catch (error) {
@@ -776,19 +1547,23 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
     }
 
     case 'decompile-dotnet-directory': {
-      const { rootDir, includeIL = false } = args;
+      const { rootDir, includeIL = false, framework = null, languageVersion = null, include = null, exclude = null, maxDepth = null, cursor = null, pageSize = null } = args;
       if (!rootDir) {
         return { content: [{ type: 'text', text: 'Error: Missing rootDir parameter' }] };
       }
       try {
-        const { files, tree, stats } = await maybeCached('decompileDir', { rootDir, includeIL }, () =>
-          decompilerService.decompileDotnetDirectory(rootDir, { includeIL })
+        const scope = pagingScope(tool, args);
+        const { files, tree, stats, skipped, packages, cancelled } = await pagedResult(scope, { fresh: !cursor }, () =>
+          decompilerService.decompileDotnetDirectory(rootDir, { includeIL, framework, languageVersion, include, exclude, maxDepth, onProgress })
         );
-        const summary = `Decompiled ${stats.assemblies} assemblies -> ${stats.files} files`;
+        const { items, nextCursor, page } = paginate(files.map(f => ({ path: f.path, text: f.content })), { cursor, pageSize, scope });
+        const pageFiles = items.map(({ text, ...rest }) => ({ ...rest, content: text }));
+        const skippedNote = formatSkippedNote(skipped);
+        const summary = `Decompiled ${stats.assemblies} assemblies -> ${stats.files} files${skippedNote ? `\n${skippedNote}` : ''}${formatCancelledNote(cancelled)}\n${formatPageNote({ page, nextCursor })}`;
         return {
           content: [
             { type: 'text', text: summary },
-            { type: 'json', data: { rootDir, files, tree, stats: { ...stats, cacheRoot: CACHE_ROOT, maxFiles: MAX_FILES, maxBytes: MAX_BYTES } } }
+            { type: 'json', data: { rootDir, files: pageFiles, tree, skipped, packages, stats: { ...stats, cacheRoot: CACHE_ROOT }, cancelled, page, nextCursor } }
           ]
         };
       } catch (error) {
@@ -797,7 +1572,7 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
     }
 
     case 'decompile-dotnet-assembly': {
-      const { assemblyPath, typeName = null, language = null } = args;
+      const { assemblyPath, typeName = null, language = null, languageVersion = null, cursor = null, pageSize = null } = args;
       if (!assemblyPath) {
         return {
           content: [
@@ -810,11 +1585,11 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
       }
 
       try {
-        const decompiled = await maybeCached('decompile', { assemblyPath, typeName, language }, () =>
-          decompilerService.decompileDotnetAssembly(assemblyPath, { typeName, language })
+        const chunks = await maybeCached('decompile', { assemblyPath, typeName, language, languageVersion }, () =>
+          decompilerService.decompileDotnetAssembly(assemblyPath, { typeName, language, languageVersion })
         );
         return {
-          content: [{ type: 'text', text: decompiled }],
+          content: pagedTextContent(paginate(chunks, { cursor, pageSize, scope: pagingScope(tool, args) })),
         };
       } catch (error) {
         return {
@@ -823,6 +1598,192 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
       }
     }
 
+    case 'search-decompiled-code': {
+      const { assemblyPath = null, rootDir = null, query, regex = false, caseSensitive = false, maxResults = 200, contextLines = 2, typeName = null, framework = null, include = null, exclude = null, maxDepth = null } = args;
+      if ((!assemblyPath && !rootDir) || !query) {
+        return { content: [{ type: 'text', text: 'Error: Missing query or one of assemblyPath/rootDir' }] };
+      }
+      try {
+        const result = await maybeCached('search', { assemblyPath, rootDir, query, regex, caseSensitive, maxResults, contextLines, typeName, framework, include, exclude, maxDepth }, () =>
+          decompilerService.searchCode({ assemblyPath, rootDir, typeName, query, regex, caseSensitive, maxResults, contextLines, framework, include, exclude, maxDepth })
+        );
+        const summary = [`Found ${result.matches.length}${result.truncated ? '+' : ''} matches in ${result.stats.assemblies} assemblies`, formatSkippedNote(result.skipped)].filter(Boolean).join('\n');
+        return {
+          content: [
+            { type: 'text', text: result.matches.length ? `${summary}\n\n${formatMatches(result.matches)}` : summary },
+            { type: 'json', data: { query, ...result } }
+          ]
+        };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+      }
+    }
+
+    case 'decompile-member': {
+      const { assemblyPath, typeName, memberName, parameterTypes = null, language = null, languageVersion = null } = args;
+      if (!assemblyPath || !typeName || !memberName) {
+        return { content: [{ type: 'text', text: 'Error: Missing assemblyPath, typeName or memberName parameter' }] };
+      }
+      try {
+        const members = await maybeCached('member', { assemblyPath, typeName, memberName, parameterTypes, language, languageVersion }, () =>
+          decompilerService.decompileMember(assemblyPath, typeName, memberName, { parameterTypes, language, languageVersion })
+        );
+        const text = members.map(m => `// ${typeName}.${m.name}${m.parameters ? `(${m.parameters.join(', ')})` : ''}\n${m.code}`).join('\n\n');
+        return { content: [{ type: 'text', text }] };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+      }
+    }
+
+    case 'diff-assemblies': {
+      const { oldPath, newPath, contextLines = 3, includeDiffs = true, framework = null, include = null, exclude = null, maxDepth = null, cursor = null, pageSize = null } = args;
+      if (!oldPath || !newPath) {
+        return { content: [{ type: 'text', text: 'Error: Missing oldPath or newPath parameter' }] };
+      }
+      try {
+        const scope = pagingScope(tool, args);
+        const result = await pagedResult(scope, { fresh: !cursor }, () =>
+          decompilerService.diffAssemblies(oldPath, newPath, { contextLines, includeDiffs, framework, include, exclude, maxDepth })
+        );
+        const paged = paginate(diffReportChunks(result.assemblies), { cursor, pageSize, scope });
+        const summary = Object.entries(result.stats).map(([status, n]) => `${n} ${status}`).join(', ') || 'no assemblies';
+        const header = [`Compared ${result.assemblies.length} assemblies: ${summary}`, formatSkippedNote(result.skipped)].filter(Boolean).join('\n');
+        // The summary heads the first page only, so the pages concatenate to the whole report
+        const pageText = paged.items.map(i => i.text).join('');
+        const content = [{ type: 'text', text: paged.page.offset === 0 ? `${header}\n\n${pageText}` : pageText }];
+        if (paged.nextCursor || paged.page.offset > 0) content.push({ type: 'text', text: formatPageNote(paged) });
+        content.push({ type: 'json', data: { oldPath, newPath, ...result, assemblies: withoutUnifiedDiffs(result.assemblies), page: paged.page, nextCursor: paged.nextCursor } });
+        return { content };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+      }
+    }
+
+    case 'find-references': {
+      const { symbol, rootDir = null, assemblyPath = null, maxResults = 100, resolveLines = true, framework = null, include = null, exclude = null, maxDepth = null } = args;
+      if (!symbol || (!rootDir && !assemblyPath)) {
+        return { content: [{ type: 'text', text: 'Error: Missing symbol or one of rootDir/assemblyPath' }] };
+      }
+      try {
+        const result = await maybeCached('references', { symbol, rootDir, assemblyPath, maxResults, resolveLines, framework, include, exclude, maxDepth }, () =>
+          decompilerService.findReferences({ assemblyPath, rootDir, symbol, maxResults, resolveLines, framework, include, exclude, maxDepth })
+        );
+        const lines = result.references.map(r =>
+          `${r.assembly}: ${r.callerType}.${r.callerSignature}${r.line ? ` line ${r.line}` : ''} -> ${r.target} (${r.opcode} IL_${r.ilOffset.toString(16).padStart(4, '0')})`
+        );
+        const summary = `Found ${result.references.length}${result.truncated ? '+' : ''} references to ${symbol}`;
+        return {
+          content: [
+            { type: 'text', text: [summary, formatSkippedNote(result.skipped), ...lines].filter(Boolean).join('\n') },
+            { type: 'json', data: { symbol, ...result } }
+          ]
+        };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+      }
+    }
+
+    case 'list-resources': {
+      const { assemblyPath } = args;
+      if (!assemblyPath) {
+        return { content: [{ type: 'text', text: 'Error: Missing assemblyPath parameter' }] };
+      }
+      try {
+        const resources = await maybeCached('listResources', { assemblyPath }, () => decompilerService.listResources(assemblyPath));
+        const lines = resources.map(r => {
+          const size = r.size === null ? r.location === 'file' ? `in file ${r.file}` : `in assembly ${r.assembly}` : `${r.size} bytes`;
+          const entries = r.kind === 'resources' && r.entries !== null ? `, ${r.entries} entries` : '';
+          if (r.error) return `${r.name} (${r.visibility}, unreadable: ${r.error})`;
+          return `${r.name} (${r.visibility}, ${size}${r.kind ? `, ${r.kind}` : ''}${entries})`;
+        });
+        return {
+          content: [
+            { type: 'text', text: [`Found ${resources.length} resources`, ...lines].join('\n') },
+            { type: 'json', data: { assemblyPath, resources } }
+          ]
+        };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+      }
+    }
+
+    case 'extract-resources': {
+      const { assemblyPath, names = null, outputDir = null, format = 'json', maxInlineBytes = 262144 } = args;
+      if (!assemblyPath) {
+        return { content: [{ type: 'text', text: 'Error: Missing assemblyPath parameter' }] };
+      }
+      if (!['json', 'resx', 'raw'].includes(format)) {
+        return { content: [{ type: 'text', text: `Error: Unsupported format ${format}; use json, resx or raw` }] };
+      }
+      try {
+        const result = await decompilerService.extractResources(assemblyPath, { names, outputDir, format, maxInlineBytes });
+        const summary = outputDir
+          ? `Wrote ${result.resources.length} resources to ${outputDir}`
+          : `Extracted ${result.resources.length} resources`;
+        const blocks = outputDir ? [] : result.resources.filter(r => r.text !== undefined).map(r => `--- ${r.name} ---\n${r.text}`);
+        const notes = result.skipped.map(s => `Skipped ${s.resource}: ${s.reason}`);
+        return {
+          content: [
+            { type: 'text', text: [summary, ...notes, ...blocks].join('\n\n') },
+            { type: 'json', data: { assemblyPath, outputDir, ...result } }
+          ]
+        };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+      }
+    }
+
+    case 'inspect-assembly': {
+      const { assemblyPath = null, rootDir = null, framework = null, include = null, exclude = null, maxDepth = null } = args;
+      if (!assemblyPath && !rootDir) {
+        return { content: [{ type: 'text', text: 'Error: Missing assemblyPath or rootDir parameter' }] };
+      }
+      try {
+        const result = await maybeCached('inspect', { assemblyPath, rootDir, framework, include, exclude, maxDepth }, () =>
+          decompilerService.inspectAssemblies({ assemblyPath, rootDir, framework, include, exclude, maxDepth })
+        );
+        const lines = result.assemblies.map(a => (rootDir ? `${a.path}: ${formatInspection(a)}` : formatInspection(a)));
+        if (result.skipped.length) lines.push(formatSkippedNote(result.skipped));
+        return {
+          content: [
+            { type: 'text', text: lines.join('\n') || 'No assemblies found' },
+            { type: 'json', data: rootDir ? { rootDir, ...result } : result.assemblies[0] }
+          ]
+        };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+      }
+    }
+
+    case 'dependency-graph': {
+      const { rootDir, format = 'json', includeFramework = false, framework = null, include = null, exclude = null, maxDepth = null } = args;
+      if (!rootDir) {
+        return { content: [{ type: 'text', text: 'Error: Missing rootDir parameter' }] };
+      }
+      if (!GRAPH_FORMATS.includes(format)) {
+        return { content: [{ type: 'text', text: `Error: Unsupported format ${format}; use ${GRAPH_FORMATS.join(', ')}` }] };
+      }
+      try {
+        const graph = await maybeCached('dependencyGraph', { rootDir, includeFramework, framework, include, exclude, maxDepth }, () =>
+          decompilerService.dependencyGraph(rootDir, { framework, includeFramework, include, exclude, maxDepth })
+        );
+        const { stats } = graph;
+        const summary = `${stats.assemblies} assemblies, ${stats.edges} references (${stats.missing || 0} missing, ${stats.mismatch || 0} version mismatches)`;
+        const problems = formatGraphProblems(graph);
+        let text = [summary, formatSkippedNote(graph.skipped), ...problems].filter(Boolean).join('\n');
+        if (format === 'dot') text = formatDot(graph);
+        else if (format === 'mermaid') text = formatMermaid(graph);
+        return {
+          content: [
+            { type: 'text', text },
+            { type: 'json', data: { rootDir, ...graph } }
+          ]
+        };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+      }
+    }
+
     case 'list-dotnet-namespaces': {
       const { assemblyPath, typeName = null } = args;
       if (!assemblyPath) {
@@ -838,15 +1799,35 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
       }
     }
 
+    case 'list-dotnet-types': {
+      const { assemblyPath, namespace = null, namePattern = null, publicOnly = false, includeNested = true } = args;
+      if (!assemblyPath) {
+        return { content: [{ type: 'text', text: 'Error: Missing assemblyPath parameter' }] };
+      }
+      try {
+        const types = await maybeCached('listTypes', { assemblyPath, namespace, namePattern, publicOnly, includeNested }, () =>
+          decompilerService.listTypes(assemblyPath, { namespace, namePattern, publicOnly, includeNested })
+        );
+        const summary = `Found ${types.length} types`;
+        return {
+          content: [
+            { type: 'text', text: summary },
+            { type: 'json', data: { assemblyPath, types } }
+          ]
+        };
+      } catch (error) {
+        return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
+      }
+    }
+
     case 'decompile-per-namespace-to-dir': {
-      const { assemblyPath, outputDir, typeName = null } = args;
+      const { assemblyPath, outputDir, typeName = null, language = null, languageVersion = null } = args;
       if (!assemblyPath || !outputDir) {
         return { content: [{ type: 'text', text: 'Error: Missing assemblyPath or outputDir parameter' }] };
       }
       try {
-        const files = await maybeCached('perNamespace', { assemblyPath, outputDir, typeName }, () =>
-          decompilerService.decompilePerNamespaceToDir(assemblyPath, outputDir, { typeName })
-        );
+        // Not cached in memory, like the other tools that write to outputDir: every call writes the files
+        const files = await decompilerService.decompilePerNamespaceToDir(assemblyPath, outputDir, { typeName, language, languageVersion });
         const summary = `Wrote ${files.length} files to ${outputDir}\n` + files.map(f => ` - ${f}`).join('\n');
         return { content: [{ type: 'text', text: summary }] };
       } catch (error) {
@@ -854,7 +1835,7 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
       }
     }
     case 'decompile-dotnet-assembly-to-dir': {
-      const { assemblyPath, outputDir, typeName = null } = args;
+      const { assemblyPath, outputDir, typeName = null, language = null, languageVersion = null } = args;
       if (!assemblyPath || !outputDir) {
         return {
           content: [
@@ -867,9 +1848,7 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
       }
 
       try {
-        const files = await maybeCached('decompileToDir', { assemblyPath, outputDir, typeName }, () =>
-          decompilerService.decompileDotnetAssemblyToDir(assemblyPath, outputDir, { typeName })
-        );
+        const files = await decompilerService.decompileDotnetAssemblyToDir(assemblyPath, outputDir, { typeName, language, languageVersion });
         const summary = `Wrote ${files.length} files to ${outputDir}\n` + files.map(f => ` - ${f}`).join('\n');
         return { content: [{ type: 'text', text: summary }] };
       } catch (error) {
@@ -880,20 +1859,19 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
     }
 
     case 'decompile-to-project-structure': {
-      const { assemblyPath, outputDir, typeName = null, includeDocs = true } = args;
+      const { assemblyPath, outputDir, typeName = null, includeDocs = true, includeResources = true, languageVersion = null } = args;
       if (!assemblyPath || !outputDir) {
         return { content: [{ type: 'text', text: 'Error: Missing assemblyPath or outputDir parameter' }] };
       }
       try {
-        const files = await maybeCached('toProject', { assemblyPath, outputDir, typeName, includeDocs }, () =>
-          decompilerService.decompileToProjectStructure(assemblyPath, outputDir, { typeName, includeDocs })
-        );
+        const { files, skippedResources } = await decompilerService.decompileToProjectStructure(assemblyPath, outputDir, { typeName, includeDocs, includeResources, languageVersion });
         const tree = decompilerService.buildFileTree(outputDir, files);
-        const summary = `Wrote ${files.length} files to ${outputDir}`;
+        const notes = skippedResources.map(s => `Skipped resource ${s.resource}: ${s.reason}`);
+        const summary = [`Wrote ${files.length} files to ${outputDir}`, ...notes].join('\n');
         return {
           content: [
             { type: 'text', text: summary },
-            { type: 'json', data: { outputDir, files, tree, stats: { fileCount: files.length, cacheRoot: CACHE_ROOT, maxFiles: MAX_FILES, maxBytes: MAX_BYTES } } }
+            { type: 'json', data: { outputDir, files, tree, skippedResources, stats: { fileCount: files.length, cacheRoot: CACHE_ROOT, maxFiles: MAX_FILES, maxBytes: MAX_BYTES } } }
           ]
         };
       } catch (error) {
@@ -902,29 +1880,27 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
     }
 
     case 'decompile-selected-namespaces': {
-      const { assemblyPath, namespaces, typeName = null } = args;
+      const { assemblyPath, namespaces, typeName = null, language = null, languageVersion = null, cursor = null, pageSize = null } = args;
       if (!assemblyPath || !Array.isArray(namespaces) || namespaces.length === 0) {
         return { content: [{ type: 'text', text: 'Error: Missing assemblyPath or namespaces[]' }] };
       }
       try {
-        const text = await maybeCached('selectedNs', { assemblyPath, namespaces, typeName }, () =>
-          decompilerService.decompileSelectedNamespaces(assemblyPath, namespaces, { typeName })
+        const chunks = await maybeCached('selectedNs', { assemblyPath, namespaces, typeName, language, languageVersion }, () =>
+          decompilerService.decompileSelectedNamespaces(assemblyPath, namespaces, { typeName, language, languageVersion })
         );
-        return { content: [{ type: 'text', text }] };
+        return { content: pagedTextContent(paginate(chunks, { cursor, pageSize, scope: pagingScope(tool, args) })) };
       } catch (error) {
         return { content: [{ type: 'text', text: `Error: ${error.message}` }] };
       }
     }
 
     case 'decompile-selected-namespaces-to-dir': {
-      const { assemblyPath, outputDir, namespaces, typeName = null } = args;
+      const { assemblyPath, outputDir, namespaces, typeName = null, language = null, languageVersion = null } = args;
       if (!assemblyPath || !outputDir || !Array.isArray(namespaces) || namespaces.length === 0) {
         return { content: [{ type: 'text', text: 'Error: Missing assemblyPath, outputDir or namespaces[]' }] };
       }
       try {
-        const files = await maybeCached('selectedNsDir', { assemblyPath, outputDir, namespaces, typeName }, () =>
-          decompilerService.decompileSelectedNamespacesToDir(assemblyPath, outputDir, namespaces, { typeName })
-        );
+        const files = await decompilerService.decompileSelectedNamespacesToDir(assemblyPath, outputDir, namespaces, { typeName, language, languageVersion });
         const summary = `Wrote ${files.length} files to ${outputDir}\n` + files.map(f => ` - ${f}`).join('\n');
         return { content: [{ type: 'text', text: summary }] };
       } catch (error) {
@@ -937,9 +1913,49 @@ server.setRequestHandler(CallToolRequestSchema, async request => {
         content: [{ type: 'text', text: `Error: Unknown tool ${tool}` }],
       };
   }
-});
+}
+
+function parseArgs() {
+  return yargs(hideBin(process.argv))
+    .scriptName(SERVER_NAME)
+    .option('transport', {
+      choices: ['stdio', 'http'],
+      default: process.env.MCP_TRANSPORT || 'stdio',
+      describe: 'How clients connect to the server',
+    })
+    .option('host', {
+      type: 'string',
+      default: process.env.MCP_HOST || '127.0.0.1',
+      describe: 'Interface to bind in http mode',
+    })
+    .option('port', {
+      type: 'number',
+      default: Number(process.env.MCP_PORT || 3000),
+      describe: 'Port to bind in http mode',
+    })
+    .option('auth-token', {
+      type: 'string',
+      default: process.env.MCP_AUTH_TOKEN,
+      describe: 'Require "Authorization: Bearer <token>" on every HTTP request',
+    })
+    .option('allowed-hosts', {
+      type: 'string',
+      default: process.env.MCP_ALLOWED_HOSTS,
+      describe: 'Comma-separated Host headers to accept in http mode (default: loopback names when bound to loopback)',
+    })
+    .option('session-idle-ms', {
+      type: 'number',
+      default: Number(process.env.MCP_SESSION_IDLE_MS || 30 * 60 * 1000),
+      describe: 'Close HTTP sessions with no request for this long (0 = never)',
+    })
+    .version(PACKAGE_VERSION)
+    .strict()
+    .help()
+    .parseSync();
+}
 
 async function main() {
+  const argv = parseArgs();
   try {
     console.error(`
 ---------------------------------------------
@@ -950,14 +1966,45 @@ decompiles .NET assemblies into readable source
 ---------------------------------------------
 `);
 
-    console.error('Starting in stdio mode...');
-    console.error('Use this mode when connecting through an MCP client');
-
-    const transport = new StdioServerTransport();
+    for (const root of RESOURCE_ROOTS) {
+      try {
+        const stat = await fs.stat(root);
+        const found = stat.isDirectory() ? await decompilerService._collectAssemblies(root) : [root];
+        for (const asm of found) assemblyRegistry.register(asm);
+      } catch (err) {
+        console.error(`Skipping resource root ${root}: ${err.message}`);
+      }
+    }
 
-    await server.connect(transport);
+    if (ALLOWED_READ_ROOTS || ALLOWED_WRITE_ROOTS) {
+      const describe = roots => (roots ? roots.join(path.delimiter) || '(none)' : '(any)');
+      console.error(`Sandbox: read ${describe(ALLOWED_READ_ROOTS)}, write ${describe(ALLOWED_WRITE_ROOTS)}`);
+    }
 
-    console.error('MCP .NET Decompiler server running on stdio');
+    if (argv.transport === 'http') {
+      const { allowedHosts } = await startHttpServer({
+        host: argv.host,
+        port: argv.port,
+        authToken: argv.authToken || null,
+        allowedHosts: (argv.allowedHosts || '').split(',').map(h => h.trim()).filter(Boolean),
+        sessionIdleMs: argv.sessionIdleMs,
+        createSessionServer: buildServer,
+      });
+      const base = `http://${argv.host}:${argv.port}`;
+      console.error(`MCP .NET Decompiler server listening on ${base}${MCP_ENDPOINT} (legacy SSE: ${base}${SSE_ENDPOINT})`);
+      if (!argv.authToken) console.error('Warning: no --auth-token set; the HTTP endpoint is unauthenticated');
+      if (allowedHosts) console.error(`Accepting Host headers: ${allowedHosts.join(', ')}`);
+      else if (!argv.authToken) console.error('Warning: no --allowed-hosts set; requests are not checked against DNS rebinding');
+    } else {
+      console.error('Starting in stdio mode...');
+      console.error('Use this mode when connecting through an MCP client');
+
+      const transport = new StdioServerTransport();
+
+      await buildServer().connect(transport);
+
+      console.error('MCP .NET Decompiler server running on stdio');
+    }
 
     process.on('SIGINT', () => {
       console.error('\nShutting down MCP .NET Decompiler server...');
@@ -0,0 +1,117 @@
+import { rvaToOffset, assemblyIdentity, assemblyReferences, customAttributes, memberOwners, typeDefFullName } from './metadata.js';
+import { frameworkMoniker } from './project.js';
+
+// Assembly facts that are otherwise only visible at the top of a full decompilation: identity,
+// signing, target framework, platform, ReadyToRun/mixed-mode and assembly attributes.
+
+const MACHINES = { 0x14c: 'x86', 0x8664: 'x64', 0xaa64: 'ARM64', 0x1c4: 'ARM', 0x200: 'IA64', 0x6264: 'LoongArch64', 0x5064: 'RISC-V64' };
+
+// ReadyToRun images for other operating systems XOR the machine with an OS-specific value.
+const R2R_OS_MASKS = { 0x4644: 'macOS', 0xadc4: 'FreeBSD', 0x7b79: 'Linux', 0x1993: 'NetBSD', 0x1992: 'SunOS' };
+
+const COMIMAGE_FLAGS_ILONLY = 0x1;
+const COMIMAGE_FLAGS_32BITREQUIRED = 0x2;
+const COMIMAGE_FLAGS_STRONGNAMESIGNED = 0x8;
+const COMIMAGE_FLAGS_32BITPREFERRED = 0x20000;
+
+function isReadyToRun(md) {
+  const header = md.cli.managedNativeHeader;
+  if (!header.rva) return false;
+  const off = rvaToOffset(md.pe, header.rva);
+  // READYTORUN_SIGNATURE 'RTR'
+  return off >= 0 && off + 4 <= md.buffer.length && md.buffer.readUInt32LE(off) === 0x00525452;
+}
+
+function describePlatform(md, readyToRun) {
+  const { machine, pe32Plus } = md.pe;
+  let architecture = MACHINES[machine] || null;
+  let os = readyToRun ? 'Windows' : null;
+  if (!architecture) {
+    for (const [mask, name] of Object.entries(R2R_OS_MASKS)) {
+      if (MACHINES[machine ^ Number(mask)]) {
+        architecture = MACHINES[machine ^ Number(mask)];
+        os = name;
+      }
+    }
+  }
+  const flags = md.cli.flags;
+  const required32 = Boolean(flags & COMIMAGE_FLAGS_32BITREQUIRED);
+  const preferred32 = Boolean(flags & COMIMAGE_FLAGS_32BITPREFERRED);
+  // IL-only x86 images without the 32-bit flags run on any architecture
+  const anyCpu = machine === 0x14c && (flags & COMIMAGE_FLAGS_ILONLY) && !required32 && !readyToRun;
+  return {
+    platform: anyCpu ? (preferred32 ? 'AnyCPU (32-bit preferred)' : 'AnyCPU') : architecture || `unknown (0x${machine.toString(16)})`,
+    bitness: anyCpu ? (preferred32 ? 32 : null) : pe32Plus ? 64 : 32,
+    pe32Plus,
+    os,
+  };
+}
+
+function entryPointName(md) {
+  const token = md.cli.entryPointToken;
+  if (!token) return null;
+  const table = token >>> 24;
+  const row = token & 0xffffff;
+  if (table === 0x06 && md.tables.MethodDef[row - 1]) {
+    const owner = memberOwners(md).methodOwner[row];
+    return `${typeDefFullName(md, owner)}::${md.tables.MethodDef[row - 1].Name}`;
+  }
+  // Native entry point or one in another module of a multi-module assembly
+  if (table === 0x26 && md.tables.File[row - 1]) return `file ${md.tables.File[row - 1].Name}`;
+  return `0x${token.toString(16).padStart(8, '0')}`;
+}
+
+// Everything inspect-assembly reports for one parsed assembly (or bare module).
+export function inspectAssembly(md) {
+  const identity = assemblyIdentity(md);
+  const attributes = identity ? customAttributes(md, { table: 'Assembly', index: 1 }) : [];
+  const argument = type => attributes.find(a => a.type === type)?.fixedArguments[0] ?? null;
+  const frameworkName = argument('System.Runtime.Versioning.TargetFrameworkAttribute');
+  const frameworkAttribute = attributes.find(a => a.type === 'System.Runtime.Versioning.TargetFrameworkAttribute');
+  const platformName = argument('System.Runtime.Versioning.TargetPlatformAttribute');
+  const readyToRun = isReadyToRun(md);
+  const flags = md.cli.flags;
+  const hasPublicKey = Boolean(identity && identity.publicKeyToken);
+  const strongNameSigned = Boolean(flags & COMIMAGE_FLAGS_STRONGNAMESIGNED);
+  return {
+    name: identity ? identity.name : md.tables.Module[0]?.Name || null,
+    isModule: !identity,
+    version: identity?.version || null,
+    culture: identity?.culture || null,
+    publicKeyToken: identity?.publicKeyToken || null,
+    signing: {
+      strongNameSigned,
+      // A public key without the signed flag is a delay-signed (or not yet signed) build
+      delaySigned: hasPublicKey && !strongNameSigned,
+      authenticode: Boolean(md.pe.directories[4] && md.pe.directories[4].size > 0),
+    },
+    targetFramework: frameworkName
+      ? { name: frameworkName, moniker: frameworkMoniker(frameworkName, platformName), displayName: frameworkAttribute.namedArguments.FrameworkDisplayName || null }
+      : null,
+    targetPlatform: platformName,
+    runtimeVersion: md.runtimeVersion,
+    ...describePlatform(md, readyToRun),
+    ilOnly: Boolean(flags & COMIMAGE_FLAGS_ILONLY),
+    mixedMode: !(flags & COMIMAGE_FLAGS_ILONLY) && !readyToRun,
+    readyToRun,
+    isDll: Boolean(md.pe.characteristics & 0x2000),
+    entryPoint: entryPointName(md),
+    informationalVersion: argument('System.Reflection.AssemblyInformationalVersionAttribute'),
+    fileVersion: argument('System.Reflection.AssemblyFileVersionAttribute'),
+    internalsVisibleTo: attributes.filter(a => a.type === 'System.Runtime.CompilerServices.InternalsVisibleToAttribute').map(a => a.fixedArguments[0]),
+    references: assemblyReferences(md),
+    attributes,
+  };
+}
+
+// One summary line per inspected assembly.
+export function formatInspection(info) {
+  const parts = [info.targetFramework?.moniker || info.runtimeVersion, info.platform];
+  if (info.readyToRun) parts.push(`ReadyToRun${info.os ? ` ${info.os}` : ''}`);
+  if (info.mixedMode) parts.push('mixed-mode');
+  if (info.signing.strongNameSigned) parts.push(`signed ${info.publicKeyToken}`);
+  else if (info.signing.delaySigned) parts.push(`delay-signed ${info.publicKeyToken}`);
+  if (info.entryPoint) parts.push(`entry ${info.entryPoint}`);
+  const version = info.informationalVersion && info.informationalVersion !== info.version ? `${info.version} (${info.informationalVersion})` : info.version;
+  return `${info.name}${version ? ` ${version}` : ''}${info.isModule ? ' [module]' : ''}: ${parts.filter(Boolean).join(', ')}`;
+}
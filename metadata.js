@@ -0,0 +1,812 @@
+import { createHash } from 'crypto';
+import * as fs from 'fs/promises';
+
+// Minimal ECMA-335 (Partition II) reader: PE headers, CLI header, metadata streams and
+// the logical tables. Works on the raw file bytes, no ilspycmd/dotnet required.
+
+const TABLE_NAMES = [
+  'Module', 'TypeRef', 'TypeDef', 'FieldPtr', 'Field', 'MethodPtr', 'MethodDef', 'ParamPtr',
+  'Param', 'InterfaceImpl', 'MemberRef', 'Constant', 'CustomAttribute', 'FieldMarshal', 'DeclSecurity', 'ClassLayout',
+  'FieldLayout', 'StandAloneSig', 'EventMap', 'EventPtr', 'Event', 'PropertyMap', 'PropertyPtr', 'Property',
+  'MethodSemantics', 'MethodImpl', 'ModuleRef', 'TypeSpec', 'ImplMap', 'FieldRVA', 'EncLog', 'EncMap',
+  'Assembly', 'AssemblyProcessor', 'AssemblyOS', 'AssemblyRef', 'AssemblyRefProcessor', 'AssemblyRefOS', 'File', 'ExportedType',
+  'ManifestResource', 'NestedClass', 'GenericParam', 'MethodSpec', 'GenericParamConstraint',
+];
+
+const CODED_INDEXES = {
+  TypeDefOrRef: { bits: 2, tables: ['TypeDef', 'TypeRef', 'TypeSpec'] },
+  HasConstant: { bits: 2, tables: ['Field', 'Param', 'Property'] },
+  HasCustomAttribute: {
+    bits: 5,
+    tables: [
+      'MethodDef', 'Field', 'TypeRef', 'TypeDef', 'Param', 'InterfaceImpl', 'MemberRef', 'Module', 'DeclSecurity', 'Property', 'Event',
+      'StandAloneSig', 'ModuleRef', 'TypeSpec', 'Assembly', 'AssemblyRef', 'File', 'ExportedType', 'ManifestResource', 'GenericParam',
+      'GenericParamConstraint', 'MethodSpec',
+    ],
+  },
+  HasFieldMarshal: { bits: 1, tables: ['Field', 'Param'] },
+  HasDeclSecurity: { bits: 2, tables: ['TypeDef', 'MethodDef', 'Assembly'] },
+  MemberRefParent: { bits: 3, tables: ['TypeDef', 'TypeRef', 'ModuleRef', 'MethodDef', 'TypeSpec'] },
+  HasSemantics: { bits: 1, tables: ['Event', 'Property'] },
+  MethodDefOrRef: { bits: 1, tables: ['MethodDef', 'MemberRef'] },
+  MemberForwarded: { bits: 1, tables: ['Field', 'MethodDef'] },
+  Implementation: { bits: 2, tables: ['File', 'AssemblyRef', 'ExportedType'] },
+  CustomAttributeType: { bits: 3, tables: [null, null, 'MethodDef', 'MemberRef', null] },
+  ResolutionScope: { bits: 2, tables: ['Module', 'ModuleRef', 'AssemblyRef', 'TypeRef'] },
+  TypeOrMethodDef: { bits: 1, tables: ['TypeDef', 'MethodDef'] },
+};
+
+// Column kinds: u8/u16/u32, str/guid/blob heap indexes, `=Table` simple index, or a coded index name.
+const TABLE_SCHEMAS = {
+  Module: [['Generation', 'u16'], ['Name', 'str'], ['Mvid', 'guid'], ['EncId', 'guid'], ['EncBaseId', 'guid']],
+  TypeRef: [['ResolutionScope', 'ResolutionScope'], ['TypeName', 'str'], ['TypeNamespace', 'str']],
+  TypeDef: [['Flags', 'u32'], ['TypeName', 'str'], ['TypeNamespace', 'str'], ['Extends', 'TypeDefOrRef'], ['FieldList', '=Field'], ['MethodList', '=MethodDef']],
+  FieldPtr: [['Field', '=Field']],
+  Field: [['Flags', 'u16'], ['Name', 'str'], ['Signature', 'blob']],
+  MethodPtr: [['Method', '=MethodDef']],
+  MethodDef: [['RVA', 'u32'], ['ImplFlags', 'u16'], ['Flags', 'u16'], ['Name', 'str'], ['Signature', 'blob'], ['ParamList', '=Param']],
+  ParamPtr: [['Param', '=Param']],
+  Param: [['Flags', 'u16'], ['Sequence', 'u16'], ['Name', 'str']],
+  InterfaceImpl: [['Class', '=TypeDef'], ['Interface', 'TypeDefOrRef']],
+  MemberRef: [['Class', 'MemberRefParent'], ['Name', 'str'], ['Signature', 'blob']],
+  Constant: [['Type', 'u8'], ['Padding', 'u8'], ['Parent', 'HasConstant'], ['Value', 'blob']],
+  CustomAttribute: [['Parent', 'HasCustomAttribute'], ['Type', 'CustomAttributeType'], ['Value', 'blob']],
+  FieldMarshal: [['Parent', 'HasFieldMarshal'], ['NativeType', 'blob']],
+  DeclSecurity: [['Action', 'u16'], ['Parent', 'HasDeclSecurity'], ['PermissionSet', 'blob']],
+  ClassLayout: [['PackingSize', 'u16'], ['ClassSize', 'u32'], ['Parent', '=TypeDef']],
+  FieldLayout: [['Offset', 'u32'], ['Field', '=Field']],
+  StandAloneSig: [['Signature', 'blob']],
+  EventMap: [['Parent', '=TypeDef'], ['EventList', '=Event']],
+  EventPtr: [['Event', '=Event']],
+  Event: [['EventFlags', 'u16'], ['Name', 'str'], ['EventType', 'TypeDefOrRef']],
+  PropertyMap: [['Parent', '=TypeDef'], ['PropertyList', '=Property']],
+  PropertyPtr: [['Property', '=Property']],
+  Property: [['Flags', 'u16'], ['Name', 'str'], ['Type', 'blob']],
+  MethodSemantics: [['Semantics', 'u16'], ['Method', '=MethodDef'], ['Association', 'HasSemantics']],
+  MethodImpl: [['Class', '=TypeDef'], ['MethodBody', 'MethodDefOrRef'], ['MethodDeclaration', 'MethodDefOrRef']],
+  ModuleRef: [['Name', 'str']],
+  TypeSpec: [['Signature', 'blob']],
+  ImplMap: [['MappingFlags', 'u16'], ['MemberForwarded', 'MemberForwarded'], ['ImportName', 'str'], ['ImportScope', '=ModuleRef']],
+  FieldRVA: [['RVA', 'u32'], ['Field', '=Field']],
+  EncLog: [['Token', 'u32'], ['FuncCode', 'u32']],
+  EncMap: [['Token', 'u32']],
+  Assembly: [
+    ['HashAlgId', 'u32'], ['MajorVersion', 'u16'], ['MinorVersion', 'u16'], ['BuildNumber', 'u16'], ['RevisionNumber', 'u16'],
+    ['Flags', 'u32'], ['PublicKey', 'blob'], ['Name', 'str'], ['Culture', 'str'],
+  ],
+  AssemblyProcessor: [['Processor', 'u32']],
+  AssemblyOS: [['OSPlatformID', 'u32'], ['OSMajorVersion', 'u32'], ['OSMinorVersion', 'u32']],
+  AssemblyRef: [
+    ['MajorVersion', 'u16'], ['MinorVersion', 'u16'], ['BuildNumber', 'u16'], ['RevisionNumber', 'u16'], ['Flags', 'u32'],
+    ['PublicKeyOrToken', 'blob'], ['Name', 'str'], ['Culture', 'str'], ['HashValue', 'blob'],
+  ],
+  AssemblyRefProcessor: [['Processor', 'u32'], ['AssemblyRef', '=AssemblyRef']],
+  AssemblyRefOS: [['OSPlatformID', 'u32'], ['OSMajorVersion', 'u32'], ['OSMinorVersion', 'u32'], ['AssemblyRef', '=AssemblyRef']],
+  File: [['Flags', 'u32'], ['Name', 'str'], ['HashValue', 'blob']],
+  ExportedType: [['Flags', 'u32'], ['TypeDefId', 'u32'], ['TypeName', 'str'], ['TypeNamespace', 'str'], ['Implementation', 'Implementation']],
+  ManifestResource: [['Offset', 'u32'], ['Flags', 'u32'], ['Name', 'str'], ['Implementation', 'Implementation']],
+  NestedClass: [['NestedClass', '=TypeDef'], ['EnclosingClass', '=TypeDef']],
+  GenericParam: [['Number', 'u16'], ['Flags', 'u16'], ['Owner', 'TypeOrMethodDef'], ['Name', 'str']],
+  MethodSpec: [['Method', 'MethodDefOrRef'], ['Instantiation', 'blob']],
+  GenericParamConstraint: [['Owner', '=GenericParam'], ['Constraint', 'TypeDefOrRef']],
+};
+
+export class MetadataError extends Error {}
+
+function fail(message) {
+  throw new MetadataError(message);
+}
+
+function parsePe(buf) {
+  if (buf.length < 0x40 || buf.readUInt16LE(0) !== 0x5a4d) fail('not a PE file (missing MZ header)');
+  const peOffset = buf.readUInt32LE(0x3c);
+  if (peOffset + 24 > buf.length || buf.readUInt32LE(peOffset) !== 0x00004550) fail('not a PE file (missing PE signature)');
+  const coff = peOffset + 4;
+  const machine = buf.readUInt16LE(coff);
+  const sectionCount = buf.readUInt16LE(coff + 2);
+  const optionalSize = buf.readUInt16LE(coff + 16);
+  const characteristics = buf.readUInt16LE(coff + 18);
+  const opt = coff + 20;
+  const magic = buf.readUInt16LE(opt);
+  if (magic !== 0x10b && magic !== 0x20b) fail(`unknown optional header magic 0x${magic.toString(16)}`);
+  const pe32Plus = magic === 0x20b;
+  const dirCount = buf.readUInt32LE(opt + (pe32Plus ? 108 : 92));
+  const dirBase = opt + (pe32Plus ? 112 : 96);
+  const directories = [];
+  for (let i = 0; i < dirCount; i++) {
+    directories.push({ rva: buf.readUInt32LE(dirBase + i * 8), size: buf.readUInt32LE(dirBase + i * 8 + 4) });
+  }
+  const sections = [];
+  const secBase = opt + optionalSize;
+  for (let i = 0; i < sectionCount; i++) {
+    const s = secBase + i * 40;
+    sections.push({
+      name: buf.toString('latin1', s, s + 8).replace(/\0+$/, ''),
+      virtualSize: buf.readUInt32LE(s + 8),
+      virtualAddress: buf.readUInt32LE(s + 12),
+      rawSize: buf.readUInt32LE(s + 16),
+      rawPointer: buf.readUInt32LE(s + 20),
+    });
+  }
+  return { machine, characteristics, pe32Plus, directories, sections };
+}
+
+export function rvaToOffset(pe, rva) {
+  for (const s of pe.sections) {
+    const size = Math.max(s.virtualSize, s.rawSize);
+    if (rva >= s.virtualAddress && rva < s.virtualAddress + size) return rva - s.virtualAddress + s.rawPointer;
+  }
+  return -1;
+}
+
+function parseCliHeader(buf, pe) {
+  const dir = pe.directories[14];
+  if (!dir || dir.rva === 0) return null;
+  const off = rvaToOffset(pe, dir.rva);
+  if (off < 0) return null;
+  const readDir = at => ({ rva: buf.readUInt32LE(off + at), size: buf.readUInt32LE(off + at + 4) });
+  return {
+    majorRuntimeVersion: buf.readUInt16LE(off + 4),
+    minorRuntimeVersion: buf.readUInt16LE(off + 6),
+    metadata: readDir(8),
+    flags: buf.readUInt32LE(off + 16),
+    entryPointToken: buf.readUInt32LE(off + 20),
+    resources: readDir(24),
+    strongNameSignature: readDir(32),
+    managedNativeHeader: readDir(64),
+  };
+}
+
+function readCompressedUInt(buf, off) {
+  const b = buf[off];
+  if ((b & 0x80) === 0) return { value: b, size: 1 };
+  if ((b & 0xc0) === 0x80) return { value: ((b & 0x3f) << 8) | buf[off + 1], size: 2 };
+  return { value: ((b & 0x1f) << 24) | (buf[off + 1] << 16) | (buf[off + 2] << 8) | buf[off + 3], size: 4 };
+}
+
+function createHeaps(buf, streams) {
+  const stringsStream = streams['#Strings'];
+  const blobStream = streams['#Blob'];
+  const guidStream = streams['#GUID'];
+  const usStream = streams['#US'];
+  const stringCache = new Map();
+  return {
+    string(idx) {
+      if (!stringsStream || !idx) return '';
+      let s = stringCache.get(idx);
+      if (s !== undefined) return s;
+      const start = stringsStream.offset + idx;
+      let end = start;
+      while (end < buf.length && buf[end] !== 0) end++;
+      s = buf.toString('utf8', start, end);
+      stringCache.set(idx, s);
+      return s;
+    },
+    blob(idx) {
+      if (!blobStream || !idx) return Buffer.alloc(0);
+      const start = blobStream.offset + idx;
+      const { value, size } = readCompressedUInt(buf, start);
+      return buf.subarray(start + size, start + size + value);
+    },
+    guid(idx) {
+      if (!guidStream || !idx) return null;
+      const start = guidStream.offset + (idx - 1) * 16;
+      const g = buf.subarray(start, start + 16);
+      const hex = b => Buffer.from(b).toString('hex');
+      return [hex(Buffer.from(g.subarray(0, 4)).reverse()), hex(Buffer.from(g.subarray(4, 6)).reverse()), hex(Buffer.from(g.subarray(6, 8)).reverse()), hex(g.subarray(8, 10)), hex(g.subarray(10, 16))].join('-');
+    },
+    userString(idx) {
+      if (!usStream) return '';
+      const start = usStream.offset + idx;
+      const { value, size } = readCompressedUInt(buf, start);
+      // Last byte is a terminal flag, not part of the UTF-16 payload
+      return buf.toString('utf16le', start + size, start + size + Math.max(0, value - 1));
+    },
+  };
+}
+
+function parseTables(buf, stream, heaps) {
+  const base = stream.offset;
+  const heapSizes = buf[base + 6];
+  const validLo = buf.readUInt32LE(base + 8);
+  const validHi = buf.readUInt32LE(base + 12);
+  let off = base + 24;
+  const rowCounts = {};
+  for (let i = 0; i < 64; i++) {
+    const present = i < 32 ? (validLo >>> i) & 1 : (validHi >>> (i - 32)) & 1;
+    if (!present) continue;
+    const count = buf.readUInt32LE(off);
+    off += 4;
+    if (TABLE_NAMES[i]) rowCounts[TABLE_NAMES[i]] = count;
+    else if (i >= TABLE_NAMES.length) fail(`unsupported metadata table 0x${i.toString(16)}`);
+  }
+  if (heapSizes & 0x40) off += 4;
+  const strSize = heapSizes & 0x01 ? 4 : 2;
+  const guidSize = heapSizes & 0x02 ? 4 : 2;
+  const blobSize = heapSizes & 0x04 ? 4 : 2;
+  const rows = name => rowCounts[name] || 0;
+  const codedSize = {};
+  for (const [name, def] of Object.entries(CODED_INDEXES)) {
+    const max = Math.max(...def.tables.map(t => (t ? rows(t) : 0)));
+    codedSize[name] = max < 1 << (16 - def.bits) ? 2 : 4;
+  }
+
+  const tables = {};
+  for (const name of TABLE_NAMES) {
+    const count = rows(name);
+    const schema = TABLE_SCHEMAS[name];
+    const columns = schema.map(([col, kind]) => {
+      let size;
+      if (kind === 'u8') size = 1;
+      else if (kind === 'u16') size = 2;
+      else if (kind === 'u32') size = 4;
+      else if (kind === 'str') size = strSize;
+      else if (kind === 'guid') size = guidSize;
+      else if (kind === 'blob') size = blobSize;
+      else if (kind.startsWith('=')) size = rows(kind.slice(1)) < 65536 ? 2 : 4;
+      else size = codedSize[kind];
+      return { col, kind, size };
+    });
+    const list = new Array(count);
+    for (let r = 0; r < count; r++) {
+      const row = {};
+      for (const c of columns) {
+        const raw = c.size === 1 ? buf[off] : c.size === 2 ? buf.readUInt16LE(off) : buf.readUInt32LE(off);
+        off += c.size;
+        if (c.kind === 'str') row[c.col] = heaps.string(raw);
+        else if (c.kind === 'blob' || c.kind === 'guid' || c.kind === 'u8' || c.kind === 'u16' || c.kind === 'u32' || c.kind.startsWith('=')) row[c.col] = raw;
+        else {
+          const def = CODED_INDEXES[c.kind];
+          row[c.col] = { table: def.tables[raw & ((1 << def.bits) - 1)], index: raw >>> def.bits };
+        }
+      }
+      list[r] = row;
+    }
+    tables[name] = list;
+  }
+  return tables;
+}
+
+export function parseAssembly(buf) {
+  try {
+    return parseAssemblyUnchecked(buf);
+  } catch (err) {
+    if (err instanceof MetadataError) throw err;
+    // Truncated or corrupt images surface as out-of-range reads
+    throw new MetadataError(`malformed assembly image: ${err.message}`);
+  }
+}
+
+function parseAssemblyUnchecked(buf) {
+  const pe = parsePe(buf);
+  const cli = parseCliHeader(buf, pe);
+  if (!cli) fail('not a .NET assembly (no CLI header)');
+  const mdOff = rvaToOffset(pe, cli.metadata.rva);
+  if (mdOff < 0 || buf.readUInt32LE(mdOff) !== 0x424a5342) fail('invalid metadata root signature');
+  const versionLength = buf.readUInt32LE(mdOff + 12);
+  const runtimeVersion = buf.toString('latin1', mdOff + 16, mdOff + 16 + versionLength).replace(/\0+$/, '');
+  let off = mdOff + 16 + versionLength + 2;
+  const streamCount = buf.readUInt16LE(off);
+  off += 2;
+  const streams = {};
+  for (let i = 0; i < streamCount; i++) {
+    const offset = buf.readUInt32LE(off);
+    const size = buf.readUInt32LE(off + 4);
+    off += 8;
+    let end = off;
+    while (buf[end] !== 0) end++;
+    const name = buf.toString('latin1', off, end);
+    off = (end + 4) & ~3;
+    streams[name] = { offset: mdOff + offset, size };
+  }
+  const tableStream = streams['#~'] || streams['#-'];
+  if (!tableStream) fail('metadata has no table stream');
+  const heaps = createHeaps(buf, streams);
+  const tables = parseTables(buf, tableStream, heaps);
+  return { buffer: buf, pe, cli, runtimeVersion, heaps, tables };
+}
+
+export async function readAssemblyMetadata(assemblyPath) {
+  const buf = await fs.readFile(assemblyPath);
+  return parseAssembly(buf);
+}
+
+// Returns the TypeDef row indexes (1-based) mapped to their enclosing TypeDef index.
+export function nestedTypeParents(md) {
+  const parents = new Map();
+  for (const row of md.tables.NestedClass) parents.set(row.NestedClass, row.EnclosingClass);
+  return parents;
+}
+
+// Full name in ilspycmd `-t` form: Namespace.Outer+Inner
+export function typeDefFullName(md, index, parents = nestedTypeParents(md)) {
+  const row = md.tables.TypeDef[index - 1];
+  if (!row) return '';
+  const parent = parents.get(index);
+  if (parent) return `${typeDefFullName(md, parent, parents)}+${row.TypeName}`;
+  return row.TypeNamespace ? `${row.TypeNamespace}.${row.TypeName}` : row.TypeName;
+}
+
+export function listNamespacesFromMetadata(md, { typeName = null } = {}) {
+  const parents = nestedTypeParents(md);
+  const namespaces = new Set();
+  md.tables.TypeDef.forEach((row, i) => {
+    const index = i + 1;
+    if (parents.has(index) || !row.TypeNamespace) return;
+    if (typeName) {
+      // Nested types may be given as Outer+Inner or Outer.Inner; match on the outermost type
+      const full = typeDefFullName(md, index, parents);
+      if (full !== typeName && !typeName.startsWith(full + '+')) return;
+    }
+    namespaces.add(row.TypeNamespace);
+  });
+  return Array.from(namespaces).sort();
+}
+
+const PRIMITIVE_NAMES = {
+  0x01: 'void', 0x02: 'bool', 0x03: 'char', 0x04: 'sbyte', 0x05: 'byte', 0x06: 'short', 0x07: 'ushort', 0x08: 'int',
+  0x09: 'uint', 0x0a: 'long', 0x0b: 'ulong', 0x0c: 'float', 0x0d: 'double', 0x0e: 'string', 0x16: 'TypedReference',
+  0x18: 'nint', 0x19: 'nuint', 0x1c: 'object',
+};
+
+const CODED_TYPE_TABLES = ['TypeDef', 'TypeRef', 'TypeSpec'];
+
+function stripArity(name) {
+  return name.replace(/`\d+$/, '');
+}
+
+export class SignatureReader {
+  constructor(blob) {
+    this.blob = blob;
+    this.pos = 0;
+  }
+  byte() {
+    return this.blob[this.pos++];
+  }
+  peek() {
+    return this.blob[this.pos];
+  }
+  uint() {
+    const { value, size } = readCompressedUInt(this.blob, this.pos);
+    this.pos += size;
+    return value;
+  }
+  typeDefOrRef() {
+    const coded = this.uint();
+    return { table: CODED_TYPE_TABLES[coded & 3], index: coded >>> 2 };
+  }
+}
+
+// Decodes one Type (II.23.2.12) from the reader into a C#-style display name.
+export function readTypeSignature(md, reader, context = {}) {
+  const et = reader.byte();
+  if (PRIMITIVE_NAMES[et]) return PRIMITIVE_NAMES[et];
+  switch (et) {
+    case 0x0f: return `${readTypeSignature(md, reader, context)}*`;
+    case 0x10: return `ref ${readTypeSignature(md, reader, context)}`;
+    case 0x11:
+    case 0x12: return typeReferenceName(md, reader.typeDefOrRef(), context);
+    case 0x13: {
+      const n = reader.uint();
+      return (context.typeParams && context.typeParams[n]) || `!${n}`;
+    }
+    case 0x1e: {
+      const n = reader.uint();
+      return (context.methodParams && context.methodParams[n]) || `!!${n}`;
+    }
+    case 0x14: {
+      const element = readTypeSignature(md, reader, context);
+      const rank = reader.uint();
+      const sizes = reader.uint();
+      for (let i = 0; i < sizes; i++) reader.uint();
+      const bounds = reader.uint();
+      for (let i = 0; i < bounds; i++) reader.uint();
+      return `${element}[${','.repeat(Math.max(0, rank - 1))}]`;
+    }
+    case 0x15: {
+      reader.byte(); // CLASS or VALUETYPE
+      const generic = typeReferenceName(md, reader.typeDefOrRef(), context);
+      const count = reader.uint();
+      const args = [];
+      for (let i = 0; i < count; i++) args.push(readTypeSignature(md, reader, context));
+      return `${generic}<${args.join(', ')}>`;
+    }
+    case 0x1b: {
+      const sig = readMethodSignature(md, reader, context);
+      return `delegate*<${[...sig.params, sig.returnType].join(', ')}>`;
+    }
+    case 0x1d: return `${readTypeSignature(md, reader, context)}[]`;
+    case 0x1f:
+    case 0x20: {
+      reader.typeDefOrRef();
+      return readTypeSignature(md, reader, context);
+    }
+    case 0x45: return readTypeSignature(md, reader, context);
+    default: return `?0x${(et ?? 0).toString(16)}`;
+  }
+}
+
+// MethodDefSig / MethodRefSig / PropertySig (II.23.2.1-5)
+export function readMethodSignature(md, reader, context = {}) {
+  const callConv = reader.byte();
+  const genericCount = callConv & 0x10 ? reader.uint() : 0;
+  const paramCount = reader.uint();
+  const returnType = readTypeSignature(md, reader, context);
+  const params = [];
+  for (let i = 0; i < paramCount; i++) {
+    if (reader.peek() === 0x41) reader.byte(); // vararg sentinel
+    params.push(readTypeSignature(md, reader, context));
+  }
+  return { hasThis: Boolean(callConv & 0x20), genericCount, returnType, params };
+}
+
+export function decodeTypeBlob(md, blobIndex, context) {
+  return readTypeSignature(md, new SignatureReader(md.heaps.blob(blobIndex)), context);
+}
+
+function typeRefFullName(md, index) {
+  const row = md.tables.TypeRef[index - 1];
+  if (!row) return '';
+  if (row.ResolutionScope.table === 'TypeRef' && row.ResolutionScope.index) {
+    return `${typeRefFullName(md, row.ResolutionScope.index)}+${row.TypeName}`;
+  }
+  return row.TypeNamespace ? `${row.TypeNamespace}.${row.TypeName}` : row.TypeName;
+}
+
+// Metadata-form name (Namespace.Outer+Inner`1) of a TypeDefOrRef target; TypeSpecs are decoded.
+export function typeReferenceFullName(md, ref, parents) {
+  if (!ref || !ref.index) return null;
+  if (ref.table === 'TypeDef') return typeDefFullName(md, ref.index, parents);
+  if (ref.table === 'TypeRef') return typeRefFullName(md, ref.index);
+  return decodeTypeBlob(md, md.tables.TypeSpec[ref.index - 1].Signature);
+}
+
+// C#-style display name (Namespace.Outer.Inner<T>) of a TypeDefOrRef target.
+export function typeReferenceName(md, ref, context = {}) {
+  if (!ref || !ref.index) return null;
+  if (ref.table === 'TypeSpec') {
+    const spec = md.tables.TypeSpec[ref.index - 1];
+    return spec ? decodeTypeBlob(md, spec.Signature, context) : null;
+  }
+  const full = ref.table === 'TypeDef' ? typeDefFullName(md, ref.index, context.parents) : typeRefFullName(md, ref.index);
+  return full.split('+').map(stripArity).join('.');
+}
+
+function rowRange(list, i, key, total) {
+  const start = list[i][key];
+  const end = i + 1 < list.length ? list[i + 1][key] : total + 1;
+  return { start, end: Math.max(start, end) };
+}
+
+// Member row ranges (1-based, end exclusive) owned by a TypeDef.
+export function typeDefMemberRanges(md, index, maps = memberMaps(md)) {
+  const { TypeDef, MethodDef, Field, PropertyMap, Property, EventMap, Event } = md.tables;
+  const i = index - 1;
+  const methods = rowRange(TypeDef, i, 'MethodList', MethodDef.length);
+  const fields = rowRange(TypeDef, i, 'FieldList', Field.length);
+  const pm = maps.properties.get(index);
+  const properties = pm === undefined ? { start: 0, end: 0 } : rowRange(PropertyMap, pm, 'PropertyList', Property.length);
+  const em = maps.events.get(index);
+  const events = em === undefined ? { start: 0, end: 0 } : rowRange(EventMap, em, 'EventList', Event.length);
+  return { methods, fields, properties, events };
+}
+
+function memberMaps(md) {
+  const properties = new Map();
+  md.tables.PropertyMap.forEach((r, i) => properties.set(r.Parent, i));
+  const events = new Map();
+  md.tables.EventMap.forEach((r, i) => events.set(r.Parent, i));
+  return { properties, events };
+}
+
+const VISIBILITY = ['internal', 'public', 'public', 'private', 'protected', 'internal', 'private protected', 'protected internal'];
+
+function genericParamsByOwner(md) {
+  const byOwner = new Map();
+  for (const gp of md.tables.GenericParam) {
+    const key = `${gp.Owner.table}:${gp.Owner.index}`;
+    if (!byOwner.has(key)) byOwner.set(key, []);
+    byOwner.get(key)[gp.Number] = gp.Name;
+  }
+  return byOwner;
+}
+
+function typeKind(row, baseName, methodNames) {
+  if (row.Flags & 0x20) return 'interface';
+  if (baseName === 'System.Enum') return 'enum';
+  if (baseName === 'System.MulticastDelegate') return 'delegate';
+  const isValueType = baseName === 'System.ValueType';
+  // Records are only recognisable by their compiler-generated members
+  if (!isValueType && methodNames.has('<Clone>$')) return 'record';
+  if (isValueType && methodNames.has('PrintMembers') && methodNames.has('op_Equality')) return 'record';
+  return isValueType ? 'struct' : 'class';
+}
+
+export function wildcardToRegExp(pattern) {
+  const body = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${body}$`, 'i');
+}
+
+// One descriptor per TypeDef (excluding <Module>), in metadata order.
+// Filters: `namespace` prefix, `namePattern` wildcard (* and ?) on the simple or full name,
+// `publicOnly` (public all the way up the nesting chain) and `includeNested`.
+export function listTypesFromMetadata(md, { namespace = null, namePattern = null, publicOnly = false, includeNested = true } = {}) {
+  const parents = nestedTypeParents(md);
+  const genericParams = genericParamsByOwner(md);
+  const maps = memberMaps(md);
+  const nameRe = namePattern ? wildcardToRegExp(namePattern) : null;
+  const interfaces = new Map();
+  for (const impl of md.tables.InterfaceImpl) {
+    if (!interfaces.has(impl.Class)) interfaces.set(impl.Class, []);
+    interfaces.get(impl.Class).push(impl.Interface);
+  }
+  const isPublic = index => {
+    for (let cur = index; cur; cur = parents.get(cur)) {
+      const vis = md.tables.TypeDef[cur - 1].Flags & 0x7;
+      if (vis !== 1 && vis !== 2) return false;
+    }
+    return true;
+  };
+  const types = [];
+  md.tables.TypeDef.forEach((row, i) => {
+    const index = i + 1;
+    if (index === 1 && row.TypeName === '<Module>') return;
+    const parentIndex = parents.get(index) || null;
+    if (parentIndex && !includeNested) return;
+    const typeNamespace = parentIndex ? md.tables.TypeDef[rootTypeIndex(parents, index) - 1].TypeNamespace : row.TypeNamespace;
+    if (namespace && typeNamespace !== namespace && !typeNamespace.startsWith(namespace + '.')) return;
+    if (publicOnly && !isPublic(index)) return;
+    const fullName = typeDefFullName(md, index, parents);
+    if (nameRe && !nameRe.test(stripArity(row.TypeName)) && !nameRe.test(row.TypeName) && !nameRe.test(fullName)) return;
+
+    // Nested types redeclare their parents' generic parameters first
+    const typeParams = (genericParams.get(`TypeDef:${index}`) || []).slice();
+    const inherited = parentIndex ? (genericParams.get(`TypeDef:${parentIndex}`) || []).length : 0;
+    const ownParamCount = Math.max(0, typeParams.length - inherited);
+    const context = { typeParams, parents };
+    const baseName = row.Extends.index ? typeReferenceFullName(md, row.Extends, parents) : null;
+    const ranges = typeDefMemberRanges(md, index, maps);
+    const methodNames = new Set();
+    for (let m = ranges.methods.start; m < ranges.methods.end; m++) methodNames.add(md.tables.MethodDef[m - 1].Name);
+    const kind = typeKind(row, baseName, methodNames);
+    const impliedBase = ['System.Object', 'System.ValueType', 'System.Enum', 'System.MulticastDelegate'].includes(baseName);
+    const isAbstract = Boolean(row.Flags & 0x80);
+    const isSealed = Boolean(row.Flags & 0x100);
+    types.push({
+      fullName,
+      namespace: typeNamespace,
+      name: stripArity(row.TypeName),
+      genericArity: ownParamCount,
+      genericParameters: typeParams.slice(inherited),
+      kind,
+      accessibility: VISIBILITY[row.Flags & 0x7],
+      isAbstract: isAbstract && !isSealed && kind !== 'interface',
+      isSealed: isSealed && !isAbstract && (kind === 'class' || kind === 'record'),
+      isStatic: isAbstract && isSealed,
+      isValueType: baseName === 'System.ValueType' || baseName === 'System.Enum',
+      baseType: !row.Extends.index || impliedBase ? null : typeReferenceName(md, row.Extends, context),
+      interfaces: (interfaces.get(index) || []).map(ref => typeReferenceName(md, ref, context)),
+      declaringType: parentIndex ? typeDefFullName(md, parentIndex, parents) : null,
+      memberCounts: {
+        methods: ranges.methods.end - ranges.methods.start,
+        fields: ranges.fields.end - ranges.fields.start,
+        properties: ranges.properties.end - ranges.properties.start,
+        events: ranges.events.end - ranges.events.start,
+      },
+    });
+  });
+  return types;
+}
+
+function rootTypeIndex(parents, index) {
+  let cur = index;
+  while (parents.has(cur)) cur = parents.get(cur);
+  return cur;
+}
+
+// Owning TypeDef (1-based) for every MethodDef and Field row.
+export function memberOwners(md) {
+  const { TypeDef, MethodDef, Field } = md.tables;
+  const methodOwner = new Uint32Array(MethodDef.length + 1);
+  const fieldOwner = new Uint32Array(Field.length + 1);
+  TypeDef.forEach((row, i) => {
+    const methods = rowRange(TypeDef, i, 'MethodList', MethodDef.length);
+    for (let m = methods.start; m < methods.end; m++) methodOwner[m] = i + 1;
+    const fields = rowRange(TypeDef, i, 'FieldList', Field.length);
+    for (let f = fields.start; f < fields.end; f++) fieldOwner[f] = i + 1;
+  });
+  return { methodOwner, fieldOwner };
+}
+
+// Generic type definition (or element type) behind a TypeSpec, in metadata form; null for
+// generic parameters and primitives.
+export function typeSpecDefinitionName(md, specIndex, parents) {
+  const spec = md.tables.TypeSpec[specIndex - 1];
+  if (!spec) return null;
+  const reader = new SignatureReader(md.heaps.blob(spec.Signature));
+  for (;;) {
+    const et = reader.byte();
+    if (et === 0x15) {
+      reader.byte();
+      return typeReferenceFullName(md, reader.typeDefOrRef(), parents);
+    }
+    if (et === 0x11 || et === 0x12) return typeReferenceFullName(md, reader.typeDefOrRef(), parents);
+    if (et === 0x0f || et === 0x10 || et === 0x14 || et === 0x1d || et === 0x45) continue;
+    if (et === 0x1f || et === 0x20) {
+      reader.typeDefOrRef();
+      continue;
+    }
+    return null;
+  }
+}
+
+// IL code bytes of a method body (II.25.4), or null for abstract/extern methods.
+export function readMethodBody(md, rva) {
+  if (!rva) return null;
+  const off = rvaToOffset(md.pe, rva);
+  if (off < 0) return null;
+  const buf = md.buffer;
+  const first = buf[off];
+  if ((first & 0x3) === 0x2) return buf.subarray(off + 1, off + 1 + (first >> 2));
+  if ((first & 0x3) === 0x3) {
+    const headerSize = (buf[off + 1] >> 4) * 4;
+    const codeSize = buf.readUInt32LE(off + 4);
+    return buf.subarray(off + headerSize, off + headerSize + codeSize);
+  }
+  return null;
+}
+
+function formatVersion(row) {
+  return `${row.MajorVersion}.${row.MinorVersion}.${row.BuildNumber}.${row.RevisionNumber}`;
+}
+
+// Public key token: last 8 bytes of the SHA-1 of the key, reversed.
+function publicKeyToken(key) {
+  if (!key.length) return null;
+  return Buffer.from(createHash('sha1').update(key).digest().subarray(-8)).reverse().toString('hex');
+}
+
+// Name, version, culture and public key token of the assembly itself; null for a bare module.
+export function assemblyIdentity(md) {
+  const row = md.tables.Assembly[0];
+  if (!row) return null;
+  return {
+    name: row.Name,
+    version: formatVersion(row),
+    culture: row.Culture || null,
+    publicKeyToken: publicKeyToken(md.heaps.blob(row.PublicKey)),
+  };
+}
+
+// AssemblyRef rows in metadata order.
+export function assemblyReferences(md) {
+  return md.tables.AssemblyRef.map(row => {
+    const key = md.heaps.blob(row.PublicKeyOrToken);
+    return {
+      name: row.Name,
+      version: formatVersion(row),
+      culture: row.Culture || null,
+      // Flag 0x1: the blob is the full public key rather than its token
+      publicKeyToken: row.Flags & 0x1 ? publicKeyToken(key) : key.length ? key.toString('hex') : null,
+    };
+  });
+}
+
+// Parameter element types of an attribute constructor signature (II.23.3). Enums are read as
+// int32 (0x55), the only underlying type we can assume without resolving the enum.
+function attributeParameterTypes(md, blob) {
+  const reader = new SignatureReader(blob);
+  reader.byte();
+  const count = reader.uint();
+  reader.byte(); // void return
+  const readType = () => {
+    const et = reader.byte();
+    if ((et >= 0x02 && et <= 0x0e) || et === 0x1c) return et === 0x1c ? 0x51 : et;
+    if (et === 0x1d) return { array: readType() };
+    if (et === 0x11) {
+      reader.typeDefOrRef();
+      return 0x55;
+    }
+    if (et === 0x12) return typeReferenceFullName(md, reader.typeDefOrRef()) === 'System.Type' ? 0x50 : null;
+    return null;
+  };
+  const types = [];
+  for (let i = 0; i < count; i++) types.push(readType());
+  return types;
+}
+
+function readSerString(reader) {
+  if (reader.peek() === 0xff) {
+    reader.pos++;
+    return null;
+  }
+  const length = reader.uint();
+  const value = reader.blob.toString('utf8', reader.pos, reader.pos + length);
+  reader.pos += length;
+  return value;
+}
+
+function readAttributeValue(reader, type) {
+  const blob = reader.blob;
+  const at = reader.pos;
+  if (type && typeof type === 'object') {
+    const count = blob.readUInt32LE(at);
+    reader.pos += 4;
+    if (count === 0xffffffff) return null;
+    const values = [];
+    for (let i = 0; i < count; i++) values.push(readAttributeValue(reader, type.array));
+    return values;
+  }
+  const sizes = { 0x02: 1, 0x03: 2, 0x04: 1, 0x05: 1, 0x06: 2, 0x07: 2, 0x08: 4, 0x09: 4, 0x0a: 8, 0x0b: 8, 0x0c: 4, 0x0d: 8, 0x55: 4 };
+  reader.pos += sizes[type] || 0;
+  switch (type) {
+    case 0x02: return blob[at] !== 0;
+    case 0x03: return String.fromCharCode(blob.readUInt16LE(at));
+    case 0x04: return blob.readInt8(at);
+    case 0x05: return blob[at];
+    case 0x06: return blob.readInt16LE(at);
+    case 0x07: return blob.readUInt16LE(at);
+    case 0x08:
+    case 0x55: return blob.readInt32LE(at);
+    case 0x09: return blob.readUInt32LE(at);
+    case 0x0a: return Number(blob.readBigInt64LE(at));
+    case 0x0b: return Number(blob.readBigUInt64LE(at));
+    case 0x0c: return blob.readFloatLE(at);
+    case 0x0d: return blob.readDoubleLE(at);
+    case 0x0e:
+    case 0x50: return readSerString(reader);
+    case 0x51: return readAttributeValue(reader, readFieldOrPropType(reader));
+    default: throw new MetadataError(`unsupported custom attribute argument type 0x${(type ?? 0).toString(16)}`);
+  }
+}
+
+function readFieldOrPropType(reader) {
+  const et = reader.byte();
+  if (et === 0x1d) return { array: readFieldOrPropType(reader) };
+  if (et === 0x55) readSerString(reader);
+  return et;
+}
+
+// Attribute type (Namespace.Name) and decoded arguments of every custom attribute on `parent`
+// ({ table, index }). Arguments that can't be decoded without resolving other assemblies (enums
+// of unknown size, ...) end the argument list early.
+export function customAttributes(md, parent) {
+  const attributes = [];
+  let owners = null;
+  for (const row of md.tables.CustomAttribute) {
+    if (row.Parent.table !== parent.table || row.Parent.index !== parent.index) continue;
+    let type = null;
+    let signature = 0;
+    if (row.Type.table === 'MemberRef') {
+      const ctor = md.tables.MemberRef[row.Type.index - 1];
+      type = ctor.Class.table === 'TypeDef' || ctor.Class.table === 'TypeRef' ? typeReferenceFullName(md, ctor.Class) : null;
+      signature = ctor.Signature;
+    } else if (row.Type.table === 'MethodDef') {
+      owners = owners || memberOwners(md);
+      type = typeDefFullName(md, owners.methodOwner[row.Type.index]);
+      signature = md.tables.MethodDef[row.Type.index - 1].Signature;
+    }
+    const attribute = { type, fixedArguments: [], namedArguments: {} };
+    const reader = new SignatureReader(md.heaps.blob(row.Value));
+    try {
+      if (reader.blob.length >= 2 && reader.blob.readUInt16LE(0) === 0x0001) {
+        reader.pos = 2;
+        for (const paramType of attributeParameterTypes(md, md.heaps.blob(signature))) {
+          attribute.fixedArguments.push(readAttributeValue(reader, paramType));
+        }
+        const namedCount = reader.blob.readUInt16LE(reader.pos);
+        reader.pos += 2;
+        for (let i = 0; i < namedCount; i++) {
+          reader.byte(); // FIELD or PROPERTY
+          const valueType = readFieldOrPropType(reader);
+          const name = readSerString(reader);
+          attribute.namedArguments[name] = readAttributeValue(reader, valueType);
+        }
+      }
+    } catch {
+      // Keep what was decoded before the first unsupported argument
+    }
+    attributes.push(attribute);
+  }
+  return attributes;
+}
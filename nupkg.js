@@ -0,0 +1,203 @@
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { inflateRawSync } from 'zlib';
+import { CACHE_ROOT } from './constants.js';
+import { hashFile } from './utils.js';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EXTRACTED_EXTENSIONS = ['.dll', '.exe', '.pdb', '.xml'];
+
+// Extracted package assembly path -> { packagePath, entry }
+const origins = new Map();
+
+export function isPackagePath(p) {
+  return typeof p === 'string' && p.toLowerCase().endsWith('.nupkg');
+}
+
+function decodeEntryName(raw) {
+  // OPC packages percent-encode part names (e.g. %2B for '+')
+  try {
+    return decodeURIComponent(raw);
+  } catch {
+    return raw;
+  }
+}
+
+// Lists the entries of a zip file from its central directory.
+export function readZipEntries(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a zip archive (end of central directory not found)');
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error('Zip64 archives are not supported');
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > eocd || buf.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('Corrupt zip central directory');
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const extraLength = buf.readUInt16LE(offset + 30);
+    const commentLength = buf.readUInt16LE(offset + 32);
+    if (offset + 46 + nameLength > eocd) throw new Error('Corrupt zip central directory');
+    entries.push({
+      name: decodeEntryName(buf.toString('utf8', offset + 46, offset + 46 + nameLength)),
+      method: buf.readUInt16LE(offset + 10),
+      compressedSize: buf.readUInt32LE(offset + 20),
+      size: buf.readUInt32LE(offset + 24),
+      localOffset: buf.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// Reads one entry's data. Offsets and sizes come from the archive, so every range is checked
+// against the buffer and inflating stops at the declared size (no zip bombs).
+export function readZipEntry(buf, entry) {
+  const at = entry.localOffset;
+  if (at + 30 > buf.length || buf.readUInt32LE(at) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry ${entry.name}`);
+  const start = at + 30 + buf.readUInt16LE(at + 26) + buf.readUInt16LE(at + 28);
+  if (start + entry.compressedSize > buf.length) throw new Error(`Corrupt zip entry ${entry.name} (data out of range)`);
+  const data = buf.subarray(start, start + entry.compressedSize);
+  let out;
+  if (entry.method === 0) out = data;
+  else if (entry.method === 8) {
+    try {
+      out = entry.size === 0 ? Buffer.alloc(0) : inflateRawSync(data, { maxOutputLength: entry.size });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`Zip entry ${entry.name} inflates beyond its declared size of ${entry.size} bytes`);
+      throw new Error(`Corrupt zip entry ${entry.name}: ${err.message}`);
+    }
+  } else throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+  if (out.length !== entry.size) throw new Error(`Corrupt zip entry ${entry.name} (size mismatch)`);
+  return out;
+}
+
+// Entry names are written to disk under CACHE_ROOT, so only plain relative '/'-separated paths are accepted.
+function isSafeEntryName(name) {
+  if (!name || name.includes('\\') || name.includes('\0') || name.startsWith('/') || /^[A-Za-z]:/.test(name)) return false;
+  return !name.split('/').some(part => part === '..' || part === '.');
+}
+
+function parseNuspec(xml) {
+  const metadata = /<metadata[^>]*>([\s\S]*?)<\/metadata>/.exec(xml)?.[1] || xml;
+  const field = tag => new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`).exec(metadata)?.[1] || null;
+  return { id: field('id'), version: field('version') };
+}
+
+// Orders TFMs newest first: net5+ > netcoreapp > netstandard > .NET Framework > anything else.
+// Platform-specific TFMs (net8.0-windows) rank just below their plain counterpart.
+export function frameworkRank(tfm) {
+  const lower = tfm.toLowerCase();
+  let m;
+  if ((m = /^net(\d+)\.(\d+)(-.+)?$/.exec(lower))) return 4e6 + Number(m[1]) * 1000 + Number(m[2]) * 10 + (m[3] ? 0 : 1);
+  if ((m = /^netcoreapp(\d+)\.(\d+)$/.exec(lower))) return 3e6 + Number(m[1]) * 1000 + Number(m[2]) * 10;
+  if ((m = /^netstandard(\d+)\.(\d+)$/.exec(lower))) return 2e6 + Number(m[1]) * 1000 + Number(m[2]) * 10;
+  if ((m = /^net(\d)(\d)(\d)?$/.exec(lower))) return 1e6 + Number(m[1]) * 1000 + Number(m[2]) * 100 + Number(m[3] || 0) * 10;
+  return 0;
+}
+
+// Reads package identity and the assemblies available per lib/ and ref/ framework folder.
+export async function readPackage(packagePath) {
+  const buf = await fs.readFile(packagePath);
+  const entries = readZipEntries(buf);
+  const nuspecEntry = entries.find(e => !e.name.includes('/') && e.name.toLowerCase().endsWith('.nuspec'));
+  const { id, version } = nuspecEntry ? parseNuspec(readZipEntry(buf, nuspecEntry).toString('utf8')) : { id: null, version: null };
+  const folders = new Map();
+  for (const entry of entries) {
+    if (!isSafeEntryName(entry.name)) continue;
+    const parts = entry.name.split('/');
+    const kind = parts[0].toLowerCase();
+    if ((kind !== 'lib' && kind !== 'ref') || !/\.(dll|exe)$/i.test(entry.name)) continue;
+    // lib/Foo.dll (no TFM folder) or lib/<tfm>/Foo.dll; deeper entries are satellite assemblies
+    if (parts.length > 3) continue;
+    const framework = parts.length === 3 ? parts[1] : '';
+    const folder = parts.length === 3 ? `${parts[0]}/${parts[1]}` : parts[0];
+    if (!folders.has(folder)) folders.set(folder, { folder, kind, framework, assemblies: [] });
+    folders.get(folder).assemblies.push(parts[parts.length - 1]);
+  }
+  const frameworks = [...folders.values()].sort((a, b) =>
+    (a.kind === b.kind ? 0 : a.kind === 'lib' ? -1 : 1) || frameworkRank(b.framework) - frameworkRank(a.framework)
+  );
+  return { id: id || path.basename(packagePath, path.extname(packagePath)), version, frameworks, buf, entries };
+}
+
+// `framework` may be a TFM (net6.0, searched in lib/ then ref/) or a folder (ref/net6.0).
+function selectFramework(pkg, framework, packagePath) {
+  if (pkg.frameworks.length === 0) throw new Error(`Package ${path.basename(packagePath)} contains no assemblies under lib/ or ref/`);
+  if (!framework) return pkg.frameworks[0];
+  const wanted = framework.toLowerCase().replace(/\\/g, '/').replace(/\/$/, '');
+  const selected = pkg.frameworks.find(f => f.folder.toLowerCase() === wanted) || pkg.frameworks.find(f => f.framework.toLowerCase() === wanted);
+  if (!selected) {
+    throw new Error(`Framework ${framework} not found in ${path.basename(packagePath)}. Available: ${pkg.frameworks.map(f => f.folder).join(', ')}`);
+  }
+  return selected;
+}
+
+// Extracts the assemblies (plus pdb/xml siblings) of one framework folder under CACHE_ROOT.
+export async function extractPackageAssemblies(packagePath, { framework = null } = {}) {
+  const pkg = await readPackage(packagePath);
+  const selected = selectFramework(pkg, framework, packagePath);
+  const targetDir = path.join(CACHE_ROOT, 'nupkg', await hashFile(packagePath), ...selected.folder.split('/'));
+  await fs.mkdir(targetDir, { recursive: true });
+  const prefix = `${selected.folder.toLowerCase()}/`;
+  const assemblies = [];
+  for (const entry of pkg.entries) {
+    const lower = entry.name.toLowerCase();
+    if (!lower.startsWith(prefix) || lower.slice(prefix.length).includes('/')) continue;
+    if (!EXTRACTED_EXTENSIONS.includes(path.extname(lower))) continue;
+    if (!isSafeEntryName(entry.name)) throw new Error(`Unsafe zip entry name ${JSON.stringify(entry.name)} in ${path.basename(packagePath)}`);
+    const target = path.join(targetDir, entry.name.slice(prefix.length));
+    try {
+      const stat = await fs.stat(target);
+      if (stat.size !== entry.size) throw new Error('stale');
+    } catch {
+      await fs.writeFile(target, readZipEntry(pkg.buf, entry));
+    }
+    if (/\.(dll|exe)$/.test(lower)) {
+      assemblies.push(target);
+      origins.set(target, { packagePath, entry: entry.name });
+    }
+  }
+  const info = {
+    id: pkg.id,
+    version: pkg.version,
+    path: packagePath,
+    framework: selected.framework || null,
+    folder: selected.folder,
+    frameworks: pkg.frameworks.map(f => f.folder),
+  };
+  return { package: info, assemblies: assemblies.sort() };
+}
+
+// Resolves a package to the single assembly an assembly-level tool should work on: the one named
+// after the package id, or the only one in the folder.
+export async function openPackageAssembly(packagePath, { framework = null } = {}) {
+  const { package: info, assemblies } = await extractPackageAssemblies(packagePath, { framework });
+  const byId = assemblies.find(a => path.basename(a, path.extname(a)).toLowerCase() === (info.id || '').toLowerCase());
+  const assemblyPath = byId || (assemblies.length === 1 ? assemblies[0] : null);
+  if (!assemblyPath) {
+    throw new Error(`Package ${info.id} has several assemblies in ${info.folder} (${assemblies.map(a => path.basename(a)).join(', ')}); extract it and pass one assembly`);
+  }
+  return { package: { ...info, assembly: origins.get(assemblyPath).entry }, assemblyPath };
+}
+
+// Path to show for an assembly found under rootDir; package members appear as <package>/<entry>.
+export function assemblyDisplayPath(rootDir, asmPath) {
+  const origin = origins.get(asmPath);
+  if (origin) {
+    const pkg = rootDir && rootDir !== origin.packagePath ? path.relative(rootDir, origin.packagePath) : path.basename(origin.packagePath);
+    return `${pkg.replace(/\\/g, '/')}/${origin.entry}`;
+  }
+  return rootDir ? path.relative(rootDir, asmPath).replace(/\\/g, '/') : path.basename(asmPath);
+}
+
+export function packageEntryOf(asmPath) {
+  return origins.get(asmPath) || null;
+}
@@ -0,0 +1,88 @@
+import { splitSourceAtTypes } from './decompiler.js';
+import { sha256 } from './utils.js';
+import { PAGE_BYTES } from './constants.js';
+
+// Cursors are opaque to clients: base64url JSON of { scope, offset, pageSize }. `scope` ties a
+// cursor to the call that produced it so it can't be replayed against different arguments.
+export function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state), 'utf8').toString('base64url');
+}
+
+export function decodeCursor(cursor, scope) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+  if (!state || !Number.isInteger(state.offset) || state.offset < 0) throw new Error('Invalid cursor');
+  if (state.scope !== scope) throw new Error('Cursor does not belong to this request; repeat the call with the same arguments');
+  return state;
+}
+
+export function pagingScope(tool, args) {
+  const { cursor, pageSize, ...rest } = args;
+  return sha256(JSON.stringify([tool, rest])).slice(0, 16);
+}
+
+function splitLines(text, maxBytes) {
+  const pieces = [];
+  let current = '';
+  for (const line of text.split(/(?<=\n)/)) {
+    if (current && current.length + line.length > maxBytes) {
+      pieces.push(current);
+      current = '';
+    }
+    current += line;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Breaks chunks larger than a page at type boundaries, then at line boundaries. Pieces of one
+// chunk are tagged with part/parts.
+function splitOversized(chunks, maxBytes) {
+  const out = [];
+  for (const chunk of chunks) {
+    if (chunk.text.length <= maxBytes) {
+      out.push(chunk);
+      continue;
+    }
+    const pieces = [];
+    for (const slice of splitSourceAtTypes(chunk.text)) {
+      for (const piece of slice.length > maxBytes ? splitLines(slice, maxBytes) : [slice]) {
+        const last = pieces.length - 1;
+        if (last >= 0 && pieces[last].length + piece.length <= maxBytes) pieces[last] += piece;
+        else pieces.push(piece);
+      }
+    }
+    pieces.forEach((text, i) => out.push({ ...chunk, text, part: i + 1, parts: pieces.length }));
+  }
+  return out;
+}
+
+// Returns the page of `chunks` ({ text, ... }) that starts at the cursor, holding as many whole
+// chunks as fit in pageSize characters (at least one).
+export function paginate(chunks, { cursor = null, pageSize = null, scope }) {
+  const state = cursor ? decodeCursor(cursor, scope) : { scope, offset: 0, pageSize: pageSize > 0 ? pageSize : PAGE_BYTES };
+  const all = splitOversized(chunks, state.pageSize);
+  if (state.offset > all.length) throw new Error('Invalid cursor');
+  let end = state.offset;
+  let bytes = 0;
+  while (end < all.length && (end === state.offset || bytes + all[end].text.length <= state.pageSize)) {
+    bytes += all[end].text.length;
+    end++;
+  }
+  return {
+    items: all.slice(state.offset, end),
+    nextCursor: end < all.length ? encodeCursor({ ...state, offset: end }) : null,
+    page: { offset: state.offset, count: end - state.offset, total: all.length, bytes },
+  };
+}
+
+export function formatPageNote({ page, nextCursor }) {
+  const range = `items ${page.offset + 1}-${page.offset + page.count} of ${page.total}`;
+  return nextCursor
+    ? `[Page holds ${range}. Call again with the same arguments and cursor "${nextCursor}" for the next page.]`
+    : `[Last page: ${range}.]`;
+}
@@ -0,0 +1,271 @@
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { MetadataError, readAssemblyMetadata, assemblyIdentity, assemblyReferences, customAttributes } from './metadata.js';
+
+// Project settings for a decompiled assembly: target framework, identity and references, so the
+// generated csproj has a realistic chance of building. Everything is read from metadata and the
+// files next to the assembly (*.deps.json, *.runtimeconfig.json, sibling DLLs).
+
+const DEFAULT_TARGET_FRAMEWORK = 'net8.0';
+
+// Assemblies that ship with every target framework and never need an explicit reference.
+const IMPLICIT_FRAMEWORK_ASSEMBLIES = new Set(['mscorlib', 'netstandard', 'System', 'System.Core', 'System.Private.CoreLib']);
+
+// net472, netstandard2.0, netcoreapp3.1, net8.0 (or net8.0-windows7.0) for a FrameworkName
+// such as ".NETCoreApp,Version=v8.0"; null when it isn't a framework we know.
+export function frameworkMoniker(frameworkName, platform = null) {
+  const m = /^\s*(\.NET\w+)\s*,\s*Version\s*=\s*v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/i.exec(frameworkName || '');
+  if (!m) return null;
+  const [, family, major, minor = '0', patch = ''] = m;
+  switch (family.toLowerCase()) {
+    case '.netcoreapp': {
+      if (Number(major) < 5) return `netcoreapp${major}.${minor}`;
+      const suffix = platform ? `-${platform.toLowerCase()}` : '';
+      return `net${major}.${minor}${suffix}`;
+    }
+    case '.netstandard':
+      return `netstandard${major}.${minor}`;
+    case '.netframework':
+      return `net${major}${minor}${patch}`;
+    default:
+      return null;
+  }
+}
+
+// Best guess from the core library the assembly was compiled against.
+function frameworkFromReferences(references, runtimeVersion) {
+  const byName = new Map(references.map(r => [r.name, r]));
+  const netstandard = byName.get('netstandard');
+  if (netstandard) return netstandard.version.startsWith('2.1.') ? 'netstandard2.1' : 'netstandard2.0';
+  const runtime = byName.get('System.Runtime');
+  if (runtime) {
+    const major = Number(runtime.version.split('.')[0]);
+    if (major >= 5) return `net${major}.0`;
+  }
+  if (byName.has('mscorlib')) return /^v2\./.test(runtimeVersion || '') ? 'net35' : 'net48';
+  return null;
+}
+
+// C# LangVersion for ilspycmd's language version names (CSharp10_0 -> 10.0, Latest -> latest).
+export function msbuildLanguageVersion(version) {
+  if (!version) return null;
+  if (/^(latest|preview)$/i.test(version)) return version.toLowerCase();
+  const m = /^CSharp(\d+)(?:_(\d+))?$/.exec(version);
+  return m ? (m[2] === undefined ? m[1] : `${m[1]}.${m[2]}`) : null;
+}
+
+// Assemblies provided by the target framework (BCL, Windows Desktop) rather than an app or package.
+export function isFrameworkAssembly(name) {
+  return IMPLICIT_FRAMEWORK_ASSEMBLIES.has(name) || /^(System|Microsoft\.Win32|Microsoft\.VisualBasic|Microsoft\.CSharp|WindowsBase|PresentationCore|PresentationFramework)(\.|$)/.test(name);
+}
+
+// Shared frameworks other than the base one, by the assembly name prefix they provide.
+const SHARED_FRAMEWORKS = [
+  { prefix: 'Microsoft.AspNetCore.', framework: 'Microsoft.AspNetCore.App' },
+  { prefix: 'PresentationCore', framework: 'Microsoft.WindowsDesktop.App' },
+  { prefix: 'PresentationFramework', framework: 'Microsoft.WindowsDesktop.App' },
+  { prefix: 'WindowsBase', framework: 'Microsoft.WindowsDesktop.App' },
+  { prefix: 'System.Windows.Forms', framework: 'Microsoft.WindowsDesktop.App' },
+];
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Runtime packs (Microsoft.NETCore.App.Runtime.linux-x64, ...) are how a shared framework or a
+// self-contained app lists the framework itself; their assemblies are never package references.
+function isRuntimePack(name, type) {
+  return type === 'runtimepack' || /^(runtimepack\.)?Microsoft\.[\w.]+\.App\.Runtime\./i.test(name);
+}
+
+// Assembly file name (lower case, no extension) -> { type, name, version } of the deps.json
+// library providing it. The assembly's own deps.json wins over other apps' in the same folder.
+async function readDependencyAssets(dir, baseName) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir);
+  } catch {}
+  const own = `${baseName}.deps.json`.toLowerCase();
+  const files = entries.filter(f => f.toLowerCase().endsWith('.deps.json')).sort((a, b) => (b.toLowerCase() === own) - (a.toLowerCase() === own) || a.localeCompare(b));
+  const assets = new Map();
+  let runtimeTarget = null;
+  for (const file of files) {
+    const json = await readJson(path.join(dir, file));
+    if (!json || !json.targets) continue;
+    const targetName = json.runtimeTarget?.name;
+    if (!runtimeTarget && targetName && file.toLowerCase() === own) runtimeTarget = targetName.split('/')[0];
+    const target = json.targets[targetName] || Object.values(json.targets)[0] || {};
+    for (const [key, library] of Object.entries(target)) {
+      const [name, version] = key.split('/');
+      const type = json.libraries?.[key]?.type || null;
+      if (isRuntimePack(name, type)) continue;
+      for (const asset of [...Object.keys(library.runtime || {}), ...Object.keys(library.compile || {})]) {
+        if (!/\.(dll|exe)$/i.test(asset)) continue;
+        const assetName = path.posix.basename(asset).replace(/\.(dll|exe)$/i, '').toLowerCase();
+        if (!assets.has(assetName)) assets.set(assetName, { type, name, version });
+      }
+    }
+  }
+  return { assets, runtimeTarget };
+}
+
+async function findSibling(dir, name) {
+  for (const ext of ['.dll', '.exe']) {
+    const candidate = path.join(dir, `${name}${ext}`);
+    try {
+      if ((await fs.stat(candidate)).isFile()) return candidate;
+    } catch {}
+  }
+  return null;
+}
+
+// Everything the csproj needs: { assemblyName, version, assemblyVersion, targetFramework,
+// targetFrameworkSource, outputType, allowUnsafeBlocks, frameworkReferences, references }, where
+// each reference is resolved to a 'package', a sibling 'file', the 'framework' or 'unresolved'.
+export async function describeProject(assemblyPath) {
+  const dir = path.dirname(assemblyPath);
+  const baseName = path.basename(assemblyPath).replace(/\.(dll|exe)$/i, '');
+  let md = null;
+  try {
+    md = await readAssemblyMetadata(assemblyPath);
+  } catch (err) {
+    if (!(err instanceof MetadataError)) throw err;
+  }
+  const identity = md ? assemblyIdentity(md) : null;
+  const attributes = md && identity ? customAttributes(md, { table: 'Assembly', index: 1 }) : [];
+  const moduleAttributes = md ? customAttributes(md, { table: 'Module', index: 1 }) : [];
+  const attributeArgument = type => attributes.find(a => a.type === type)?.fixedArguments[0] ?? null;
+  const references = md ? assemblyReferences(md) : [];
+  const { assets, runtimeTarget } = await readDependencyAssets(dir, baseName);
+
+  let targetFramework = frameworkMoniker(attributeArgument('System.Runtime.Versioning.TargetFrameworkAttribute'), attributeArgument('System.Runtime.Versioning.TargetPlatformAttribute'));
+  let targetFrameworkSource = 'TargetFrameworkAttribute';
+  if (!targetFramework && runtimeTarget) {
+    targetFramework = frameworkMoniker(runtimeTarget);
+    targetFrameworkSource = 'deps.json';
+  }
+  if (!targetFramework) {
+    targetFramework = frameworkFromReferences(references, md?.runtimeVersion);
+    targetFrameworkSource = 'references';
+  }
+  if (!targetFramework) {
+    targetFramework = DEFAULT_TARGET_FRAMEWORK;
+    targetFrameworkSource = 'default';
+  }
+  const netFramework = /^net\d+$/.test(targetFramework);
+
+  const frameworkReferences = new Set();
+  const runtimeConfig = await readJson(path.join(dir, `${baseName}.runtimeconfig.json`));
+  const options = runtimeConfig?.runtimeOptions || {};
+  for (const fw of [options.framework, ...(options.frameworks || [])]) {
+    if (fw?.name && fw.name !== 'Microsoft.NETCore.App') frameworkReferences.add(fw.name);
+  }
+
+  const resolved = [];
+  for (const ref of references) {
+    const entry = { name: ref.name, version: ref.version };
+    const asset = assets.get(ref.name.toLowerCase());
+    const shared = netFramework ? null : SHARED_FRAMEWORKS.find(f => ref.name.startsWith(f.prefix));
+    if (shared) frameworkReferences.add(shared.framework);
+    if (asset && asset.type === 'package') {
+      resolved.push({ ...entry, resolution: 'package', package: asset.name, packageVersion: asset.version });
+      continue;
+    }
+    // Microsoft.Extensions.* are packages unless an ASP.NET Core app gets them from its framework
+    const extension = ref.name.startsWith('Microsoft.Extensions.');
+    if (shared || (isFrameworkAssembly(ref.name) && !extension) || (extension && frameworkReferences.has('Microsoft.AspNetCore.App'))) {
+      resolved.push({ ...entry, resolution: 'framework' });
+      continue;
+    }
+    const sibling = await findSibling(dir, ref.name);
+    resolved.push(sibling ? { ...entry, resolution: 'file', path: sibling } : { ...entry, resolution: 'unresolved' });
+  }
+
+  const informationalVersion = attributeArgument('System.Reflection.AssemblyInformationalVersionAttribute');
+  const isExe = md && md.cli.entryPointToken !== 0 && !(md.pe.characteristics & 0x2000);
+  return {
+    assemblyName: identity?.name || baseName,
+    version: informationalVersion ? informationalVersion.split('+')[0] : identity?.version || null,
+    assemblyVersion: identity?.version || null,
+    targetFramework,
+    targetFrameworkSource,
+    outputType: isExe ? 'Exe' : 'Library',
+    // The compiler marks modules built with /unsafe; SkipLocalsInit needs it too
+    allowUnsafeBlocks: moduleAttributes.some(a => a.type === 'System.Security.UnverifiableCodeAttribute' || a.type === 'System.Runtime.CompilerServices.SkipLocalsInitAttribute'),
+    netFramework,
+    frameworkReferences: [...frameworkReferences].sort(),
+    references: resolved,
+  };
+}
+
+function xml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// SDK-style csproj for `project` (from describeProject). Hint paths are relative to outputDir.
+// `hasAssemblyAttributes`: the decompiled code already carries [assembly: ...] attributes, so
+// the SDK must not generate them again. `resources`: embedded resource files written to the
+// project (see projectResourceFiles), embedded again under their original manifest names.
+export function renderCsproj(project, { outputDir, languageVersion = null, hasAssemblyAttributes = false, resources = [] } = {}) {
+  const preserialized = resources.some(r => r.preserialized) && !project.netFramework;
+  const properties = [
+    ['AssemblyName', project.assemblyName],
+    ['TargetFramework', project.targetFramework],
+    ['OutputType', project.outputType],
+    ['Version', project.version],
+    ['AssemblyVersion', project.assemblyVersion],
+    ['LangVersion', msbuildLanguageVersion(languageVersion)],
+    ['AllowUnsafeBlocks', project.allowUnsafeBlocks ? 'true' : null],
+    ['GenerateAssemblyInfo', hasAssemblyAttributes ? 'false' : null],
+    ['GenerateTargetFrameworkAttribute', hasAssemblyAttributes ? 'false' : null],
+    // Decompiled files spell out their usings; implicit ones only add ambiguities
+    ['GenerateResourceUsePreserializedResources', preserialized ? 'true' : null],
+    ['ImplicitUsings', 'disable'],
+    ['Nullable', 'enable'],
+  ];
+  const lines = ['<?xml version="1.0" encoding="utf-8"?>', '<Project Sdk="Microsoft.NET.Sdk">', '  <PropertyGroup>'];
+  for (const [name, value] of properties) {
+    if (value) lines.push(`    <${name}>${xml(value)}</${name}>`);
+  }
+  lines.push('  </PropertyGroup>');
+
+  const items = [];
+  for (const name of project.frameworkReferences) items.push(`    <FrameworkReference Include="${xml(name)}" />`);
+  const packages = new Map();
+  for (const ref of project.references) {
+    if (ref.resolution === 'package') packages.set(ref.package, ref.packageVersion);
+  }
+  // Non-string .resx values are only supported through System.Resources.Extensions on .NET Core
+  if (preserialized && !packages.has('System.Resources.Extensions')) packages.set('System.Resources.Extensions', '8.0.0');
+  for (const [name, version] of [...packages].sort((a, b) => a[0].localeCompare(b[0]))) {
+    items.push(`    <PackageReference Include="${xml(name)}" Version="${xml(version)}" />`);
+  }
+  for (const ref of project.references) {
+    if (ref.resolution === 'file') {
+      const hintPath = path.relative(outputDir, ref.path).replace(/\\/g, '/');
+      items.push(`    <Reference Include="${xml(ref.name)}">`, `      <HintPath>${xml(hintPath)}</HintPath>`, '    </Reference>');
+    } else if (ref.resolution === 'framework' && project.netFramework && !IMPLICIT_FRAMEWORK_ASSEMBLIES.has(ref.name)) {
+      // .NET Framework assemblies beyond the core set are opt-in references
+      items.push(`    <Reference Include="${xml(ref.name)}" />`);
+    }
+  }
+  for (const resource of resources) {
+    // .resx files are already EmbeddedResource items by default; culture-like names must not
+    // turn them into satellite resources
+    const attributes = resource.resx ? `Update="${xml(resource.file)}" WithCulture="false"` : `Include="${xml(resource.file)}"`;
+    items.push(`    <EmbeddedResource ${attributes} LogicalName="${xml(resource.logicalName)}" />`);
+  }
+  const unresolved = project.references.filter(r => r.resolution === 'unresolved');
+  if (items.length) lines.push('  <ItemGroup>', ...items, '  </ItemGroup>');
+  if (unresolved.length) {
+    lines.push('  <!-- Not found next to the assembly or in its deps.json:');
+    for (const ref of unresolved) lines.push(`       ${xml(ref.name)} ${xml(ref.version)}`);
+    lines.push('  -->');
+  }
+  lines.push('</Project>', '');
+  return lines.join('\n');
+}
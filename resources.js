@@ -0,0 +1,70 @@
+import * as path from 'path';
+import { readAssemblyMetadata, listTypesFromMetadata } from './metadata.js';
+
+export const RESOURCE_SCHEME = 'dotnetdc';
+export const RESOURCE_URI_TEMPLATE = `${RESOURCE_SCHEME}://{assembly}/{namespace}/{type}.cs`;
+export const GLOBAL_NAMESPACE_SEGMENT = 'global';
+export const RESOURCE_PAGE_SIZE = 500;
+
+// dotnetdc://<assembly>/<Namespace>/<Type>.cs with each segment percent-encoded;
+// nested types stay inside their top-level type's resource.
+export function buildResourceUri(assemblyName, namespace, typeName) {
+  const ns = namespace || GLOBAL_NAMESPACE_SEGMENT;
+  return `${RESOURCE_SCHEME}://${encodeURIComponent(assemblyName)}/${encodeURIComponent(ns)}/${encodeURIComponent(typeName)}.cs`;
+}
+
+export function parseResourceUri(uri) {
+  const m = new RegExp(`^${RESOURCE_SCHEME}://([^/]+)/([^/]+)/([^/]+)\\.cs$`).exec(uri);
+  if (!m) throw new Error(`Invalid resource URI: ${uri}. Expected ${RESOURCE_URI_TEMPLATE}`);
+  const [assembly, namespace, type] = m.slice(1).map(decodeURIComponent);
+  return { assembly, namespace: namespace === GLOBAL_NAMESPACE_SEGMENT ? '' : namespace, type };
+}
+
+// Assemblies exposed as resources, addressed by file name without extension.
+// Later registrations of the same name replace earlier ones.
+export function createAssemblyRegistry() {
+  const byName = new Map();
+  const listeners = [];
+  return {
+    register(assemblyPath) {
+      const name = path.basename(assemblyPath, path.extname(assemblyPath));
+      if (byName.get(name) === assemblyPath) return false;
+      byName.set(name, assemblyPath);
+      for (const l of listeners) l(name, assemblyPath);
+      return true;
+    },
+    resolve(name) {
+      return byName.get(name) || null;
+    },
+    entries() {
+      return Array.from(byName.entries()).sort(([a], [b]) => a.localeCompare(b));
+    },
+    onChange(listener) {
+      listeners.push(listener);
+    },
+  };
+}
+
+// `permitted(assemblyPath)` may leave out assemblies the caller is not allowed to read.
+export async function listTypeResources(registry, { permitted = null } = {}) {
+  const resources = [];
+  for (const [name, assemblyPath] of registry.entries()) {
+    if (permitted && !(await permitted(assemblyPath))) continue;
+    let types;
+    try {
+      types = listTypesFromMetadata(await readAssemblyMetadata(assemblyPath), { includeNested: false });
+    } catch {
+      continue;
+    }
+    for (const t of types) {
+      const typeName = t.fullName.slice(t.namespace ? t.namespace.length + 1 : 0);
+      resources.push({
+        uri: buildResourceUri(name, t.namespace, typeName),
+        name: `${name}: ${t.fullName}`,
+        description: `${t.accessibility} ${t.kind} ${t.fullName} in ${path.basename(assemblyPath)}`,
+        mimeType: 'text/x-csharp',
+      });
+    }
+  }
+  return resources;
+}
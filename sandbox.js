@@ -0,0 +1,80 @@
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+
+// Allowed read and write roots for the paths tools receive. Paths and roots are compared after
+// resolving `..` and symlinks, so neither a `../` nor a link inside an allowed root leads out of it.
+
+export class PathNotPermittedError extends Error {}
+
+// Tool arguments that name files or directories, by the kind of access the tool needs
+const READ_PATH_ARGS = ['assemblyPath', 'rootDir', 'oldPath', 'newPath'];
+const WRITE_PATH_ARGS = ['outputDir'];
+
+// Canonical absolute path. For paths that don't exist yet (a new outputDir) the longest existing
+// prefix is resolved and the rest appended.
+export async function resolveRealPath(p) {
+  const absolute = path.resolve(p);
+  const missing = [];
+  let cur = absolute;
+  for (;;) {
+    try {
+      return path.join(await fs.realpath(cur), ...missing);
+    } catch (err) {
+      if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') throw err;
+      const parent = path.dirname(cur);
+      if (parent === cur) return absolute;
+      missing.unshift(path.basename(cur));
+      cur = parent;
+    }
+  }
+}
+
+function isWithin(target, root) {
+  const rel = path.relative(root, target);
+  return rel === '' || (rel !== '..' && !rel.startsWith(`..${path.sep}`) && !path.isAbsolute(rel));
+}
+
+// `file://` URIs of MCP client roots as directories; other schemes are ignored.
+export function rootUrisToPaths(roots) {
+  return roots.filter(r => typeof r.uri === 'string' && r.uri.startsWith('file:')).map(r => fileURLToPath(r.uri));
+}
+
+// `read` and `write` are lists of root directories, or null for no restriction. Anything under a
+// write root may also be read, so outputs can be fed back into other tools, and so can anything
+// under the server's own `trusted` directories.
+export function createSandbox({ read = null, write = null, trusted = [] } = {}) {
+  const resolved = new Map();
+  const resolvedRoots = kind => {
+    if (!resolved.has(kind)) {
+      const list = kind === 'read' ? [...read, ...(write || []), ...trusted] : write;
+      resolved.set(kind, Promise.all(list.map(resolveRealPath)));
+    }
+    return resolved.get(kind);
+  };
+
+  async function check(p, kind) {
+    if ((kind === 'read' ? read : write) === null) return;
+    const target = await resolveRealPath(p);
+    const roots = await resolvedRoots(kind);
+    if (roots.some(root => isWithin(target, root))) return;
+    const configured = kind === 'read' ? [...new Set([...read, ...(write || [])])] : write;
+    const allowed = configured.length ? configured.join(', ') : 'none configured';
+    throw new PathNotPermittedError(`path not permitted: ${p} is outside the allowed ${kind} roots (${allowed})`);
+  }
+
+  return {
+    read,
+    write,
+    check,
+    // Checks every path argument of a tool call; throws PathNotPermittedError on the first one outside its roots.
+    async checkArgs(args) {
+      for (const key of READ_PATH_ARGS) {
+        if (typeof args[key] === 'string' && args[key]) await check(args[key], 'read');
+      }
+      for (const key of WRITE_PATH_ARGS) {
+        if (typeof args[key] === 'string' && args[key]) await check(args[key], 'write');
+      }
+    },
+  };
+}
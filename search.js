@@ -0,0 +1,64 @@
+import { outlineSource } from './decompiler.js';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function buildMatcher(query, { regex = false, caseSensitive = false } = {}) {
+  if (!query) throw new Error('query must be a non-empty string');
+  try {
+    return new RegExp(regex ? query : escapeRegExp(query), caseSensitive ? 'g' : 'gi');
+  } catch (err) {
+    throw new Error(`Invalid regular expression: ${err.message}`);
+  }
+}
+
+// Searches decompiled sources ({ assembly, path, content }) line by line. Stops at maxResults
+// and reports whether more matches were left behind.
+export function searchSources(sources, matcher, { maxResults = 200, contextLines = 2 } = {}, state = { matches: [], truncated: false }) {
+  for (const source of sources) {
+    if (state.truncated) break;
+    const lines = source.content.split(/\r?\n/);
+    let scopes = null;
+    for (let i = 0; i < lines.length; i++) {
+      matcher.lastIndex = 0;
+      const m = matcher.exec(lines[i]);
+      if (!m) continue;
+      if (state.matches.length >= maxResults) {
+        state.truncated = true;
+        break;
+      }
+      if (!scopes) scopes = outlineSource(source.content);
+      const scope = scopes[i + 1] || {};
+      const from = Math.max(0, i - contextLines);
+      const to = Math.min(lines.length, i + contextLines + 1);
+      state.matches.push({
+        assembly: source.assembly,
+        namespace: scope.namespace || null,
+        type: scope.type || null,
+        file: source.path,
+        line: i + 1,
+        column: m.index + 1,
+        text: lines[i],
+        before: lines.slice(from, i),
+        after: lines.slice(i + 1, to),
+      });
+    }
+  }
+  return state;
+}
+
+export function formatMatches(matches) {
+  return matches
+    .map(m => {
+      const where = [m.namespace, m.type].filter(Boolean).join('.');
+      const header = `${m.assembly}: ${m.file}:${m.line}${where ? ` (${where})` : ''}`;
+      const body = [
+        ...m.before.map((l, k) => `  ${m.line - m.before.length + k}  ${l}`),
+        `> ${m.line}  ${m.text}`,
+        ...m.after.map((l, k) => `  ${m.line + 1 + k}  ${l}`),
+      ];
+      return `${header}\n${body.join('\n')}`;
+    })
+    .join('\n\n');
+}
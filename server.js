@@ -1,14 +1,28 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  RootsListChangedNotificationSchema,
+} from '@modelcontextprotocol/sdk/types.js';
 import { SERVER_NAME, PACKAGE_VERSION } from './constants.js';
 
 export function createServer() {
   const server = new Server(
     { name: SERVER_NAME, version: PACKAGE_VERSION, description: 'MCP server for decompiling .NET assemblies' },
-    { capabilities: { tools: {} } }
+    { capabilities: { tools: {}, resources: { listChanged: true } } }
   );
-  return { server, StdioServerTransport, CallToolRequestSchema, ListToolsRequestSchema };
+  return {
+    server,
+    StdioServerTransport,
+    CallToolRequestSchema,
+    ListToolsRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ReadResourceRequestSchema,
+    RootsListChangedNotificationSchema,
+  };
 }
-
-
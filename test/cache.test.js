@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+import { createInMemoryCache, createPagedResultCache, createDiskCache } from '../cache.js';
+import { runWithSignal, currentSignal } from '../abort.js';
+
+async function cacheBytes(root) {
+  let total = 0;
+  for (const name of await fs.readdir(root)) total += (await fs.stat(path.join(root, name))).size;
+  return total;
+}
+
+// Resolves after `ms` unless the calling tool's signal aborts first
+function work(value, ms = 50) {
+  const signal = currentSignal();
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(value), ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    });
+  });
+}
+
+test('in-flight results are only shared within one signal', async () => {
+  const { maybeCached } = createInMemoryCache(60 * 1000);
+  let runs = 0;
+  const compute = () => work(++runs);
+  const a = new AbortController();
+  const b = new AbortController();
+  const first = runWithSignal(a.signal, () => maybeCached('t', {}, compute));
+  const sameSignal = runWithSignal(a.signal, () => maybeCached('t', {}, compute));
+  const other = runWithSignal(b.signal, () => maybeCached('t', {}, compute));
+  a.abort(new Error('cancelled'));
+  await assert.rejects(first, /cancelled/);
+  await assert.rejects(sameSignal, /cancelled/);
+  assert.equal(await other, 2);
+  // Finished results are shared with any signal
+  assert.equal(await runWithSignal(new AbortController().signal, () => maybeCached('t', {}, compute)), 2);
+  assert.equal(runs, 2);
+});
+
+test('disk cache computations are only shared within one signal', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'dotnetdc-cache-test-'));
+  try {
+    const cache = createDiskCache({ root, maxBytes: 1000 });
+    const a = new AbortController();
+    const first = runWithSignal(a.signal, () => cache.getOrCompute(['k'], () => work({ n: 1 })));
+    const other = runWithSignal(new AbortController().signal, () => cache.getOrCompute(['k'], () => work({ n: 2 })));
+    a.abort(new Error('cancelled'));
+    await assert.rejects(first, /cancelled/);
+    assert.deepEqual(await other, { n: 2 });
+    assert.deepEqual(await cache.getOrCompute(['k'], () => work({ n: 3 })), { n: 2 });
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test('paged results are reused by cursor calls and recomputed by fresh ones', async () => {
+  const { pagedResult } = createPagedResultCache({ ttlMs: 60 * 1000, maxEntries: 2 });
+  let runs = 0;
+  const compute = async () => ({ run: ++runs });
+  assert.deepEqual(await pagedResult('a', { fresh: true }, compute), { run: 1 });
+  assert.deepEqual(await pagedResult('a', { fresh: false }, compute), { run: 1 });
+  assert.deepEqual(await pagedResult('a', { fresh: true }, compute), { run: 2 });
+  assert.deepEqual(await pagedResult('a', { fresh: false }, compute), { run: 2 });
+});
+
+test('paged results keep only the most recently used scopes', async () => {
+  const { pagedResult } = createPagedResultCache({ ttlMs: 60 * 1000, maxEntries: 2 });
+  let runs = 0;
+  const compute = async () => ++runs;
+  await pagedResult('a', { fresh: true }, compute);
+  await pagedResult('b', { fresh: true }, compute);
+  await pagedResult('a', { fresh: false }, compute);
+  await pagedResult('c', { fresh: true }, compute);
+  assert.equal(await pagedResult('a', { fresh: false }, compute), 1);
+  assert.equal(await pagedResult('b', { fresh: false }, compute), 4);
+});
+
+test('cancelled and failed paged results are not reused', async () => {
+  const { pagedResult } = createPagedResultCache({ ttlMs: 60 * 1000, maxEntries: 2 });
+  await pagedResult('a', { fresh: true }, async () => ({ cancelled: { reason: 'timeout' } }));
+  assert.deepEqual(await pagedResult('a', { fresh: false }, async () => ({ cancelled: null })), { cancelled: null });
+  await assert.rejects(pagedResult('b', { fresh: true }, async () => {
+    throw new Error('boom');
+  }));
+  assert.equal(await pagedResult('b', { fresh: false }, async () => 'ok'), 'ok');
+});
+
+test('disk cache stays under maxBytes and evicts least recently used entries', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'dotnetdc-cache-test-'));
+  try {
+    const cache = createDiskCache({ root, maxBytes: 1000 });
+    const value = n => ({ n, pad: 'x'.repeat(180) });
+    for (let n = 0; n < 4; n++) await cache.set(`k${n}`, value(n));
+    // Touch k0 so k1 is the oldest
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal((await cache.get('k0')).n, 0);
+    for (let n = 4; n < 12; n++) await cache.set(`k${n}`, value(n));
+    assert.ok((await cacheBytes(root)) <= 1000);
+    assert.equal(await cache.get('k1'), null);
+    assert.equal((await cache.get('k11')).n, 11);
+    // Replacing an entry doesn't count its old size twice
+    for (let n = 0; n < 20; n++) await cache.set('k11', value(11));
+    assert.equal((await cache.get('k10')).n, 10);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
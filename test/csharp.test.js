@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { tokenize, maskCode, codeTokens, namespaceTokens } from '../csharp.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+// Kind and text of every token that isn't plain code
+const literals = text => tokenize(text).filter(t => !['identifier', 'number', 'punctuation'].includes(t.kind)).map(t => [t.kind, t.text]);
+
+test('regular strings and chars', () => {
+  assert.deepEqual(literals(`var s = "a { \\" }"; var c = '{'; var q = '\\'';`), [
+    ['string', '"a { \\" }"'],
+    ['char', "'{'"],
+    ['char', "'\\''"],
+  ]);
+  assert.deepEqual(literals('var e = ""; var u = "x"u8;'), [
+    ['string', '""'],
+    ['string', '"x"u8'],
+  ]);
+});
+
+test('verbatim strings', () => {
+  assert.deepEqual(literals('var p = @"C:\\dir\\"; var x = 1;'), [['string', '@"C:\\dir\\"']]);
+  assert.deepEqual(literals('var q = @"say ""hi"" {"; var y = 2;'), [['string', '@"say ""hi"" {"']]);
+  assert.deepEqual(literals('var e = @""; var z = 3;'), [['string', '@""']]);
+});
+
+test('verbatim strings starting with an escaped quote are not raw strings', () => {
+  assert.deepEqual(literals('string s = @"""quoted"" {"; class C {}'), [['string', '@"""quoted"" {"']]);
+  assert.deepEqual(literals('string s = @""""; int i;'), [['string', '@""""']]);
+  assert.deepEqual(literals('string s = $@"""{x}"" {{"; int i;'), [['string', '$@"""{x}"" {{"']]);
+});
+
+test('verbatim strings span lines', () => {
+  const text = 'var s = @"line one {\nline two }";\nclass A {}';
+  assert.deepEqual(literals(text), [['string', '@"line one {\nline two }"']]);
+});
+
+test('interpolated strings', () => {
+  assert.deepEqual(literals('var s = $"{a} {{ }} {(b ? "}" : "{")}"; int i;'), [['string', '$"{a} {{ }} {(b ? "}" : "{")}"']]);
+  assert.deepEqual(literals('var s = $"{new[] { 1 }.Length}"; int i;'), [['string', '$"{new[] { 1 }.Length}"']]);
+  assert.deepEqual(literals('var s = $"outer {$"inner {x}"}"; int i;'), [['string', '$"outer {$"inner {x}"}"']]);
+});
+
+test('raw strings', () => {
+  const raw = '"""\n    class Raw { "" }\n    """';
+  assert.deepEqual(literals(`var s = ${raw}; int i;`), [['string', raw]]);
+  assert.deepEqual(literals('var s = """"a """ b""""; int i;'), [['string', '""""a """ b""""']]);
+  assert.deepEqual(literals('var s = $$"""{ {{x}} }"""; int i;'), [['string', '$$"""{ {{x}} }"""']]);
+  assert.deepEqual(literals('var s = $"""{x} "quoted" """; int i;'), [['string', '$"""{x} "quoted" """']]);
+});
+
+test('comments', () => {
+  assert.deepEqual(literals('int a; // class X {\n/* namespace Y { */ int b;'), [
+    ['comment', '// class X {'],
+    ['comment', '/* namespace Y { */'],
+  ]);
+  assert.deepEqual(literals('var s = "// not a comment"; /* unterminated'), [
+    ['string', '"// not a comment"'],
+    ['comment', '/* unterminated'],
+  ]);
+});
+
+test('preprocessor lines only at the start of a line', () => {
+  assert.deepEqual(literals('#if DEBUG\n  #region Fields {\nint a;\n#endregion'), [
+    ['preprocessor', '#if DEBUG'],
+    ['preprocessor', '#region Fields {'],
+    ['preprocessor', '#endregion'],
+  ]);
+  assert.equal(
+    tokenize('var x = y # z;').some(t => t.kind === 'preprocessor'),
+    false
+  );
+});
+
+test('identifiers, numbers and punctuation', () => {
+  assert.deepEqual(
+    tokenize('@class x = 1.5e-3f + .5;').map(t => [t.kind, t.text]),
+    [
+      ['identifier', '@class'],
+      ['identifier', 'x'],
+      ['punctuation', '='],
+      ['number', '1.5e-3f'],
+      ['punctuation', '+'],
+      ['number', '.5'],
+      ['punctuation', ';'],
+    ]
+  );
+  assert.deepEqual(
+    tokenize('a.B').map(t => t.text),
+    ['a', '.', 'B']
+  );
+});
+
+test('maskCode keeps offsets and line breaks', () => {
+  const text = 'var s = "{\\n}"; // }\n#if X\nclass A {}';
+  const masked = maskCode(text);
+  assert.equal(masked.length, text.length);
+  assert.equal(masked.split('\n').length, text.split('\n').length);
+  assert.equal(masked.replace(/\s+/g, ' ').trim(), 'var s = ; class A {}');
+});
+
+test('codeTokens drop comments and preprocessor lines', () => {
+  assert.deepEqual(
+    codeTokens('#nullable enable\n// c\nint /* x */ a;').map(t => t.text),
+    ['int', 'a', ';']
+  );
+});
+
+test('namespaceTokens fold block and file-scoped declarations', () => {
+  const folded = [...namespaceTokens('namespace A.B { }\nnamespace /* c */ C;')].filter(t => t.kind === 'namespace');
+  assert.deepEqual(
+    folded.map(t => [t.name, t.fileScoped]),
+    [
+      ['A.B', false],
+      ['C', true],
+    ]
+  );
+});
+
+test('fixture: braces and keywords inside literals are not code', () => {
+  const text = fixture('Tricky.cs');
+  const braces = codeTokens(text).filter(t => t.text === '{' || t.text === '}');
+  assert.equal(braces.filter(t => t.text === '{').length, braces.filter(t => t.text === '}').length);
+  const keywords = codeTokens(text).filter(t => t.text === 'class' || t.text === 'namespace').length;
+  // Literals, Marker's `where T : class`, Helpers, Inner and two namespaces
+  assert.equal(keywords, 6);
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { splitByNamespace, extractNamespaces, listTopLevelTypes, splitTopLevelTypes, splitMembers, findTypeBody, outlineSource } from '../decompiler.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const typeNames = code => listTopLevelTypes(code).map(d => d.name);
+
+test('splitByNamespace: nested and global code', () => {
+  const text = 'using System;\nnamespace A.B {\n  namespace C { class X {} }\n  class Y {}\n}\nclass G {}';
+  assert.deepEqual(
+    [...splitByNamespace(text)],
+    [
+      ['(global)', 'using System;\nclass G {}\n'],
+      ['A.B.C', 'class X {}\n'],
+      ['A.B', 'class Y {}\n'],
+    ]
+  );
+});
+
+test('splitByNamespace: file-scoped namespace', () => {
+  const text = 'using System;\n\nnamespace Acme.Tools;\n\npublic class Tool {}\n';
+  assert.deepEqual(
+    [...splitByNamespace(text)],
+    [
+      ['(global)', 'using System;\n'],
+      ['Acme.Tools', 'public class Tool {}\n'],
+    ]
+  );
+});
+
+test('splitByNamespace: repeated blocks of one namespace are joined', () => {
+  const result = splitByNamespace('namespace A { class X {} }\nnamespace B { class Y {} }\nnamespace A { class Z {} }');
+  assert.deepEqual([...result.keys()], ['A', 'B']);
+  assert.equal(result.get('A'), 'class X {}\nclass Z {}\n');
+});
+
+test('extractNamespaces: source order, qualified, duplicates kept', () => {
+  assert.deepEqual(extractNamespaces('namespace A.B {\n  namespace C { }\n}\nnamespace A.B { }'), ['A.B', 'A.B.C', 'A.B']);
+  assert.deepEqual(extractNamespaces('// namespace Fake {\nvar s = "namespace Q {";'), []);
+});
+
+test('verbatim string with leading escaped quotes does not swallow later types', () => {
+  const text = 'namespace A { class B { string s = @"""quoted"" {"; } class C {} }';
+  const byNamespace = splitByNamespace(text);
+  assert.deepEqual([...byNamespace.keys()], ['A']);
+  assert.deepEqual(typeNames(byNamespace.get('A')), ['B', 'C']);
+});
+
+test('listTopLevelTypes: generic arity, partial and nested types', () => {
+  const code = [
+    'public partial class P<T, U> { class Inner {} struct S<V> {} }',
+    'public partial class P<T, U> { }',
+    'public record struct R(int X);',
+    'public enum E { A }',
+    'public interface I<in T> where T : class { }',
+  ].join('\n');
+  const types = listTopLevelTypes(code);
+  assert.deepEqual(
+    types.map(d => [d.name, d.kind, d.genericArity, d.partial, d.nestedTypes, d.startLine]),
+    [
+      ['P`2', 'class', 2, true, ['P`2+Inner', 'P`2+S`1'], 1],
+      ['P`2', 'class', 2, true, [], 2],
+      ['R', 'record struct', 0, false, [], 3],
+      ['E', 'enum', 0, false, [], 4],
+      ['I`1', 'interface', 1, false, [], 5],
+    ]
+  );
+});
+
+test('record as an identifier is not a declaration', () => {
+  const code = [
+    'public class Repo {',
+    '  void Save(List<Item> items) {',
+    '    foreach (var record in items) { record.Save(); }',
+    '  }',
+    '}',
+    'record Point(int X);',
+    '[Serializable] public sealed record Line { }',
+  ].join('\n');
+  assert.deepEqual(typeNames(code), ['Repo', 'Point', 'Line']);
+  // The foreach line is still inside Repo, not a type named `in`
+  assert.deepEqual(outlineSource(code)[3], { namespace: null, type: 'Repo' });
+  assert.deepEqual(listTopLevelTypes('class O { class I { } record R; }')[0].nestedTypes, ['O+I', 'O+R']);
+  assert.equal(findTypeBody(code, 'Line').header, '[Serializable] public sealed record Line');
+});
+
+test('splitTopLevelTypes joins partial declarations', () => {
+  const result = splitTopLevelTypes('partial class P { int a; }\npartial class P { int b; }\nclass Q { }');
+  assert.deepEqual([...result.keys()], ['P', 'Q']);
+  assert.equal(result.get('P'), 'partial class P { int a; }\n\npartial class P { int b; }');
+});
+
+test('listTopLevelTypes keeps leading comments and attributes with the type', () => {
+  const [first, second] = listTopLevelTypes('/// <summary>X</summary>\n[Serializable]\npublic class X { }\n\n// Y\npublic class Y { }');
+  assert.equal(first.code, '/// <summary>X</summary>\n[Serializable]\npublic class X { }');
+  assert.equal(second.code, '// Y\npublic class Y { }');
+});
+
+test('findTypeBody finds nested types', () => {
+  const code = 'public class Outer {\n  private class Inner {\n    int x;\n  }\n}';
+  assert.deepEqual(findTypeBody(code, 'Outer+Inner'), { header: 'private class Inner', body: '\n    int x;\n  ', bodyStartLine: 2 });
+});
+
+test('splitMembers: kinds, names, comments and attributes', () => {
+  const body = [
+    '',
+    '    // Count of items',
+    '    private int _count;',
+    '',
+    '    [Obsolete]',
+    '    public Widget(string name) { Name = name; }',
+    '',
+    '    public string Name { get; set; } = "{";',
+    '',
+    '    public int Count => _count;',
+    '',
+    '    public void Add<T>(T item) where T : class',
+    '    {',
+    '        var s = $"{item} }}";',
+    '    }',
+    '',
+  ].join('\n');
+  const members = splitMembers(body, 'Acme.Widget');
+  assert.deepEqual(
+    members.map(m => [m.kind, m.name, m.parameters, m.startLine]),
+    [
+      ['field', '_count', null, 2],
+      ['constructor', 'Widget', ['string'], 5],
+      ['property', 'Name', null, 8],
+      ['property', 'Count', null, 10],
+      ['method', 'Add', ['T'], 12],
+    ]
+  );
+  assert.equal(members[0].code, '    // Count of items\n    private int _count;');
+  assert.equal(members[1].code, '    [Obsolete]\n    public Widget(string name) { Name = name; }');
+  assert.equal(members[2].code, '    public string Name { get; set; } = "{";');
+  assert.equal(members[4].signature, 'public void Add<T>(T item) where T : class');
+});
+
+test('fixture: namespaces and types split around tricky literals', () => {
+  const text = fixture('Tricky.cs');
+  assert.deepEqual(extractNamespaces(text), ['Acme.Strings', 'Acme.Strings.Nested']);
+  const byNamespace = splitByNamespace(text);
+  assert.deepEqual([...byNamespace.keys()], ['(global)', 'Acme.Strings', 'Acme.Strings.Nested']);
+  assert.deepEqual(typeNames(byNamespace.get('Acme.Strings')), ['Literals', 'Marker`1']);
+  assert.deepEqual(
+    listTopLevelTypes(byNamespace.get('Acme.Strings.Nested')).map(d => d.nestedTypes),
+    [['Helpers+Inner']]
+  );
+  const { body } = findTypeBody(text, 'Acme.Strings.Literals');
+  assert.deepEqual(
+    splitMembers(body, 'Acme.Strings.Literals').map(m => m.name),
+    ['_regular', '_verbatim', '_leadingQuotes', '_brace', '_quote', '_interpolated', '_raw', '_rawInterpolated']
+  );
+});
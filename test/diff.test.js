@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, unifiedDiff, diffReportChunks, withoutUnifiedDiffs } from '../diff.js';
+
+// Both sides rebuilt from the edit script, and the number of unchanged lines
+function apply(ops) {
+  return {
+    a: ops.filter(o => o.op !== '+').map(o => o.line),
+    b: ops.filter(o => o.op !== '-').map(o => o.line),
+    kept: ops.filter(o => o.op === ' ').length,
+  };
+}
+
+test('diffLines finds a shortest edit script', () => {
+  const a = 'abcabba'.split('');
+  const b = 'cbabac'.split('');
+  const result = apply(diffLines(a, b));
+  assert.deepEqual([result.a, result.b], [a, b]);
+  // The longest common subsequence of the two (e.g. "baba") has 4 lines
+  assert.equal(result.kept, 4);
+  assert.deepEqual(diffLines([], ['x']), [{ op: '+', line: 'x' }]);
+  assert.deepEqual(diffLines(['x'], []), [{ op: '-', line: 'x' }]);
+});
+
+test('diffLines handles many changes in large inputs', () => {
+  const a = Array.from({ length: 20000 }, (_, i) => `line ${i}`);
+  const b = a.map((line, i) => (i % 7 === 0 ? `${line} changed` : line));
+  const result = apply(diffLines(a, b));
+  assert.deepEqual([result.a, result.b], [a, b]);
+  assert.equal(result.kept, a.length - Math.ceil(a.length / 7));
+});
+
+test('unifiedDiff hunks', () => {
+  const diff = unifiedDiff('a\nb\nc\nd', 'a\nB\nc\nd', { context: 1 });
+  assert.equal(diff, '--- a\n+++ b\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c');
+});
+
+test('report chunks join to the overview followed by the diffs', () => {
+  const assemblies = [
+    {
+      assembly: 'Lib.dll',
+      status: 'changed',
+      diff: {
+        namespaces: { added: [], removed: [], changed: ['A'] },
+        types: { added: [], removed: [], changed: [{ namespace: 'A', name: 'T', members: { added: ['M()'], removed: [], changed: [] }, diff: '--- a/A.T\n+++ b/A.T' }] },
+      },
+    },
+    { assembly: 'Old.dll', status: 'removed' },
+  ];
+  const chunks = diffReportChunks(assemblies);
+  assert.equal(chunks.length, 2);
+  assert.equal(chunks.map(c => c.text).join(''), 'Lib.dll: changed\n  ~ type A.T (+1 -0 ~0 members)\n      + M()\nOld.dll: removed\n\n--- a/A.T\n+++ b/A.T');
+  assert.equal(withoutUnifiedDiffs(assemblies)[0].diff.types.changed[0].diff, undefined);
+  assert.equal(assemblies[0].diff.types.changed[0].diff, '--- a/A.T\n+++ b/A.T');
+});
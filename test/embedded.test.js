@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resourceFileName, uniqueFileName } from '../embedded.js';
+
+test('resource names are sanitized into file names', () => {
+  assert.equal(resourceFileName('Acme/Strings:en.resources'), 'Acme_Strings_en.resources');
+  assert.equal(resourceFileName('..hidden'), '_hidden');
+  assert.equal(resourceFileName(''), '_');
+  assert.equal(resourceFileName('...'), '_');
+});
+
+test('colliding file names get a numeric suffix', () => {
+  const used = new Set();
+  const names = ['a/b.txt', 'a:b.txt', 'A_B.TXT', 'noext', 'noext'].map(name => uniqueFileName(resourceFileName(name), used));
+  assert.deepEqual(names, ['a_b.txt', 'a_b_2.txt', 'A_B_3.TXT', 'noext', 'noext_2']);
+});
@@ -0,0 +1,23 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'dotnetdc-env-test-'));
+after(() => fs.rm(tmp, { recursive: true, force: true }));
+
+test('sandbox roots set in .env files reach the constants', async () => {
+  const readRoot = path.join(tmp, 'read');
+  await fs.writeFile(path.join(tmp, '.env'), `ALLOWED_READ_ROOTS=${readRoot}\nALLOWED_WRITE_ROOTS=\n`);
+  await fs.mkdir(path.join(tmp, '.mcp-dotnetdc'));
+  await fs.writeFile(path.join(tmp, '.mcp-dotnetdc', '.env'), 'PAGE_BYTES=1234\n');
+  const constants = new URL('../constants.js', import.meta.url).href;
+  const script = `const c = await import(${JSON.stringify(constants)}); console.log(JSON.stringify([c.ALLOWED_READ_ROOTS, c.ALLOWED_WRITE_ROOTS, c.PAGE_BYTES]));`;
+  const env = { ...process.env };
+  for (const name of ['ALLOWED_READ_ROOTS', 'ALLOWED_WRITE_ROOTS', 'PAGE_BYTES']) delete env[name];
+  const { stdout } = await promisify(execFile)(process.execPath, ['--input-type=module', '-e', script], { cwd: tmp, env });
+  assert.deepEqual(JSON.parse(stdout), [[readRoot], [], 1234]);
+});
@@ -0,0 +1,38 @@
+// class NotAType { namespace Fake {
+using System;
+
+#if DEBUG
+#define TRACE // namespace Bogus {
+#endif
+
+namespace Acme.Strings
+{
+    /* class AlsoNotAType { */
+    public class Literals
+    {
+        private string _regular = "class Q { \" }";
+        private string _verbatim = @"C:\path\} ""quoted"" {";
+        private string _leadingQuotes = @"""quoted"" {";
+        private char _brace = '{';
+        private char _quote = '\'';
+        private string _interpolated = $"{_brace} {{ {(_regular.Length > 0 ? "}" : "{")} }}";
+        private string _raw = """
+            class Raw { "" }
+            """;
+        private string _rawInterpolated = $$"""{ {{_brace}} }""";
+    }
+
+    public struct Marker<T> where T : class
+    {
+    }
+}
+
+namespace Acme.Strings.Nested
+{
+    internal static class Helpers
+    {
+        private sealed class Inner
+        {
+        }
+    }
+}
@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as http from 'http';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { startHttpServer, MCP_ENDPOINT } from '../http.js';
+
+const initialize = JSON.stringify({
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '0' } },
+});
+
+let server;
+let port;
+
+before(async () => {
+  server = await startHttpServer({
+    host: '127.0.0.1',
+    port: 0,
+    sessionIdleMs: 200,
+    createSessionServer: () => new Server({ name: 'test', version: '0' }, { capabilities: {} }),
+    log: () => {},
+  });
+  port = server.httpServer.address().port;
+});
+
+after(() => server.close());
+
+// fetch() won't send a custom Host header, so requests go through http.request
+function post(body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port,
+        path: MCP_ENDPOINT,
+        method: 'POST',
+        headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream', ...headers },
+      },
+      res => {
+        let text = '';
+        res.on('data', chunk => (text += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text }));
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('loopback binds accept only loopback Host headers', async () => {
+  assert.deepEqual(server.allowedHosts, [`127.0.0.1:${port}`, `localhost:${port}`, `[::1]:${port}`]);
+  const rejected = await post(initialize, { host: `evil.example:${port}` });
+  assert.equal(rejected.status, 403);
+  assert.match(rejected.text, /Invalid Host header/);
+  const accepted = await post(initialize, { host: `localhost:${port}` });
+  assert.equal(accepted.status, 200);
+});
+
+test('invalid JSON gets 400', async () => {
+  const res = await post('{not json');
+  assert.equal(res.status, 400);
+  assert.match(res.text, /Invalid JSON body/);
+});
+
+test('oversized bodies get 413', async () => {
+  const res = await post('x'.repeat(5 * 1024 * 1024));
+  assert.equal(res.status, 413);
+});
+
+test('idle sessions are closed', async () => {
+  const init = await post(initialize);
+  const sessionId = init.headers['mcp-session-id'];
+  assert.ok(sessionId);
+  await new Promise(resolve => setTimeout(resolve, 500));
+  const res = await post(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'ping' }), { 'mcp-session-id': sessionId });
+  assert.equal(res.status, 404);
+});
+
+test('malformed Host headers and URLs get 400 or are ignored, not a crash', async () => {
+  const res = await post('{not json', { host: '[' });
+  assert.equal(res.status, 400);
+  const raw = await new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: '//[', method: 'GET', headers: { host: '[' } }, r => {
+      r.resume();
+      r.on('end', () => resolve(r.statusCode));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+  assert.ok([400, 404].includes(raw));
+  assert.equal((await post(initialize)).status, 200);
+});
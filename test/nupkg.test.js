@@ -0,0 +1,112 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+import { deflateRawSync } from 'zlib';
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'dotnetdc-nupkg-test-'));
+process.env.CACHE_ROOT = path.join(tmp, 'cache');
+const { readZipEntries, readZipEntry, readPackage, extractPackageAssemblies } = await import('../nupkg.js');
+
+after(() => fs.rm(tmp, { recursive: true, force: true }));
+
+// Minimal zip writer. `size` overrides the declared uncompressed size, `raw` the stored bytes.
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = Buffer.from(file.name);
+    const content = Buffer.from(file.content || '');
+    const data = file.raw || (file.stored ? content : deflateRawSync(content));
+    const size = file.size === undefined ? content.length : file.size;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(file.stored ? 0 : 8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(file.stored ? 0 : 8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(file.localOffset === undefined ? offset : file.localOffset, 42);
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, eocd]);
+}
+
+const nuspec = { name: 'Acme.nuspec', content: '<package><metadata><id>Acme</id><version>1.0.0</version></metadata></package>' };
+
+test('reads deflated and stored entries', () => {
+  const buf = buildZip([
+    { name: 'a.txt', content: 'hello hello hello' },
+    { name: 'b.txt', content: 'stored', stored: true },
+  ]);
+  const entries = readZipEntries(buf);
+  assert.deepEqual(
+    entries.map(e => e.name),
+    ['a.txt', 'b.txt']
+  );
+  assert.equal(readZipEntry(buf, entries[0]).toString(), 'hello hello hello');
+  assert.equal(readZipEntry(buf, entries[1]).toString(), 'stored');
+});
+
+test('stops inflating at the declared size', () => {
+  const buf = buildZip([{ name: 'bomb.dll', raw: deflateRawSync(Buffer.alloc(1024 * 1024)), size: 16 }]);
+  const [entry] = readZipEntries(buf);
+  assert.throws(() => readZipEntry(buf, entry), /inflates beyond its declared size of 16 bytes/);
+});
+
+test('rejects out-of-range offsets and sizes', () => {
+  const badLocal = buildZip([{ name: 'a.txt', content: 'x', localOffset: 0x7fffffff }]);
+  assert.throws(() => readZipEntry(badLocal, readZipEntries(badLocal)[0]), /Corrupt zip entry a.txt/);
+  const badSize = buildZip([{ name: 'a.txt', content: 'x' }]);
+  const [entry] = readZipEntries(badSize);
+  assert.throws(() => readZipEntry(badSize, { ...entry, compressedSize: 0x7fffffff }), /data out of range/);
+  const badDirectory = buildZip([{ name: 'a.txt', content: 'x' }]);
+  badDirectory.writeUInt32LE(badDirectory.length - 30, badDirectory.length - 6);
+  assert.throws(() => readZipEntries(badDirectory), /Corrupt zip central directory/);
+});
+
+test('extracts the selected framework folder', async () => {
+  const pkgPath = path.join(tmp, 'Acme.1.0.0.nupkg');
+  await fs.writeFile(pkgPath, buildZip([nuspec, { name: 'lib/net6.0/Acme.dll', content: 'MZ fake' }, { name: 'lib/net6.0/Acme.xml', content: '<doc/>' }]));
+  const pkg = await readPackage(pkgPath);
+  assert.equal(pkg.id, 'Acme');
+  const { assemblies, package: info } = await extractPackageAssemblies(pkgPath);
+  assert.equal(info.folder, 'lib/net6.0');
+  assert.equal(assemblies.length, 1);
+  assert.equal(await fs.readFile(assemblies[0], 'utf8'), 'MZ fake');
+});
+
+test('rejects entry names that would leave the extraction folder', async () => {
+  for (const name of ['lib/net6.0/..\\..\\Evil.dll', 'lib/../../Evil.dll', '/lib/net6.0/Evil.dll']) {
+    const pkgPath = path.join(tmp, 'Evil.1.0.0.nupkg');
+    await fs.writeFile(pkgPath, buildZip([nuspec, { name: 'lib/net6.0/Acme.dll', content: 'MZ' }, { name, content: 'MZ evil' }]));
+    const pkg = await readPackage(pkgPath);
+    assert.deepEqual(
+      pkg.frameworks.map(f => f.folder),
+      ['lib/net6.0']
+    );
+    if (name.startsWith('lib/net6.0/')) await assert.rejects(extractPackageAssemblies(pkgPath), /Unsafe zip entry name/);
+    else assert.equal((await extractPackageAssemblies(pkgPath)).assemblies.length, 1);
+  }
+  const written = await fs.readdir(path.join(tmp, 'cache'), { recursive: true });
+  assert.equal(
+    written.some(f => f.includes('Evil')),
+    false
+  );
+});
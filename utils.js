@@ -1,7 +1,102 @@
-import { promisify } from 'util';
-import { exec } from 'child_process';
+import { spawn } from 'child_process';
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+import * as fs from 'fs/promises';
+import * as path from 'path';
 
-export const execAsync = promisify(exec);
+// Characters of stdout/stderr kept per process; older output is dropped.
+const OUTPUT_TAIL = 256 * 1024;
+
+function outputTail() {
+  let text = '';
+  return {
+    push(chunk) {
+      text += chunk;
+      if (text.length > OUTPUT_TAIL * 2) text = text.slice(-OUTPUT_TAIL);
+    },
+    value: () => text.slice(-OUTPUT_TAIL),
+  };
+}
+
+function failureDetail(stderr, stdout) {
+  const text = (stderr.trim() || stdout.trim()).split(/\r?\n/).slice(-20).join('\n');
+  return text.length > 4000 ? text.slice(-4000) : text;
+}
+
+// Children still running, killed when the server exits so none outlive it.
+const liveChildren = new Set();
+process.on('exit', () => {
+  for (const child of liveChildren) killProcessTree(child);
+});
+
+// ilspycmd runs as a dotnet host with its own children; on POSIX each launch gets its own
+// process group so the whole tree can be killed at once.
+function killProcessTree(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  try {
+    if (process.platform === 'win32') {
+      spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore', windowsHide: true }).on('error', () => child.kill());
+    } else {
+      process.kill(-child.pid, 'SIGKILL');
+    }
+  } catch {
+    try { child.kill('SIGKILL'); } catch {}
+  }
+}
+
+// Runs `command` with an argument array and no shell, so paths are passed through verbatim.
+// Output is streamed to onStdout/onStderr as it arrives and only a bounded tail is kept.
+// Resolves { stdout, stderr, exitCode }; rejects with exitCode, signal, stdout and stderr set.
+// Aborting `signal` kills the process tree and rejects with the signal's reason once it has exited.
+export function runProcess(command, args = [], { cwd, env, signal, onStdout, onStderr } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const name = path.basename(command);
+    const stdout = outputTail();
+    const stderr = outputTail();
+    let settled = false;
+    let child;
+    const onAbort = () => killProcessTree(child);
+    const settle = (error, result) => {
+      if (settled) return;
+      settled = true;
+      liveChildren.delete(child);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (error) reject(error);
+      else resolve(result);
+    };
+    try {
+      child = spawn(command, args, { cwd, env, stdio: ['ignore', 'pipe', 'pipe'], windowsHide: true, detached: process.platform !== 'win32' });
+    } catch (error) {
+      settle(error);
+      return;
+    }
+    liveChildren.add(child);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', chunk => { stdout.push(chunk); if (onStdout) onStdout(chunk); });
+    child.stderr.on('data', chunk => { stderr.push(chunk); if (onStderr) onStderr(chunk); });
+    child.on('error', error => {
+      const failed = new Error(error.code === 'ENOENT' ? `${command} not found` : `Failed to run ${name}: ${error.message}`);
+      failed.code = error.code;
+      settle(failed);
+    });
+    child.on('close', (exitCode, killedBy) => {
+      if (signal && signal.aborted) return settle(signal.reason);
+      const result = { stdout: stdout.value(), stderr: stderr.value(), exitCode };
+      if (exitCode === 0) return settle(null, result);
+      const detail = failureDetail(result.stderr, result.stdout);
+      const status = exitCode === null ? `was terminated by ${killedBy}` : `exited with code ${exitCode}`;
+      const error = new Error(`${name} ${status}${detail ? `: ${detail}` : ''}`);
+      Object.assign(error, result, { signal: killedBy });
+      settle(error);
+    });
+  });
+}
 
 export function buildKey(tool, args) {
   return `${tool}:${JSON.stringify(args)}`;
@@ -25,4 +120,53 @@ export async function withConcurrencyLimitFactory(max) {
   };
 }
 
+export function sha256(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+// Hashes are remembered per (path, size, mtime) so repeated tool calls on a large
+// assembly only stream it once per change.
+const fileHashes = new Map();
 
+export async function hashFile(filePath) {
+  const stat = await fs.stat(filePath);
+  const memoKey = `${filePath}:${stat.size}:${stat.mtimeMs}`;
+  const known = fileHashes.get(memoKey);
+  if (known) return known;
+  const hash = createHash('sha256');
+  await new Promise((resolve, reject) => {
+    createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+  const digest = hash.digest('hex');
+  fileHashes.set(memoKey, digest);
+  return digest;
+}
+
+export function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+// Closest candidates by case-insensitive edit distance; substring hits rank first.
+export function suggestClosest(name, candidates, limit = 5) {
+  const needle = name.toLowerCase();
+  const scored = [];
+  for (const c of new Set(candidates)) {
+    const hay = c.toLowerCase();
+    const distance = hay.includes(needle) || needle.includes(hay) ? 0 : levenshtein(needle, hay);
+    if (distance <= Math.max(2, Math.floor(needle.length / 3))) scored.push({ c, distance });
+  }
+  return scored.sort((x, y) => x.distance - y.distance || x.c.localeCompare(y.c)).slice(0, limit).map(s => s.c);
+}
@@ -0,0 +1,262 @@
+import * as fs from 'fs/promises';
+import { createDiskCache } from './cache.js';
+import { hashFile } from './utils.js';
+import { CACHE_ROOT, CACHE_MAX_BYTES } from './constants.js';
+import { assemblyDisplayPath } from './nupkg.js';
+import {
+  readAssemblyMetadata,
+  nestedTypeParents,
+  typeDefFullName,
+  typeReferenceFullName,
+  typeSpecDefinitionName,
+  memberOwners,
+  readMethodBody,
+  readMethodSignature,
+  SignatureReader,
+} from './metadata.js';
+
+const indexCache = createDiskCache({ root: CACHE_ROOT, maxBytes: CACHE_MAX_BYTES });
+const loadedIndexes = new Map();
+
+// Operand sizes of one-byte opcodes that take an operand (everything else takes none).
+const OPERAND_SIZES = new Map([
+  [0x0e, 1], [0x0f, 1], [0x10, 1], [0x11, 1], [0x12, 1], [0x13, 1], [0x1f, 1], [0x20, 4], [0x21, 8], [0x22, 4], [0x23, 8],
+  [0x27, 4], [0x28, 4], [0x29, 4], [0x6f, 4], [0x70, 4], [0x71, 4], [0x72, 4], [0x73, 4], [0x74, 4], [0x75, 4], [0x79, 4],
+  [0x7b, 4], [0x7c, 4], [0x7d, 4], [0x7e, 4], [0x7f, 4], [0x80, 4], [0x81, 4], [0x8c, 4], [0x8d, 4], [0x8f, 4], [0xa3, 4],
+  [0xa4, 4], [0xa5, 4], [0xc2, 4], [0xc6, 4], [0xd0, 4], [0xdd, 4], [0xde, 1],
+]);
+for (let op = 0x2b; op <= 0x37; op++) OPERAND_SIZES.set(op, 1);
+for (let op = 0x38; op <= 0x44; op++) OPERAND_SIZES.set(op, 4);
+
+const TWO_BYTE_OPERAND_SIZES = new Map([
+  [0x06, 4], [0x07, 4], [0x09, 2], [0x0a, 2], [0x0b, 2], [0x0c, 2], [0x0d, 2], [0x0e, 2], [0x12, 1], [0x15, 4], [0x16, 4],
+  [0x19, 1], [0x1c, 4],
+]);
+
+// Opcodes whose operand is a metadata token worth indexing (ldstr and calli excluded).
+const TOKEN_OPCODES = new Map([
+  [0x27, 'jmp'], [0x28, 'call'], [0x6f, 'callvirt'], [0x70, 'cpobj'], [0x71, 'ldobj'], [0x73, 'newobj'], [0x74, 'castclass'],
+  [0x75, 'isinst'], [0x79, 'unbox'], [0x7b, 'ldfld'], [0x7c, 'ldflda'], [0x7d, 'stfld'], [0x7e, 'ldsfld'], [0x7f, 'ldsflda'],
+  [0x80, 'stsfld'], [0x81, 'stobj'], [0x8c, 'box'], [0x8d, 'newarr'], [0x8f, 'ldelema'], [0xa3, 'ldelem'], [0xa4, 'stelem'],
+  [0xa5, 'unbox.any'], [0xc2, 'refanyval'], [0xc6, 'mkrefany'], [0xd0, 'ldtoken'],
+]);
+const TWO_BYTE_TOKEN_OPCODES = new Map([[0x06, 'ldftn'], [0x07, 'ldvirtftn'], [0x15, 'initobj'], [0x16, 'constrained.'], [0x1c, 'sizeof']]);
+
+// Yields { opcode, offset, token } for every token-bearing instruction in an IL body.
+function* scanTokens(code) {
+  let i = 0;
+  while (i < code.length) {
+    const offset = i;
+    const op = code[i++];
+    let name;
+    let size;
+    if (op === 0xfe) {
+      const op2 = code[i++];
+      name = TWO_BYTE_TOKEN_OPCODES.get(op2);
+      size = TWO_BYTE_OPERAND_SIZES.get(op2) || 0;
+    } else if (op === 0x45) {
+      const count = code.readUInt32LE(i);
+      i += 4 + count * 4;
+      continue;
+    } else {
+      name = TOKEN_OPCODES.get(op);
+      size = OPERAND_SIZES.get(op) || 0;
+    }
+    if (name && size === 4 && i + 4 <= code.length) yield { opcode: name, offset, token: code.readUInt32LE(i) };
+    i += size;
+  }
+}
+
+function describeParams(md, blobIndex, parents) {
+  try {
+    const sig = readMethodSignature(md, new SignatureReader(md.heaps.blob(blobIndex)), { parents });
+    return `(${sig.params.join(', ')})`;
+  } catch {
+    return '';
+  }
+}
+
+// Builds the compact per-assembly index: string tables for targets and callers plus a flat
+// [targetIdx, callerIdx, ilOffset, opcodeIdx, ...] reference array.
+export function buildReferenceIndex(md) {
+  const parents = nestedTypeParents(md);
+  const { methodOwner, fieldOwner } = memberOwners(md);
+  const { MethodDef, MemberRef, MethodSpec, Field } = md.tables;
+  const targets = [];
+  const targetIds = new Map();
+  const callers = [];
+  const opcodes = [];
+  const opcodeIds = new Map();
+  const refs = [];
+  const intern = (list, ids, key, value) => {
+    let id = ids.get(key);
+    if (id === undefined) {
+      id = list.length;
+      list.push(value);
+      ids.set(key, id);
+    }
+    return id;
+  };
+  const tokenTarget = new Map();
+  const resolveMethodLike = (table, index) => {
+    if (table === 'MethodDef') {
+      const row = MethodDef[index - 1];
+      return row && [typeDefFullName(md, methodOwner[index], parents), row.Name, describeParams(md, row.Signature, parents)];
+    }
+    if (table === 'MemberRef') {
+      const row = MemberRef[index - 1];
+      if (!row) return null;
+      const cls = row.Class;
+      let owner = null;
+      if (cls.table === 'TypeSpec') owner = typeSpecDefinitionName(md, cls.index, parents);
+      else if (cls.table === 'TypeDef' || cls.table === 'TypeRef') owner = typeReferenceFullName(md, cls, parents);
+      else if (cls.table === 'MethodDef') owner = typeDefFullName(md, methodOwner[cls.index], parents);
+      if (!owner) return null;
+      const blob = md.heaps.blob(row.Signature);
+      const isField = blob[0] === 0x06;
+      return [owner, row.Name, isField ? '' : describeParams(md, row.Signature, parents)];
+    }
+    return null;
+  };
+  const resolve = token => {
+    if (tokenTarget.has(token)) return tokenTarget.get(token);
+    const table = token >>> 24;
+    const index = token & 0xffffff;
+    let target = null;
+    if (table === 0x06) target = resolveMethodLike('MethodDef', index);
+    else if (table === 0x0a) target = resolveMethodLike('MemberRef', index);
+    else if (table === 0x2b) {
+      const spec = MethodSpec[index - 1];
+      if (spec) target = resolveMethodLike(spec.Method.table, spec.Method.index);
+    } else if (table === 0x04) {
+      const row = Field[index - 1];
+      if (row) target = [typeDefFullName(md, fieldOwner[index], parents), row.Name, ''];
+    } else if (table === 0x01) target = [typeReferenceFullName(md, { table: 'TypeRef', index }, parents), null, ''];
+    else if (table === 0x02) target = [typeDefFullName(md, index, parents), null, ''];
+    else if (table === 0x1b) {
+      const name = typeSpecDefinitionName(md, index, parents);
+      if (name) target = [name, null, ''];
+    }
+    const id = target ? intern(targets, targetIds, target.join('\u0000'), target) : -1;
+    tokenTarget.set(token, id);
+    return id;
+  };
+
+  MethodDef.forEach((row, i) => {
+    let code;
+    try {
+      code = readMethodBody(md, row.RVA);
+    } catch {
+      code = null;
+    }
+    if (!code) return;
+    const callerId = callers.length;
+    let used = false;
+    for (const { opcode, offset, token } of scanTokens(code)) {
+      const targetId = resolve(token);
+      if (targetId < 0) continue;
+      if (!used) {
+        callers.push([typeDefFullName(md, methodOwner[i + 1], parents), row.Name, describeParams(md, row.Signature, parents)]);
+        used = true;
+      }
+      refs.push(targetId, callerId, offset, intern(opcodes, opcodeIds, opcode, opcode));
+    }
+  });
+  return { targets, callers, opcodes, refs };
+}
+
+// Per-assembly index, cached in memory and on disk by assembly content hash.
+export async function loadReferenceIndex(assemblyPath) {
+  const stat = await fs.stat(assemblyPath);
+  const stamp = `${stat.size}:${stat.mtimeMs}`;
+  const loaded = loadedIndexes.get(assemblyPath);
+  if (loaded && loaded.stamp === stamp) return loaded.index;
+  const assemblyHash = await hashFile(assemblyPath);
+  const index = await indexCache.getOrCompute({ kind: 'xref', version: 1, assemblyHash }, async () =>
+    buildReferenceIndex(await readAssemblyMetadata(assemblyPath))
+  );
+  loadedIndexes.set(assemblyPath, { stamp, index });
+  return index;
+}
+
+function normalizeSymbol(name) {
+  return name.replace(/\+/g, '.').replace(/`\d+/g, '').replace(/<[^<>]*>/g, '').replace(/\s+/g, '');
+}
+
+function matchesSuffix(full, symbol) {
+  return full === symbol || full.endsWith(`.${symbol}`);
+}
+
+// Parses `Type.Member(params)` style queries into a predicate over index targets.
+export function createSymbolMatcher(symbol) {
+  const paren = symbol.indexOf('(');
+  const params = paren === -1 ? null : symbol.slice(paren).replace(/\s+/g, '');
+  const wanted = normalizeSymbol(paren === -1 ? symbol : symbol.slice(0, paren));
+  return ([type, member, sig]) => {
+    const owner = normalizeSymbol(type);
+    if (member === null) return matchesSuffix(owner, wanted);
+    if (params !== null && sig.replace(/\s+/g, '') !== params) return false;
+    // A type query also matches every use of that type's members
+    return matchesSuffix(`${owner}.${member}`, wanted) || (params === null && matchesSuffix(owner, wanted));
+  };
+}
+
+// Maps compiler-generated callers (lambdas, iterators, async state machines, accessors) back to
+// the type and member they appear in after decompilation.
+export function sourceLocation(callerType, callerMember) {
+  const segments = callerType.split('+');
+  let member = callerMember;
+  while (segments.length > 1 && segments[segments.length - 1].startsWith('<')) {
+    const generated = segments.pop();
+    const sm = /^<([^>]+)>d__/.exec(generated);
+    if (sm) member = sm[1];
+  }
+  const lambda = /^<([^>]+)>/.exec(member);
+  if (lambda) member = lambda[1];
+  const accessor = /^(?:get_|set_|add_|remove_|init_)(.+)$/.exec(member);
+  if (accessor) member = accessor[1];
+  const typeName = segments.join('+');
+  if (member === '.ctor' || member === '.cctor') member = typeName.split(/[.+]/).pop().replace(/`\d+$/, '');
+  return { typeName, member };
+}
+
+export async function findReferences(assemblies, symbol, { rootDir = null, maxResults = 100 } = {}) {
+  const matches = createSymbolMatcher(symbol);
+  const results = [];
+  const skipped = [];
+  let truncated = false;
+  for (const asmPath of assemblies) {
+    if (truncated) break;
+    let index;
+    try {
+      index = await loadReferenceIndex(asmPath);
+    } catch (err) {
+      skipped.push({ assembly: asmPath, category: 'failed', reason: err.message || String(err) });
+      continue;
+    }
+    const hit = index.targets.map(matches);
+    if (!hit.some(Boolean)) continue;
+    const assembly = assemblyDisplayPath(rootDir, asmPath);
+    for (let r = 0; r < index.refs.length; r += 4) {
+      const targetId = index.refs[r];
+      if (!hit[targetId]) continue;
+      if (results.length >= maxResults) {
+        truncated = true;
+        break;
+      }
+      const [type, member, sig] = index.targets[targetId];
+      const [callerType, callerMember, callerSig] = index.callers[index.refs[r + 1]];
+      results.push({
+        assembly,
+        assemblyPath: asmPath,
+        callerType,
+        callerMember,
+        callerSignature: `${callerMember}${callerSig}`,
+        target: member === null ? type : `${type}::${member}${sig}`,
+        opcode: index.opcodes[index.refs[r + 3]],
+        ilOffset: index.refs[r + 2],
+      });
+    }
+  }
+  return { references: results, truncated, skipped };
+}